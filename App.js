@@ -1,25 +1,66 @@
-import React from 'react';
+import React, { useEffect } from 'react';
+import { Alert } from 'react-native';
 import { StatusBar } from 'expo-status-bar';
 import { NavigationContainer } from '@react-navigation/native';
 import { createStackNavigator } from '@react-navigation/stack';
 import { AuthProvider, useAuth } from './src/context/AuthContext.js';
+import { ScanRepositoryProvider } from './src/context/ScanRepositoryContext';
 import LoginScreen from './src/screens/LoginScreen';
 import HomeScreen from './src/screens/HomeScreen';
 import ScanHistoryScreen from './src/screens/ScanHistoryScreen';
+import QRGeneratorScreen from './src/screens/QRGeneratorScreen';
+import StatsScreen from './src/screens/StatsScreen';
+import WorkspacesScreen from './src/screens/WorkspacesScreen';
+import WorkspaceScreen from './src/screens/WorkspaceScreen';
+import WebhookScreen from './src/screens/WebhookScreen';
+import VerifyEmailScreen from './src/screens/VerifyEmailScreen';
+import SplashScreen from './src/screens/SplashScreen';
+import { startScanQueueSync } from './src/services/scanQueue';
+import { startWebhookSync } from './src/services/webhookOutbox';
 
 const Stack = createStackNavigator();
 
+const MAX_LISTED_SCANS = 5;
+
+// Scans taken offline that Firestore refused once back online, e.g. after losing access to a workspace
+const showDroppedScans = (scans) => {
+  const listed = scans.slice(0, MAX_LISTED_SCANS).map(scan => `• ${scan.qrData}`);
+  if (scans.length > MAX_LISTED_SCANS) listed.push(`…and ${scans.length - MAX_LISTED_SCANS} more`);
+  const summary = scans.length === 1 ? '1 scan taken offline was' : `${scans.length} scans taken offline were`;
+  Alert.alert(
+    'Scans Not Saved',
+    `${summary} refused and removed from the queue:\n\n${listed.join('\n')}\n\n${scans[0].error.message}`
+  );
+};
+
 const AppNavigator = () => {
-  const { user, loading } = useAuth();
+  const { user, needsVerification, loading } = useAuth();
+
+  useEffect(() => {
+    // Guest scans are saved on the device directly and never queued
+    if (!user || user.isGuest) return undefined;
+    return startScanQueueSync(user.uid, showDroppedScans);
+  }, [user?.uid]);
+
+  useEffect(() => {
+    if (!user) return undefined;
+    return startWebhookSync(user.uid);
+  }, [user?.uid]);
 
   if (loading) {
-    return null; // Or a loading screen
+    return <SplashScreen />;
   }
 
   return (
     <NavigationContainer>
       <Stack.Navigator>
-        {user ? (
+        {user && needsVerification ? (
+          <Stack.Screen 
+            name="VerifyEmail" 
+            component={VerifyEmailScreen}
+            options={{ headerShown: false }}
+          />
+        ) : user ? (
           <>
             <Stack.Screen 
               name="Home" 
@@ -36,6 +77,56 @@ const AppNavigator = () => {
                 headerTitleStyle: { fontWeight: 'bold' }
               }}
             />
+            <Stack.Screen 
+              name="QRGenerator" 
+              component={QRGeneratorScreen}
+              options={{
+                title: 'Create QR Code',
+                headerStyle: { backgroundColor: '#2196F3' },
+                headerTintColor: 'white',
+                headerTitleStyle: { fontWeight: 'bold' }
+              }}
+            />
+            <Stack.Screen 
+              name="Stats" 
+              component={StatsScreen}
+              options={{
+                title: 'Statistics',
+                headerStyle: { backgroundColor: '#2196F3' },
+                headerTintColor: 'white',
+                headerTitleStyle: { fontWeight: 'bold' }
+              }}
+            />
+            <Stack.Screen 
+              name="Workspaces" 
+              component={WorkspacesScreen}
+              options={{
+                title: 'Workspaces',
+                headerStyle: { backgroundColor: '#2196F3' },
+                headerTintColor: 'white',
+                headerTitleStyle: { fontWeight: 'bold' }
+              }}
+            />
+            <Stack.Screen 
+              name="Workspace" 
+              component={WorkspaceScreen}
+              options={{
+                title: 'Workspace',
+                headerStyle: { backgroundColor: '#2196F3' },
+                headerTintColor: 'white',
+                headerTitleStyle: { fontWeight: 'bold' }
+              }}
+            />
+            <Stack.Screen 
+              name="Webhook" 
+              component={WebhookScreen}
+              options={{
+                title: 'Webhook',
+                headerStyle: { backgroundColor: '#2196F3' },
+                headerTintColor: 'white',
+                headerTitleStyle: { fontWeight: 'bold' }
+              }}
+            />
           </>
         ) : (
           <Stack.Screen 
@@ -52,7 +143,9 @@ const AppNavigator = () => {
 export default function App() {
   return (
     <AuthProvider>
-      <AppNavigator />
+      <ScanRepositoryProvider>
+        <AppNavigator />
+      </ScanRepositoryProvider>
       <StatusBar style="auto" />
     </AuthProvider>
   );
@@ -0,0 +1,264 @@
+import { readFileSync } from 'fs';
+import path from 'path';
+import {
+  initializeTestEnvironment,
+  assertSucceeds,
+  assertFails,
+} from '@firebase/rules-unit-testing';
+import {
+  doc,
+  getDoc,
+  setDoc,
+  updateDoc,
+  deleteDoc,
+  deleteField,
+  arrayUnion,
+  arrayRemove,
+  writeBatch,
+} from 'firebase/firestore';
+
+// Runs against the Firestore emulator: `npm run test:rules`
+const USERS = {
+  owner: { email: 'owner@example.com' },
+  editor: { email: 'editor@example.com' },
+  viewer: { email: 'viewer@example.com' },
+  outsider: { email: 'outsider@example.com' },
+  invitee: { email: 'invitee@example.com' },
+};
+
+const WORKSPACE = {
+  name: 'Warehouse',
+  ownerId: 'owner',
+  roles: { owner: 'owner', editor: 'editor', viewer: 'viewer' },
+  memberIds: ['owner', 'editor', 'viewer'],
+  memberEmails: {
+    owner: USERS.owner.email,
+    editor: USERS.editor.email,
+    viewer: USERS.viewer.email,
+  },
+};
+
+const scan = (userId, workspaceId = null) => ({
+  userId,
+  userEmail: USERS[userId].email,
+  qrData: 'https://example.com',
+  workspaceId,
+  tags: [],
+  note: '',
+  searchTokens: ['ex', 'exa'],
+  timestamp: new Date('2026-01-01T00:00:00Z'),
+});
+
+let testEnv;
+
+const db = (uid, { verified = true } = {}) =>
+  testEnv.authenticatedContext(uid, { email: USERS[uid].email, email_verified: verified }).firestore();
+
+const seed = (documents) =>
+  testEnv.withSecurityRulesDisabled(async (context) => {
+    const firestore = context.firestore();
+    await Promise.all(Object.keys(documents).map(docPath => setDoc(doc(firestore, docPath), documents[docPath])));
+  });
+
+const join = (uid, role, firestore = db(uid)) =>
+  updateDoc(doc(firestore, 'workspaces/ws'), {
+    [`roles.${uid}`]: role,
+    [`memberEmails.${uid}`]: USERS[uid].email,
+    memberIds: arrayUnion(uid),
+  });
+
+beforeAll(async () => {
+  testEnv = await initializeTestEnvironment({
+    projectId: 'demo-qr-scanner',
+    firestore: { rules: readFileSync(path.join(__dirname, '..', 'firestore.rules'), 'utf8') },
+  });
+});
+
+afterAll(() => testEnv.cleanup());
+
+beforeEach(async () => {
+  await testEnv.clearFirestore();
+  await seed({
+    'workspaces/ws': WORKSPACE,
+    'scans/personal': scan('editor'),
+    'scans/shared': scan('editor', 'ws'),
+    'scans/ownerShared': scan('owner', 'ws'),
+  });
+});
+
+describe('scans', () => {
+  test('personal scans are only readable by whoever took them', async () => {
+    await assertSucceeds(getDoc(doc(db('editor'), 'scans/personal')));
+    await assertFails(getDoc(doc(db('owner'), 'scans/personal')));
+    await assertFails(getDoc(doc(testEnv.unauthenticatedContext().firestore(), 'scans/personal')));
+  });
+
+  test('workspace scans are readable by every member and nobody else', async () => {
+    await assertSucceeds(getDoc(doc(db('viewer'), 'scans/shared')));
+    await assertSucceeds(getDoc(doc(db('owner'), 'scans/shared')));
+    await assertFails(getDoc(doc(db('outsider'), 'scans/shared')));
+  });
+
+  test('scans are created under the caller, and only owners and editors scan into a workspace', async () => {
+    await assertSucceeds(setDoc(doc(db('outsider'), 'scans/new'), scan('outsider')));
+    await assertFails(setDoc(doc(db('outsider'), 'scans/new'), scan('editor')));
+    await assertSucceeds(setDoc(doc(db('editor'), 'scans/new'), scan('editor', 'ws')));
+    await assertFails(setDoc(doc(db('viewer'), 'scans/new'), scan('viewer', 'ws')));
+    await assertFails(setDoc(doc(db('outsider'), 'scans/new'), scan('outsider', 'ws')));
+  });
+
+  test('whoever took a scan can change any field but its owner and workspace', async () => {
+    const firestore = db('editor');
+    await assertSucceeds(updateDoc(doc(firestore, 'scans/personal'), { qrData: 'changed', tags: ['a'] }));
+    await assertFails(updateDoc(doc(firestore, 'scans/personal'), { workspaceId: 'ws' }));
+    await assertFails(updateDoc(doc(firestore, 'scans/personal'), { userId: 'owner' }));
+    await assertFails(updateDoc(doc(firestore, 'scans/shared'), { workspaceId: null }));
+  });
+
+  test('editors can only annotate the scans other members took', async () => {
+    const firestore = db('editor');
+    await assertSucceeds(updateDoc(doc(firestore, 'scans/ownerShared'), {
+      tags: ['checked'],
+      note: 'Shelf 4',
+      searchTokens: ['sh', 'she'],
+    }));
+    await assertFails(updateDoc(doc(firestore, 'scans/ownerShared'), { qrData: 'changed' }));
+    await assertFails(updateDoc(doc(firestore, 'scans/ownerShared'), { tags: ['checked'], location: null }));
+  });
+
+  test('viewers and outsiders cannot annotate workspace scans', async () => {
+    await assertFails(updateDoc(doc(db('viewer'), 'scans/shared'), { tags: ['checked'] }));
+    await assertFails(updateDoc(doc(db('outsider'), 'scans/shared'), { tags: ['checked'] }));
+  });
+
+  test('only whoever took a scan can delete it', async () => {
+    await assertFails(deleteDoc(doc(db('owner'), 'scans/shared')));
+    await assertFails(deleteDoc(doc(db('editor'), 'scans/ownerShared')));
+    await assertSucceeds(deleteDoc(doc(db('editor'), 'scans/shared')));
+  });
+});
+
+describe('workspaces', () => {
+  test('only members can read a workspace', async () => {
+    await assertSucceeds(getDoc(doc(db('viewer'), 'workspaces/ws')));
+    await assertFails(getDoc(doc(db('outsider'), 'workspaces/ws')));
+  });
+
+  test('a new workspace has the creator as its only member and owner', async () => {
+    const firestore = db('outsider');
+    const created = {
+      name: 'Mine',
+      ownerId: 'outsider',
+      roles: { outsider: 'owner' },
+      memberIds: ['outsider'],
+      memberEmails: { outsider: USERS.outsider.email },
+    };
+    await assertSucceeds(setDoc(doc(firestore, 'workspaces/mine'), created));
+    await assertFails(setDoc(doc(firestore, 'workspaces/other'), {
+      ...created,
+      roles: { outsider: 'owner', editor: 'editor' },
+      memberIds: ['outsider', 'editor'],
+    }));
+    await assertFails(setDoc(doc(firestore, 'workspaces/other'), { ...created, ownerId: 'owner' }));
+  });
+
+  test('the owner changes roles and removes members but keeps ownership', async () => {
+    const firestore = db('owner');
+    await assertSucceeds(updateDoc(doc(firestore, 'workspaces/ws'), { 'roles.viewer': 'editor' }));
+    await assertFails(updateDoc(doc(firestore, 'workspaces/ws'), { 'roles.editor': 'owner' }));
+    await assertFails(updateDoc(doc(firestore, 'workspaces/ws'), { 'roles.owner': 'editor' }));
+    await assertFails(updateDoc(doc(firestore, 'workspaces/ws'), { ownerId: 'editor' }));
+    await assertSucceeds(updateDoc(doc(firestore, 'workspaces/ws'), {
+      'roles.editor': deleteField(),
+      'memberEmails.editor': deleteField(),
+      memberIds: arrayRemove('editor'),
+    }));
+  });
+
+  test('members cannot change roles', async () => {
+    await assertFails(updateDoc(doc(db('editor'), 'workspaces/ws'), { 'roles.viewer': 'editor' }));
+    await assertFails(updateDoc(doc(db('viewer'), 'workspaces/ws'), { 'roles.viewer': 'editor' }));
+    await assertFails(updateDoc(doc(db('editor'), 'workspaces/ws'), { name: 'Renamed' }));
+  });
+
+  test('members can leave, but the owner cannot', async () => {
+    const leave = uid => updateDoc(doc(db(uid), 'workspaces/ws'), {
+      [`roles.${uid}`]: deleteField(),
+      [`memberEmails.${uid}`]: deleteField(),
+      memberIds: arrayRemove(uid),
+    });
+    await assertSucceeds(leave('viewer'));
+    await assertFails(leave('owner'));
+  });
+
+  test('memberIds must match the roles', async () => {
+    await assertFails(updateDoc(doc(db('owner'), 'workspaces/ws'), { memberIds: arrayUnion('outsider') }));
+    await assertFails(updateDoc(doc(db('owner'), 'workspaces/ws'), { 'roles.outsider': 'editor' }));
+  });
+
+  test('only the owner can delete a workspace', async () => {
+    await assertFails(deleteDoc(doc(db('editor'), 'workspaces/ws')));
+    await assertSucceeds(deleteDoc(doc(db('owner'), 'workspaces/ws')));
+  });
+});
+
+describe('invitations', () => {
+  const INVITE_PATH = `workspaceInvites/ws_${USERS.invitee.email}`;
+  const invite = (role = 'editor') => ({
+    workspaceId: 'ws',
+    workspaceName: WORKSPACE.name,
+    email: USERS.invitee.email,
+    role,
+    invitedBy: USERS.owner.email,
+  });
+
+  test('only the owner invites, by lower-cased email, as editor or viewer', async () => {
+    await assertSucceeds(setDoc(doc(db('owner'), INVITE_PATH), invite()));
+    await assertFails(setDoc(doc(db('editor'), INVITE_PATH), invite()));
+    await assertFails(setDoc(doc(db('owner'), INVITE_PATH), invite('owner')));
+    await assertFails(setDoc(doc(db('owner'), 'workspaceInvites/ws_Invitee@example.com'), {
+      ...invite(),
+      email: 'Invitee@example.com',
+    }));
+    await assertFails(setDoc(doc(db('owner'), 'workspaceInvites/other'), invite()));
+  });
+
+  test('the invitee and the owner can see an invitation', async () => {
+    await seed({ [INVITE_PATH]: invite() });
+    await assertSucceeds(getDoc(doc(db('invitee'), INVITE_PATH)));
+    await assertSucceeds(getDoc(doc(db('owner'), INVITE_PATH)));
+    await assertFails(getDoc(doc(db('editor'), INVITE_PATH)));
+  });
+
+  test('the invitee joins with the invited role and uses up the invitation', async () => {
+    await seed({ [INVITE_PATH]: invite('viewer') });
+    const firestore = db('invitee');
+    const batch = writeBatch(firestore);
+    batch.update(doc(firestore, 'workspaces/ws'), {
+      'roles.invitee': 'viewer',
+      'memberEmails.invitee': USERS.invitee.email,
+      memberIds: arrayUnion('invitee'),
+    });
+    batch.delete(doc(firestore, INVITE_PATH));
+    await assertSucceeds(batch.commit());
+  });
+
+  test('joining needs an invitation, a verified email and the invited role', async () => {
+    await assertFails(join('invitee', 'viewer'));
+
+    await seed({ [INVITE_PATH]: invite('viewer') });
+    await assertFails(join('invitee', 'editor'));
+    await assertFails(join('invitee', 'viewer', db('invitee', { verified: false })));
+    await assertFails(join('outsider', 'viewer'));
+    await assertSucceeds(join('invitee', 'viewer'));
+  });
+
+  test('the invitee can decline and the owner can withdraw', async () => {
+    await seed({ [INVITE_PATH]: invite() });
+    await assertFails(deleteDoc(doc(db('editor'), INVITE_PATH)));
+    await assertSucceeds(deleteDoc(doc(db('invitee'), INVITE_PATH)));
+
+    await seed({ [INVITE_PATH]: invite() });
+    await assertSucceeds(deleteDoc(doc(db('owner'), INVITE_PATH)));
+  });
+});
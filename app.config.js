@@ -1,3 +1,7 @@
+// Development builds (the EAS "development" profile sets APP_VARIANT) may talk plain HTTP to a local
+// webhook stand-in; see scripts/webhook-stand-in.js
+const IS_DEV_BUILD = process.env.APP_VARIANT === "development";
+
 export default {
   expo: {
     name: "qr-scanner-app",
@@ -16,7 +20,15 @@ export default {
     },
     assetBundlePatterns: ["**/*"],
     ios: {
-      supportsTablet: true
+      supportsTablet: true,
+      infoPlist: {
+        NSPhotoLibraryAddUsageDescription: "This app saves generated QR codes to your photo library.",
+        NSPhotoLibraryUsageDescription: "This app reads QR codes and barcodes from photos you pick.",
+        // Only covers local addresses; everything else still needs HTTPS
+        NSAppTransportSecurity: {
+          NSAllowsLocalNetworking: true
+        }
+      }
     },
     android: {
       package: "com.kanhaiya25.qrscannerapp",
@@ -25,6 +37,13 @@ export default {
     web: {
       favicon: "./assets/favicon.png"
     },
+    plugins: [
+      ["expo-build-properties", {
+        android: {
+          usesCleartextTraffic: IS_DEV_BUILD
+        }
+      }]
+    ],
     extra: {
       firebaseApiKey: process.env.FIREBASE_API_KEY,
       firebaseAuthDomain: process.env.FIREBASE_AUTH_DOMAIN,
@@ -32,6 +51,7 @@ export default {
       firebaseStorageBucket: process.env.FIREBASE_STORAGE_BUCKET,
       firebaseMessagingSenderId: process.env.FIREBASE_MESSAGING_SENDER_ID,
       firebaseAppId: process.env.FIREBASE_APP_ID,
+      firebaseEmulatorHost: process.env.FIREBASE_EMULATOR_HOST,
 
       eas: {
         projectId: "c87e7e73-b804-44df-9f6c-9f599830563f"
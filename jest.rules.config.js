@@ -0,0 +1,5 @@
+// Security rules tests need the Firestore emulator, so they only run through `npm run test:rules`
+module.exports = {
+  testEnvironment: 'node',
+  testMatch: ['<rootDir>/__tests__/*.rules.test.js'],
+};
@@ -0,0 +1,59 @@
+// Local stand-in for a webhook target: logs every request it receives and answers with a fixed status.
+//
+//   npm run webhook-stand-in                     listens on port 4000 and answers 200
+//   PORT=4001 STATUS=503 npm run webhook-stand-in   e.g. to watch the outbox retry
+//
+// Point the app at http://<this machine's LAN address>:4000/ (the emulator reaches the host at 10.0.2.2).
+// Android only allows plain HTTP in development builds (APP_VARIANT=development, see app.config.js).
+// The webhook outbox tests start it too, through createWebhookStandIn.
+const http = require('http');
+
+const logRequest = (request, status) => {
+  console.log(`\n${request.at} ${request.method} ${request.url} -> ${status}`);
+  Object.entries(request.headers).forEach(([name, value]) => console.log(`  ${name}: ${value}`));
+  try {
+    console.log(JSON.stringify(JSON.parse(request.body), null, 2));
+  } catch (error) {
+    console.log(request.body);
+  }
+};
+
+// Answers with `statuses` in turn, repeating the last one, and keeps every request in `server.requests`
+const createWebhookStandIn = ({ statuses = [200], log = logRequest } = {}) => {
+  const requests = [];
+
+  const server = http.createServer((request, response) => {
+    let body = '';
+    request.on('data', (chunk) => {
+      body += chunk;
+    });
+    request.on('end', () => {
+      const status = statuses[Math.min(requests.length, statuses.length - 1)];
+      const received = {
+        at: new Date().toISOString(),
+        method: request.method,
+        url: request.url,
+        headers: request.headers,
+        body,
+      };
+      requests.push(received);
+      log(received, status);
+
+      response.writeHead(status, { 'Content-Type': 'application/json' });
+      response.end(JSON.stringify({ received: status >= 200 && status < 300 }));
+    });
+  });
+  server.requests = requests;
+  return server;
+};
+
+module.exports = { createWebhookStandIn };
+
+if (require.main === module) {
+  const port = Number(process.env.PORT) || 4000;
+  const status = Number(process.env.STATUS) || 200;
+
+  createWebhookStandIn({ statuses: [status] }).listen(port, () => {
+    console.log(`Webhook stand-in listening on port ${port}, answering ${status}`);
+  });
+}
@@ -0,0 +1,259 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  StyleSheet,
+  Modal,
+  ScrollView,
+  ActivityIndicator,
+  KeyboardAvoidingView,
+  Platform,
+} from 'react-native';
+import { parseTags, getScanTags, getScanNote, MAX_TAGS, MAX_NOTE_LENGTH } from '../utils/scanTags';
+
+// Edits the tags and note of `scan`; onSave receives { tags, note } and may return a promise
+const AnnotationEditor = ({ scan, suggestions = [], onCancel, onSave }) => {
+  const [tags, setTags] = useState([]);
+  const [tagInput, setTagInput] = useState('');
+  const [note, setNote] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!scan) return;
+    setTags(getScanTags(scan));
+    setNote(getScanNote(scan));
+    setTagInput('');
+    setError(null);
+  }, [scan]);
+
+  if (!scan) return null;
+
+  const addTags = (input) => {
+    const added = parseTags(input).filter(tag => !tags.includes(tag));
+    setError(tags.length + added.length > MAX_TAGS ? `A scan can have at most ${MAX_TAGS} tags` : null);
+    setTags(parseTags([...tags, ...added]));
+    setTagInput('');
+  };
+
+  const removeTag = (tag) => {
+    setTags(tags.filter(item => item !== tag));
+    setError(null);
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    try {
+      // Text still in the tag field counts, so users don't lose a tag by not pressing Add
+      await onSave({ tags: parseTags([...tags, ...parseTags(tagInput)]), note });
+    } catch (saveError) {
+      console.error('Error saving tags and note:', saveError);
+      setError('Failed to save. Please try again.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const unusedSuggestions = suggestions.filter(tag => !tags.includes(tag)).slice(0, 10);
+
+  return (
+    <Modal
+      visible
+      transparent
+      animationType="slide"
+      onRequestClose={onCancel}
+    >
+      <KeyboardAvoidingView
+        style={styles.backdrop}
+        behavior={Platform.OS === 'ios' ? 'padding' : undefined}
+      >
+        <View style={styles.content}>
+          <Text style={styles.title}>Tags & Note</Text>
+          <Text style={styles.subtitle} numberOfLines={1}>{scan.qrData}</Text>
+
+          <ScrollView keyboardShouldPersistTaps="handled">
+            <Text style={styles.label}>Tags</Text>
+            <View style={styles.tagRow}>
+              {tags.map(tag => (
+                <TouchableOpacity key={tag} style={styles.tag} onPress={() => removeTag(tag)}>
+                  <Text style={styles.tagText}>#{tag}  ✕</Text>
+                </TouchableOpacity>
+              ))}
+              {tags.length === 0 && <Text style={styles.emptyText}>No tags yet</Text>}
+            </View>
+
+            <View style={styles.tagInputRow}>
+              <TextInput
+                style={[styles.input, styles.tagInput]}
+                placeholder="damaged box, client site A"
+                value={tagInput}
+                onChangeText={setTagInput}
+                onSubmitEditing={() => addTags(tagInput)}
+                autoCapitalize="none"
+                autoCorrect={false}
+                returnKeyType="done"
+              />
+              <TouchableOpacity
+                style={[styles.addButton, !tagInput.trim() && styles.buttonDisabled]}
+                onPress={() => addTags(tagInput)}
+                disabled={!tagInput.trim()}
+              >
+                <Text style={styles.buttonText}>Add</Text>
+              </TouchableOpacity>
+            </View>
+
+            {unusedSuggestions.length > 0 && (
+              <View style={styles.tagRow}>
+                {unusedSuggestions.map(tag => (
+                  <TouchableOpacity
+                    key={tag}
+                    style={[styles.tag, styles.suggestion]}
+                    onPress={() => addTags([tag])}
+                  >
+                    <Text style={styles.suggestionText}>+ {tag}</Text>
+                  </TouchableOpacity>
+                ))}
+              </View>
+            )}
+
+            <Text style={styles.label}>Note</Text>
+            <TextInput
+              style={[styles.input, styles.noteInput]}
+              placeholder="Why was this scanned?"
+              value={note}
+              onChangeText={setNote}
+              maxLength={MAX_NOTE_LENGTH}
+              multiline
+            />
+            <Text style={styles.counter}>{note.length}/{MAX_NOTE_LENGTH}</Text>
+
+            {error && <Text style={styles.errorText}>{error}</Text>}
+          </ScrollView>
+
+          <View style={styles.actions}>
+            <TouchableOpacity
+              style={[styles.button, styles.secondaryButton]}
+              onPress={onCancel}
+              disabled={saving}
+            >
+              <Text style={styles.secondaryButtonText}>Cancel</Text>
+            </TouchableOpacity>
+            <TouchableOpacity style={styles.button} onPress={handleSave} disabled={saving}>
+              {saving ? (
+                <ActivityIndicator color="white" />
+              ) : (
+                <Text style={styles.buttonText}>Save</Text>
+              )}
+            </TouchableOpacity>
+          </View>
+        </View>
+      </KeyboardAvoidingView>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  backdrop: {
+    flex: 1,
+    justifyContent: 'flex-end',
+    backgroundColor: 'rgba(0,0,0,0.5)',
+  },
+  content: {
+    backgroundColor: 'white',
+    borderTopLeftRadius: 16,
+    borderTopRightRadius: 16,
+    padding: 20,
+    maxHeight: '85%',
+  },
+  title: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: '#333',
+    textAlign: 'center',
+  },
+  subtitle: {
+    fontSize: 14,
+    color: '#666',
+    textAlign: 'center',
+    marginTop: 5,
+    marginBottom: 10,
+  },
+  label: {
+    fontSize: 14,
+    fontWeight: 'bold',
+    color: '#666',
+    marginTop: 10,
+    marginBottom: 6,
+  },
+  tagRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginBottom: 4,
+  },
+  tag: {
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 16,
+    marginRight: 8,
+    marginBottom: 8,
+    backgroundColor: '#E3F2FD',
+  },
+  tagText: { color: '#1976D2', fontWeight: 'bold' },
+  suggestion: { backgroundColor: '#f0f0f0' },
+  suggestionText: { color: '#666' },
+  emptyText: { color: '#999', marginBottom: 8 },
+  tagInputRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 8,
+  },
+  input: {
+    backgroundColor: '#f0f0f0',
+    paddingHorizontal: 15,
+    paddingVertical: 10,
+    borderRadius: 8,
+    fontSize: 16,
+  },
+  tagInput: { flex: 1 },
+  noteInput: {
+    minHeight: 90,
+    textAlignVertical: 'top',
+  },
+  counter: {
+    fontSize: 12,
+    color: '#999',
+    textAlign: 'right',
+    marginTop: 4,
+  },
+  errorText: {
+    color: '#F44336',
+    marginTop: 8,
+  },
+  addButton: {
+    backgroundColor: '#2196F3',
+    paddingHorizontal: 16,
+    paddingVertical: 12,
+    borderRadius: 8,
+    marginLeft: 8,
+  },
+  actions: {
+    flexDirection: 'row',
+    marginTop: 15,
+  },
+  button: {
+    flex: 1,
+    backgroundColor: '#2196F3',
+    padding: 15,
+    borderRadius: 8,
+    alignItems: 'center',
+    marginHorizontal: 5,
+  },
+  buttonDisabled: { opacity: 0.5 },
+  buttonText: { color: 'white', fontSize: 16, fontWeight: 'bold' },
+  secondaryButton: { backgroundColor: '#f0f0f0' },
+  secondaryButtonText: { color: '#333', fontSize: 16, fontWeight: 'bold' },
+});
+
+export default AnnotationEditor;
@@ -0,0 +1,68 @@
+import React from 'react';
+import { View, Text, StyleSheet, ScrollView } from 'react-native';
+
+const BAR_WIDTH = 18;
+const BAR_GAP = 6;
+
+// Minimal vertical bar chart; `data` is [{ key, label, value }] and every `labelEvery`-th label is shown
+const BarChart = ({ data, color = '#2196F3', height = 140, labelEvery = 1 }) => {
+  const max = Math.max(1, ...data.map(item => item.value));
+
+  return (
+    <ScrollView horizontal showsHorizontalScrollIndicator={false}>
+      <View style={styles.chart}>
+        {data.map((item, index) => (
+          <View key={item.key} style={styles.column}>
+            <Text style={styles.value}>{item.value > 0 ? item.value : ''}</Text>
+            <View style={[styles.track, { height }]}>
+              <View
+                style={[
+                  styles.bar,
+                  { height: (item.value / max) * height, backgroundColor: color },
+                ]}
+              />
+            </View>
+            <Text style={styles.label} numberOfLines={1}>
+              {index % labelEvery === 0 ? item.label : ''}
+            </Text>
+          </View>
+        ))}
+      </View>
+    </ScrollView>
+  );
+};
+
+const styles = StyleSheet.create({
+  chart: {
+    flexDirection: 'row',
+    alignItems: 'flex-end',
+    paddingVertical: 5,
+  },
+  column: {
+    width: BAR_WIDTH + BAR_GAP,
+    alignItems: 'center',
+  },
+  value: {
+    fontSize: 9,
+    color: '#888',
+    marginBottom: 2,
+  },
+  track: {
+    width: BAR_WIDTH,
+    justifyContent: 'flex-end',
+  },
+  bar: {
+    width: BAR_WIDTH,
+    borderTopLeftRadius: 3,
+    borderTopRightRadius: 3,
+  },
+  label: {
+    width: 40,
+    fontSize: 9,
+    color: '#888',
+    textAlign: 'center',
+    marginTop: 4,
+  },
+});
+
+export default BarChart;
@@ -0,0 +1,124 @@
+import React from 'react';
+import {
+  View,
+  Text,
+  TouchableOpacity,
+  StyleSheet,
+  Modal,
+  FlatList,
+} from 'react-native';
+import { getParsedTitle } from '../utils/qrParser';
+import { getSymbologyLabel } from '../utils/symbology';
+import { QR_TYPES } from '../utils/constants';
+
+const BatchSummary = ({ visible, items, onContinue, onFinish }) => {
+  const pendingCount = items.filter(item => item.pending).length;
+
+  const renderItem = ({ item, index }) => (
+    <View style={styles.item}>
+      <Text style={styles.itemIndex}>{index + 1}.</Text>
+      <Text style={styles.itemIcon}>{QR_TYPES[item.parsed.type].icon}</Text>
+      <View style={styles.itemInfo}>
+        <Text style={styles.itemTitle} numberOfLines={1}>{getParsedTitle(item.parsed)}</Text>
+        <Text style={styles.itemMeta}>
+          {getSymbologyLabel(item.symbology)}
+          {item.pending && ' · ⏳ Pending sync'}
+        </Text>
+      </View>
+    </View>
+  );
+
+  return (
+    <Modal
+      visible={visible}
+      transparent
+      animationType="slide"
+      onRequestClose={onContinue}
+    >
+      <View style={styles.backdrop}>
+        <View style={styles.content}>
+          <Text style={styles.title}>Batch Summary</Text>
+          <Text style={styles.subtitle}>
+            {items.length} {items.length === 1 ? 'code' : 'codes'} captured
+            {pendingCount > 0 && ` (${pendingCount} waiting to sync)`}
+          </Text>
+
+          <FlatList
+            data={items}
+            renderItem={renderItem}
+            keyExtractor={(item) => item.scanId}
+            style={styles.list}
+          />
+
+          <View style={styles.actions}>
+            <TouchableOpacity style={[styles.button, styles.secondaryButton]} onPress={onContinue}>
+              <Text style={styles.secondaryButtonText}>Keep Scanning</Text>
+            </TouchableOpacity>
+            <TouchableOpacity style={styles.button} onPress={onFinish}>
+              <Text style={styles.buttonText}>Done</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  backdrop: {
+    flex: 1,
+    justifyContent: 'flex-end',
+    backgroundColor: 'rgba(0,0,0,0.5)',
+  },
+  content: {
+    backgroundColor: 'white',
+    borderTopLeftRadius: 16,
+    borderTopRightRadius: 16,
+    paddingVertical: 20,
+    maxHeight: '80%',
+  },
+  title: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: '#333',
+    textAlign: 'center',
+  },
+  subtitle: {
+    fontSize: 14,
+    color: '#666',
+    textAlign: 'center',
+    marginTop: 5,
+    marginBottom: 10,
+  },
+  list: { paddingHorizontal: 20 },
+  item: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 10,
+    borderBottomWidth: 1,
+    borderBottomColor: '#eee',
+  },
+  itemIndex: { width: 30, color: '#999' },
+  itemIcon: { fontSize: 18, marginRight: 10 },
+  itemInfo: { flex: 1 },
+  itemTitle: { fontSize: 15, fontWeight: '600', color: '#333' },
+  itemMeta: { fontSize: 12, color: '#888', marginTop: 2 },
+  actions: {
+    flexDirection: 'row',
+    paddingHorizontal: 15,
+    marginTop: 15,
+  },
+  button: {
+    flex: 1,
+    backgroundColor: '#2196F3',
+    padding: 15,
+    borderRadius: 8,
+    alignItems: 'center',
+    marginHorizontal: 5,
+  },
+  buttonText: { color: 'white', fontSize: 16, fontWeight: 'bold' },
+  secondaryButton: { backgroundColor: '#f0f0f0' },
+  secondaryButtonText: { color: '#333', fontSize: 16, fontWeight: 'bold' },
+});
+
+export default BatchSummary;
@@ -0,0 +1,170 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  TouchableOpacity,
+  StyleSheet,
+  Modal,
+  Platform,
+} from 'react-native';
+import DateTimePicker from '@react-native-community/datetimepicker';
+import { startOfDay } from '../utils/dateFilters';
+
+const formatDay = (date) =>
+  date
+    ? new Intl.DateTimeFormat('en-US', { month: 'short', day: 'numeric', year: 'numeric' }).format(date)
+    : 'Any';
+
+// Picks a { from, to } range of whole days; either end may be left open
+const DateRangePicker = ({ visible, initialRange, onCancel, onApply }) => {
+  const [range, setRange] = useState({ from: null, to: null });
+  const [editing, setEditing] = useState(null); // from, to
+
+  useEffect(() => {
+    if (!visible) return;
+    setRange({ from: initialRange?.from || null, to: initialRange?.to || null });
+    setEditing(null);
+  }, [visible]);
+
+  const handleChange = (event, date) => {
+    // Android shows the picker as a dialog that closes itself
+    if (Platform.OS === 'android') {
+      setEditing(null);
+    }
+    if (event.type === 'dismissed' || !date) return;
+    setRange(current => ({ ...current, [editing]: startOfDay(date) }));
+  };
+
+  const invalid = range.from && range.to && range.from > range.to;
+
+  const renderRow = (key, label) => (
+    <View style={styles.row}>
+      <Text style={styles.rowLabel}>{label}</Text>
+      <TouchableOpacity
+        style={[styles.dateButton, editing === key && styles.dateButtonActive]}
+        onPress={() => setEditing(editing === key ? null : key)}
+      >
+        <Text style={styles.dateButtonText}>{formatDay(range[key])}</Text>
+      </TouchableOpacity>
+      {range[key] && (
+        <TouchableOpacity onPress={() => setRange(current => ({ ...current, [key]: null }))}>
+          <Text style={styles.clearText}>Clear</Text>
+        </TouchableOpacity>
+      )}
+    </View>
+  );
+
+  return (
+    <Modal
+      visible={visible}
+      transparent
+      animationType="slide"
+      onRequestClose={onCancel}
+    >
+      <View style={styles.backdrop}>
+        <View style={styles.content}>
+          <Text style={styles.title}>Custom Date Range</Text>
+
+          {renderRow('from', 'From')}
+          {renderRow('to', 'To')}
+
+          {editing && (
+            <DateTimePicker
+              value={range[editing] || new Date()}
+              mode="date"
+              display={Platform.OS === 'ios' ? 'inline' : 'default'}
+              maximumDate={new Date()}
+              onChange={handleChange}
+            />
+          )}
+
+          {invalid && <Text style={styles.errorText}>The start date must be before the end date</Text>}
+
+          <View style={styles.actions}>
+            <TouchableOpacity style={[styles.button, styles.secondaryButton]} onPress={onCancel}>
+              <Text style={styles.secondaryButtonText}>Cancel</Text>
+            </TouchableOpacity>
+            <TouchableOpacity
+              style={[styles.button, (invalid || (!range.from && !range.to)) && styles.buttonDisabled]}
+              onPress={() => onApply(range)}
+              disabled={invalid || (!range.from && !range.to)}
+            >
+              <Text style={styles.buttonText}>Apply</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  backdrop: {
+    flex: 1,
+    justifyContent: 'flex-end',
+    backgroundColor: 'rgba(0,0,0,0.5)',
+  },
+  content: {
+    backgroundColor: 'white',
+    borderTopLeftRadius: 16,
+    borderTopRightRadius: 16,
+    padding: 20,
+  },
+  title: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: '#333',
+    textAlign: 'center',
+    marginBottom: 15,
+  },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 12,
+  },
+  rowLabel: {
+    width: 60,
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: '#666',
+  },
+  dateButton: {
+    flex: 1,
+    backgroundColor: '#f0f0f0',
+    paddingHorizontal: 15,
+    paddingVertical: 12,
+    borderRadius: 8,
+  },
+  dateButtonActive: {
+    borderWidth: 2,
+    borderColor: '#2196F3',
+  },
+  dateButtonText: { fontSize: 16, color: '#333' },
+  clearText: {
+    color: '#2196F3',
+    fontWeight: 'bold',
+    marginLeft: 12,
+  },
+  errorText: {
+    color: '#F44336',
+    marginTop: 5,
+  },
+  actions: {
+    flexDirection: 'row',
+    marginTop: 15,
+  },
+  button: {
+    flex: 1,
+    backgroundColor: '#2196F3',
+    padding: 15,
+    borderRadius: 8,
+    alignItems: 'center',
+    marginHorizontal: 5,
+  },
+  buttonDisabled: { opacity: 0.5 },
+  buttonText: { color: 'white', fontSize: 16, fontWeight: 'bold' },
+  secondaryButton: { backgroundColor: '#f0f0f0' },
+  secondaryButtonText: { color: '#333', fontSize: 16, fontWeight: 'bold' },
+});
+
+export default DateRangePicker;
@@ -0,0 +1,95 @@
+import React from 'react';
+import { View, Text, TouchableOpacity, StyleSheet, Modal } from 'react-native';
+import { EXPORT_FORMATS } from '../utils/scanExport';
+
+const FORMAT_DESCRIPTIONS = {
+  csv: 'Spreadsheet friendly, one row per scan',
+  json: 'Every field, including the parsed payload',
+  geojson: 'Scans with a location, for mapping tools',
+};
+
+const ExportSheet = ({ visible, scanCount, locatedCount, onSelect, onClose }) => (
+  <Modal
+    visible={visible}
+    transparent
+    animationType="slide"
+    onRequestClose={onClose}
+  >
+    <View style={styles.backdrop}>
+      <View style={styles.content}>
+        <Text style={styles.title}>Export Scans</Text>
+        <Text style={styles.subtitle}>
+          {scanCount} {scanCount === 1 ? 'scan' : 'scans'} in the current view
+        </Text>
+
+        {Object.keys(EXPORT_FORMATS).map((format) => {
+          const disabled = format === 'geojson' ? locatedCount === 0 : scanCount === 0;
+          return (
+            <TouchableOpacity
+              key={format}
+              style={[styles.option, disabled && styles.optionDisabled]}
+              onPress={() => onSelect(format)}
+              disabled={disabled}
+            >
+              <Text style={styles.optionLabel}>{EXPORT_FORMATS[format].label}</Text>
+              <Text style={styles.optionDescription}>
+                {format === 'geojson'
+                  ? `${FORMAT_DESCRIPTIONS[format]} (${locatedCount})`
+                  : FORMAT_DESCRIPTIONS[format]}
+              </Text>
+            </TouchableOpacity>
+          );
+        })}
+
+        <TouchableOpacity style={styles.cancelButton} onPress={onClose}>
+          <Text style={styles.cancelText}>Cancel</Text>
+        </TouchableOpacity>
+      </View>
+    </View>
+  </Modal>
+);
+
+const styles = StyleSheet.create({
+  backdrop: {
+    flex: 1,
+    justifyContent: 'flex-end',
+    backgroundColor: 'rgba(0,0,0,0.5)',
+  },
+  content: {
+    backgroundColor: 'white',
+    borderTopLeftRadius: 16,
+    borderTopRightRadius: 16,
+    padding: 20,
+  },
+  title: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: '#333',
+    textAlign: 'center',
+  },
+  subtitle: {
+    fontSize: 14,
+    color: '#666',
+    textAlign: 'center',
+    marginTop: 5,
+    marginBottom: 15,
+  },
+  option: {
+    paddingVertical: 14,
+    borderBottomWidth: 1,
+    borderBottomColor: '#eee',
+  },
+  optionDisabled: { opacity: 0.4 },
+  optionLabel: { fontSize: 16, fontWeight: 'bold', color: '#2196F3' },
+  optionDescription: { fontSize: 13, color: '#888', marginTop: 2 },
+  cancelButton: {
+    marginTop: 15,
+    padding: 15,
+    borderRadius: 8,
+    alignItems: 'center',
+    backgroundColor: '#f0f0f0',
+  },
+  cancelText: { fontSize: 16, fontWeight: 'bold', color: '#333' },
+});
+
+export default ExportSheet;
@@ -0,0 +1,145 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  TouchableOpacity,
+  StyleSheet,
+  Modal,
+  FlatList,
+} from 'react-native';
+import { parseQRData, getParsedTitle } from '../utils/qrParser';
+import { getSymbologyLabel, normalizeSymbology } from '../utils/symbology';
+import { QR_TYPES } from '../utils/constants';
+
+const getCodeKey = (code) => `${code.type}:${code.data}`;
+
+// Lets the user choose which of the codes found in an image to save; all are selected at first
+const ImageCodePicker = ({ codes, onCancel, onSave }) => {
+  const [selected, setSelected] = useState([]);
+
+  useEffect(() => {
+    setSelected(codes ? codes.map(getCodeKey) : []);
+  }, [codes]);
+
+  const toggleCode = (key) => {
+    setSelected(current =>
+      current.includes(key) ? current.filter(item => item !== key) : [...current, key]
+    );
+  };
+
+  const renderItem = ({ item }) => {
+    const key = getCodeKey(item);
+    const checked = selected.includes(key);
+    const parsed = parseQRData(item.data);
+
+    return (
+      <TouchableOpacity style={styles.item} onPress={() => toggleCode(key)} activeOpacity={0.7}>
+        <Text style={styles.checkbox}>{checked ? '☑' : '☐'}</Text>
+        <Text style={styles.itemIcon}>{QR_TYPES[parsed.type].icon}</Text>
+        <View style={styles.itemInfo}>
+          <Text style={styles.itemTitle} numberOfLines={1}>{getParsedTitle(parsed)}</Text>
+          <Text style={styles.itemMeta}>{getSymbologyLabel(normalizeSymbology(item.type))}</Text>
+        </View>
+      </TouchableOpacity>
+    );
+  };
+
+  return (
+    <Modal
+      visible={!!codes}
+      transparent
+      animationType="slide"
+      onRequestClose={onCancel}
+    >
+      <View style={styles.backdrop}>
+        <View style={styles.content}>
+          <Text style={styles.title}>Codes in Image</Text>
+          <Text style={styles.subtitle}>
+            {codes?.length} codes found · {selected.length} selected
+          </Text>
+
+          <FlatList
+            data={codes || []}
+            renderItem={renderItem}
+            keyExtractor={getCodeKey}
+            extraData={selected}
+            style={styles.list}
+          />
+
+          <View style={styles.actions}>
+            <TouchableOpacity style={[styles.button, styles.secondaryButton]} onPress={onCancel}>
+              <Text style={styles.secondaryButtonText}>Cancel</Text>
+            </TouchableOpacity>
+            <TouchableOpacity
+              style={[styles.button, selected.length === 0 && styles.buttonDisabled]}
+              onPress={() => onSave(codes.filter(code => selected.includes(getCodeKey(code))))}
+              disabled={selected.length === 0}
+            >
+              <Text style={styles.buttonText}>Save {selected.length}</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  backdrop: {
+    flex: 1,
+    justifyContent: 'flex-end',
+    backgroundColor: 'rgba(0,0,0,0.5)',
+  },
+  content: {
+    backgroundColor: 'white',
+    borderTopLeftRadius: 16,
+    borderTopRightRadius: 16,
+    paddingVertical: 20,
+    maxHeight: '80%',
+  },
+  title: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: '#333',
+    textAlign: 'center',
+  },
+  subtitle: {
+    fontSize: 14,
+    color: '#666',
+    textAlign: 'center',
+    marginTop: 5,
+    marginBottom: 10,
+  },
+  list: { paddingHorizontal: 20 },
+  item: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 10,
+    borderBottomWidth: 1,
+    borderBottomColor: '#eee',
+  },
+  checkbox: { width: 30, fontSize: 20, color: '#2196F3' },
+  itemIcon: { fontSize: 18, marginRight: 10 },
+  itemInfo: { flex: 1 },
+  itemTitle: { fontSize: 15, fontWeight: '600', color: '#333' },
+  itemMeta: { fontSize: 12, color: '#888', marginTop: 2 },
+  actions: {
+    flexDirection: 'row',
+    paddingHorizontal: 15,
+    marginTop: 15,
+  },
+  button: {
+    flex: 1,
+    backgroundColor: '#2196F3',
+    padding: 15,
+    borderRadius: 8,
+    alignItems: 'center',
+    marginHorizontal: 5,
+  },
+  buttonDisabled: { opacity: 0.5 },
+  buttonText: { color: 'white', fontSize: 16, fontWeight: 'bold' },
+  secondaryButton: { backgroundColor: '#f0f0f0' },
+  secondaryButtonText: { color: '#333', fontSize: 16, fontWeight: 'bold' },
+});
+
+export default ImageCodePicker;
@@ -0,0 +1,124 @@
+import React from 'react';
+import {
+  View,
+  Text,
+  TouchableOpacity,
+  StyleSheet,
+  Modal,
+  FlatList,
+} from 'react-native';
+
+const MAX_LISTED_REJECTIONS = 100;
+
+const ImportReport = ({ report, onClose }) => {
+  if (!report) return null;
+
+  const rows = [
+    { label: 'Imported', value: report.imported, color: '#4CAF50' },
+    { label: 'Merged into existing scans', value: report.merged, color: '#2196F3' },
+    { label: 'Skipped as duplicates', value: report.skipped, color: '#FF9800' },
+    { label: 'Rejected', value: report.rejected.length, color: '#F44336' },
+  ];
+
+  return (
+    <Modal
+      visible
+      transparent
+      animationType="slide"
+      onRequestClose={onClose}
+    >
+      <View style={styles.backdrop}>
+        <View style={styles.content}>
+          <Text style={styles.title}>Import Report</Text>
+          <Text style={styles.fileName} numberOfLines={1}>{report.fileName}</Text>
+
+          {rows.map(row => (
+            <View key={row.label} style={styles.countRow}>
+              <Text style={styles.countLabel}>{row.label}</Text>
+              <Text style={[styles.countValue, { color: row.color }]}>{row.value}</Text>
+            </View>
+          ))}
+
+          {report.rejected.length > 0 && (
+            <>
+              <Text style={styles.sectionTitle}>Rejected rows</Text>
+              <FlatList
+                data={report.rejected.slice(0, MAX_LISTED_REJECTIONS)}
+                keyExtractor={(item) => String(item.row)}
+                style={styles.rejectedList}
+                renderItem={({ item }) => (
+                  <Text style={styles.rejectedText}>Row {item.row}: {item.error}</Text>
+                )}
+                ListFooterComponent={report.rejected.length > MAX_LISTED_REJECTIONS ? (
+                  <Text style={styles.rejectedText}>
+                    …and {report.rejected.length - MAX_LISTED_REJECTIONS} more
+                  </Text>
+                ) : null}
+              />
+            </>
+          )}
+
+          <TouchableOpacity style={styles.button} onPress={onClose}>
+            <Text style={styles.buttonText}>Done</Text>
+          </TouchableOpacity>
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  backdrop: {
+    flex: 1,
+    justifyContent: 'flex-end',
+    backgroundColor: 'rgba(0,0,0,0.5)',
+  },
+  content: {
+    backgroundColor: 'white',
+    borderTopLeftRadius: 16,
+    borderTopRightRadius: 16,
+    padding: 20,
+    maxHeight: '80%',
+  },
+  title: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: '#333',
+    textAlign: 'center',
+  },
+  fileName: {
+    fontSize: 13,
+    color: '#888',
+    textAlign: 'center',
+    marginTop: 4,
+    marginBottom: 15,
+  },
+  countRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    paddingVertical: 8,
+    borderBottomWidth: 1,
+    borderBottomColor: '#eee',
+  },
+  countLabel: { fontSize: 16, color: '#333' },
+  countValue: { fontSize: 16, fontWeight: 'bold' },
+  sectionTitle: {
+    fontSize: 14,
+    fontWeight: 'bold',
+    color: '#666',
+    marginTop: 15,
+    marginBottom: 5,
+  },
+  rejectedList: { maxHeight: 180 },
+  rejectedText: { fontSize: 13, color: '#F44336', paddingVertical: 2 },
+  button: {
+    backgroundColor: '#2196F3',
+    padding: 15,
+    borderRadius: 8,
+    alignItems: 'center',
+    marginTop: 20,
+  },
+  buttonText: { color: 'white', fontSize: 16, fontWeight: 'bold' },
+});
+
+export default ImportReport;
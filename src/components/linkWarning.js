@@ -0,0 +1,154 @@
+import React from 'react';
+import {
+  View,
+  Text,
+  TouchableOpacity,
+  StyleSheet,
+  Modal,
+  ScrollView,
+} from 'react-native';
+import { RISK_LEVELS } from '../utils/urlRisk';
+
+// Interstitial shown before opening a scanned link; `warning` is { url, level, findings } from analyzeUrl
+const LinkWarning = ({ warning, onCancel, onOpen }) => {
+  if (!warning) return null;
+
+  const risk = RISK_LEVELS[warning.level];
+  const canOpen = !warning.findings.some(finding => finding.id === 'dangerousScheme');
+
+  return (
+    <Modal
+      visible
+      transparent
+      animationType="fade"
+      onRequestClose={onCancel}
+    >
+      <View style={styles.backdrop}>
+        <View style={styles.content}>
+          <View style={[styles.banner, { backgroundColor: risk.color }]}>
+            <Text style={styles.bannerIcon}>{risk.icon}</Text>
+            <Text style={styles.bannerText}>{risk.label} link</Text>
+          </View>
+
+          <Text style={styles.label}>This code opens</Text>
+          <Text style={styles.url} selectable>{warning.url}</Text>
+
+          <Text style={styles.label}>Why you are seeing this</Text>
+          <ScrollView style={styles.findings}>
+            {warning.findings.map(finding => (
+              <View key={finding.id} style={styles.finding}>
+                <View
+                  style={[styles.findingDot, { backgroundColor: RISK_LEVELS[finding.severity].color }]}
+                />
+                <Text style={styles.findingText}>{finding.message}</Text>
+              </View>
+            ))}
+          </ScrollView>
+
+          <Text style={styles.hint}>
+            {canOpen
+              ? 'Only continue if you trust where this code came from. Check stickers on parking meters and posters for tampering.'
+              : 'Links like this are blocked because they can run code on your device.'}
+          </Text>
+
+          <View style={styles.actions}>
+            <TouchableOpacity style={[styles.button, styles.cancelButton]} onPress={onCancel}>
+              <Text style={styles.cancelButtonText}>{canOpen ? 'Cancel' : 'Close'}</Text>
+            </TouchableOpacity>
+            {canOpen && (
+              <TouchableOpacity
+                style={[styles.button, { backgroundColor: risk.color }]}
+                onPress={() => onOpen(warning.url)}
+              >
+                <Text style={styles.buttonText}>Open Anyway</Text>
+              </TouchableOpacity>
+            )}
+          </View>
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  backdrop: {
+    flex: 1,
+    justifyContent: 'center',
+    padding: 20,
+    backgroundColor: 'rgba(0,0,0,0.5)',
+  },
+  content: {
+    backgroundColor: 'white',
+    borderRadius: 16,
+    overflow: 'hidden',
+    paddingBottom: 20,
+    maxHeight: '85%',
+  },
+  banner: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    padding: 15,
+    marginBottom: 10,
+  },
+  bannerIcon: { fontSize: 22, marginRight: 8 },
+  bannerText: { color: 'white', fontSize: 18, fontWeight: 'bold' },
+  label: {
+    fontSize: 12,
+    fontWeight: 'bold',
+    color: '#888',
+    textTransform: 'uppercase',
+    marginTop: 10,
+    marginHorizontal: 20,
+  },
+  url: {
+    fontSize: 15,
+    color: '#333',
+    marginTop: 5,
+    marginHorizontal: 20,
+    padding: 10,
+    borderRadius: 8,
+    backgroundColor: '#f5f5f5',
+  },
+  findings: {
+    marginTop: 5,
+    paddingHorizontal: 20,
+    flexGrow: 0,
+  },
+  finding: {
+    flexDirection: 'row',
+    alignItems: 'flex-start',
+    paddingVertical: 6,
+  },
+  findingDot: {
+    width: 10,
+    height: 10,
+    borderRadius: 5,
+    marginTop: 5,
+    marginRight: 10,
+  },
+  findingText: { flex: 1, fontSize: 14, color: '#333' },
+  hint: {
+    fontSize: 13,
+    color: '#666',
+    marginTop: 15,
+    marginHorizontal: 20,
+  },
+  actions: {
+    flexDirection: 'row',
+    paddingHorizontal: 15,
+    marginTop: 20,
+  },
+  button: {
+    flex: 1,
+    padding: 15,
+    borderRadius: 8,
+    alignItems: 'center',
+    marginHorizontal: 5,
+  },
+  buttonText: { color: 'white', fontSize: 16, fontWeight: 'bold' },
+  cancelButton: { backgroundColor: '#f0f0f0' },
+  cancelButtonText: { color: '#333', fontSize: 16, fontWeight: 'bold' },
+});
+
+export default LinkWarning;
@@ -0,0 +1,155 @@
+import React from 'react';
+import {
+  View,
+  Text,
+  TouchableOpacity,
+  StyleSheet,
+  Modal,
+  FlatList,
+  ActivityIndicator,
+} from 'react-native';
+import { MANIFEST_STATUSES } from '../utils/manifest';
+
+// Lines that need attention come first, in this order
+const STATUS_ORDER = ['missing', 'short', 'over', 'unexpected', 'matched'];
+
+const ManifestReport = ({ report, exporting, onContinue, onExport, onFinish }) => {
+  const lines = report
+    ? [...report.lines].sort((a, b) => STATUS_ORDER.indexOf(a.status) - STATUS_ORDER.indexOf(b.status))
+    : [];
+  const counts = lines.reduce((result, line) => {
+    result[line.status] = (result[line.status] || 0) + 1;
+    return result;
+  }, {});
+
+  const renderItem = ({ item }) => {
+    const status = MANIFEST_STATUSES[item.status];
+    return (
+      <View style={styles.item}>
+        <Text style={styles.itemIcon}>{status.icon}</Text>
+        <View style={styles.itemInfo}>
+          <Text style={styles.itemTitle} numberOfLines={1}>{item.label || item.code}</Text>
+          {item.label ? <Text style={styles.itemMeta} numberOfLines={1}>{item.code}</Text> : null}
+        </View>
+        <Text style={[styles.itemCount, { color: status.color }]}>
+          {item.scanned}/{item.expected}
+        </Text>
+      </View>
+    );
+  };
+
+  return (
+    <Modal
+      visible={!!report}
+      transparent
+      animationType="slide"
+      onRequestClose={onContinue}
+    >
+      <View style={styles.backdrop}>
+        <View style={styles.content}>
+          <Text style={styles.title}>Stock Count Report</Text>
+          <Text style={styles.subtitle}>{report?.name}</Text>
+
+          <View style={styles.statusRow}>
+            {STATUS_ORDER.map(key => (
+              <View key={key} style={styles.statusCell}>
+                <Text style={[styles.statusCount, { color: MANIFEST_STATUSES[key].color }]}>{counts[key] || 0}</Text>
+                <Text style={styles.statusLabel}>{MANIFEST_STATUSES[key].label}</Text>
+              </View>
+            ))}
+          </View>
+
+          <FlatList
+            data={lines}
+            renderItem={renderItem}
+            keyExtractor={(item) => `${item.status}|${item.code}`}
+            style={styles.list}
+          />
+
+          <View style={styles.actions}>
+            <TouchableOpacity style={[styles.button, styles.secondaryButton]} onPress={onContinue}>
+              <Text style={styles.secondaryButtonText}>Keep Scanning</Text>
+            </TouchableOpacity>
+            <TouchableOpacity style={[styles.button, styles.secondaryButton]} onPress={onExport} disabled={exporting}>
+              {exporting ? (
+                <ActivityIndicator color="#333" />
+              ) : (
+                <Text style={styles.secondaryButtonText}>Export</Text>
+              )}
+            </TouchableOpacity>
+            <TouchableOpacity style={styles.button} onPress={onFinish}>
+              <Text style={styles.buttonText}>Done</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  backdrop: {
+    flex: 1,
+    justifyContent: 'flex-end',
+    backgroundColor: 'rgba(0,0,0,0.5)',
+  },
+  content: {
+    backgroundColor: 'white',
+    borderTopLeftRadius: 16,
+    borderTopRightRadius: 16,
+    paddingVertical: 20,
+    maxHeight: '85%',
+  },
+  title: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: '#333',
+    textAlign: 'center',
+  },
+  subtitle: {
+    fontSize: 14,
+    color: '#666',
+    textAlign: 'center',
+    marginTop: 5,
+    marginBottom: 10,
+  },
+  statusRow: {
+    flexDirection: 'row',
+    paddingHorizontal: 10,
+    marginBottom: 10,
+  },
+  statusCell: { flex: 1, alignItems: 'center' },
+  statusCount: { fontSize: 20, fontWeight: 'bold' },
+  statusLabel: { fontSize: 11, color: '#666', textAlign: 'center' },
+  list: { paddingHorizontal: 20 },
+  item: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 10,
+    borderBottomWidth: 1,
+    borderBottomColor: '#eee',
+  },
+  itemIcon: { fontSize: 16, marginRight: 10 },
+  itemInfo: { flex: 1 },
+  itemTitle: { fontSize: 15, fontWeight: '600', color: '#333' },
+  itemMeta: { fontSize: 12, color: '#888', marginTop: 2 },
+  itemCount: { fontSize: 16, fontWeight: 'bold', marginLeft: 10 },
+  actions: {
+    flexDirection: 'row',
+    paddingHorizontal: 15,
+    marginTop: 15,
+  },
+  button: {
+    flex: 1,
+    backgroundColor: '#2196F3',
+    padding: 15,
+    borderRadius: 8,
+    alignItems: 'center',
+    marginHorizontal: 5,
+  },
+  buttonText: { color: 'white', fontSize: 16, fontWeight: 'bold' },
+  secondaryButton: { backgroundColor: '#f0f0f0' },
+  secondaryButtonText: { color: '#333', fontSize: 16, fontWeight: 'bold' },
+});
+
+export default ManifestReport;
@@ -8,11 +8,45 @@ import {
   Dimensions,
   ActivityIndicator,
 } from 'react-native';
-import { Camera } from 'expo-camera';
-import * as Location from 'expo-location';
-import { collection, addDoc, serverTimestamp } from 'firebase/firestore';
-import { db } from '../services/firebase';
+import { Camera, CameraView } from 'expo-camera';
+import { getCurrentLocation } from '../services/location';
+import { getPayloadHistory } from '../services/payloadHistory';
+import { pickScanImage, decodeImageCodes } from '../services/imageScan';
 import { useAuth } from '../context/AuthContext';
+import { useScanRepository } from '../context/ScanRepositoryContext';
+import { parseQRData, formatParsedData, getParsedTitle } from '../utils/qrParser';
+import { QR_TYPES } from '../utils/constants';
+import { buildSearchTokens } from '../utils/searchTokens';
+import { summarizeUrlRisk, RISK_LEVELS } from '../utils/urlRisk';
+import { normalizeSymbology, getSymbologyLabel, getBarcodeTypes } from '../utils/symbology';
+import {
+  getEnabledSymbologies,
+  setEnabledSymbologies,
+  getDuplicateWindow,
+  getScanWorkspace,
+  setScanWorkspace,
+  setDuplicateWindow,
+  getRecentTags,
+} from '../services/settings';
+import { saveScanAnnotations } from '../services/scanAnnotations';
+import { subscribeToWorkspaces, canScanInto } from '../services/workspaces';
+import { pickImportFile } from '../services/importScans';
+import { forwardScan } from '../services/webhookOutbox';
+import { exportReconciliation } from '../services/exportScans';
+import {
+  parseManifest,
+  createManifestSession,
+  recordManifestScan,
+  summarizeManifest,
+  buildReconciliation,
+} from '../utils/manifest';
+import ScannerSettings from './scannerSettings';
+import ScanToast from './scanToast';
+import BatchSummary from './batchSummary';
+import AnnotationEditor from './annotationEditor';
+import ImageCodePicker from './imageCodePicker';
+import WorkspacePicker from './workspacePicker';
+import ManifestReport from './manifestReport';
 
 const { width, height } = Dimensions.get('window');
 
@@ -20,8 +54,29 @@ const QRScanner = ({ onClose, onScanComplete }) => {
   const [hasPermission, setHasPermission] = useState(null);
   const [scanned, setScanned] = useState(false);
   const [loading, setLoading] = useState(false);
+  const [enabledSymbologies, setEnabledSymbologiesState] = useState(null);
+  const [showSettings, setShowSettings] = useState(false);
+  const [duplicateWindow, setDuplicateWindowState] = useState(null);
+  const [batchMode, setBatchMode] = useState(false);
+  const [batchItems, setBatchItems] = useState([]);
+  const [showBatchSummary, setShowBatchSummary] = useState(false);
+  const [toast, setToast] = useState(null);
+  const [annotation, setAnnotation] = useState(null);
+  const [recentTags, setRecentTags] = useState([]);
+  const [imageCodes, setImageCodes] = useState(null);
+  const [workspaces, setWorkspaces] = useState(null);
+  const [scanWorkspaceId, setScanWorkspaceId] = useState(null);
+  const [showWorkspacePicker, setShowWorkspacePicker] = useState(false);
+  const [manifest, setManifest] = useState(null); // a check-in session from createManifestSession
+  const [manifestReport, setManifestReport] = useState(null);
+  const [exportingReport, setExportingReport] = useState(false);
   const cameraRef = useRef(null);
+  const lastSeenRef = useRef(new Map());
+  // Mirrors `manifest` so scans reported before the next render count against the latest session
+  const manifestRef = useRef(null);
+  const processingRef = useRef(false);
   const { user } = useAuth();
+  const repository = useScanRepository();
 
   useEffect(() => {
     const getPermissions = async () => {
@@ -29,72 +84,196 @@ const QRScanner = ({ onClose, onScanComplete }) => {
       setHasPermission(status === 'granted');
     };
     getPermissions();
+    getEnabledSymbologies().then(setEnabledSymbologiesState);
+    getDuplicateWindow().then(setDuplicateWindowState);
+    getRecentTags().then(setRecentTags);
   }, []);
 
-  const getLocation = async () => {
+  useEffect(() => {
+    let active = true;
+    setScanWorkspaceId(null);
+    getScanWorkspace(user.uid).then(workspaceId => active && setScanWorkspaceId(workspaceId));
+    return () => {
+      active = false;
+    };
+  }, [user.uid]);
+
+  // Guests have no account to share scans from, so they always scan into their own history
+  useEffect(() => {
+    if (user.isGuest) {
+      setWorkspaces([]);
+      return undefined;
+    }
+    return subscribeToWorkspaces(
+      user.uid,
+      setWorkspaces,
+      (error) => console.error('Error loading workspaces:', error)
+    );
+  }, [user.uid]);
+
+  const writableWorkspaces = (workspaces || []).filter(workspace => canScanInto(workspace, user.uid));
+  // The saved choice only counts once membership has loaded and still allows scanning into it;
+  // until then, or after the user left the workspace, scans go to the personal history
+  const targetWorkspaceId = writableWorkspaces.find(workspace => workspace.id === scanWorkspaceId)?.id || null;
+  const targetWorkspace = writableWorkspaces.find(workspace => workspace.id === targetWorkspaceId);
+
+  const selectWorkspace = async (workspaceId) => {
+    setScanWorkspaceId(workspaceId);
+    setShowWorkspacePicker(false);
     try {
-      const { status } = await Location.requestForegroundPermissionsAsync();
-      if (status !== 'granted') {
-        return null;
-      }
-      const location = await Location.getCurrentPositionAsync({});
-      return {
-        latitude: location.coords.latitude,
-        longitude: location.coords.longitude,
-      };
+      await setScanWorkspace(user.uid, workspaceId);
+    } catch (error) {
+      console.error('Error saving scan workspace:', error);
+    }
+  };
+
+  const toggleSymbology = async (symbology) => {
+    const updated = enabledSymbologies.includes(symbology)
+      ? enabledSymbologies.filter(item => item !== symbology)
+      : [...enabledSymbologies, symbology];
+
+    if (updated.length === 0) {
+      Alert.alert('Barcode Formats', 'At least one format must stay enabled');
+      return;
+    }
+
+    setEnabledSymbologiesState(updated);
+    try {
+      await setEnabledSymbologies(updated);
+    } catch (error) {
+      console.error('Error saving enabled symbologies:', error);
+    }
+  };
+
+  const changeDuplicateWindow = async (seconds) => {
+    setDuplicateWindowState(seconds);
+    try {
+      await setDuplicateWindow(seconds);
     } catch (error) {
-      console.error('Error getting location:', error);
-      return null;
+      console.error('Error saving duplicate window:', error);
     }
   };
 
-  const saveScanToDatabase = async (data, location = null) => {
+
+  const saveScanToDatabase = async (data, parsed, symbology, location = null) => {
+    const scanId = repository.createId();
+    const scanData = {
+      userId: user.uid,
+      userEmail: user.email,
+      workspaceId: targetWorkspaceId,
+      qrData: data,
+      searchTokens: buildSearchTokens(data),
+      parsed: parsed,
+      symbology: symbology,
+      location: location,
+      urlRisk: summarizeUrlRisk(data),
+    };
+
     try {
-      const scanData = {
-        userId: user?.uid || 'demo-user',
-        userEmail: user?.email || 'demo@example.com',
-        qrData: data,
-        timestamp: serverTimestamp(),
-        location: location,
-      };
-      await addDoc(collection(db, 'scans'), scanData);
-      return true;
+      const { pending } = await repository.create(scanId, scanData);
+      // Never holds up scanning; delivery problems show up in the webhook log
+      forwardScan(user.uid, { id: scanId, ...scanData, timestamp: new Date() })
+        .catch(error => console.error('Error forwarding scan:', error));
+      return { saved: true, pending, scanId };
     } catch (error) {
       console.error('Error saving scan:', error);
-      return false;
+      return { saved: false, pending: false };
     }
   };
 
-  const handleBarCodeScanned = async ({ type, data }) => {
+  const processScan = async ({ type, data }) => {
+    const location = await getCurrentLocation();
+    const parsed = parseQRData(data);
+    const symbology = normalizeSymbology(type);
+    const result = await saveScanToDatabase(data, parsed, symbology, location);
+    // Skipped offline, where the lookup could only time out and would slow down batch scanning
+    const history = result.saved && !result.pending
+      ? await getPayloadHistory(repository, user.uid, data, result.scanId)
+      : null;
+    return { ...result, data, parsed, symbology, location, history, urlRisk: summarizeUrlRisk(data) };
+  };
+
+  // "Seen 4 times, last on ..." where the count includes the scan just taken
+  const formatSeenNote = (history) =>
+    `Seen ${history.count + 1} times, last on ${new Intl.DateTimeFormat('en-US', {
+      month: 'short',
+      day: 'numeric',
+      year: 'numeric',
+      hour: '2-digit',
+      minute: '2-digit',
+    }).format(history.lastSeen)}`;
+
+  // The confirmation comes back after tags and a note were edited, so the user can still pick what's next
+  const showScanResult = (result) => {
+    const { title, message, scan } = result;
+    const annotations = [
+      scan.tags?.length > 0 && `Tags: ${scan.tags.map(tag => `#${tag}`).join(' ')}`,
+      scan.note && `Note: ${scan.note}`,
+    ].filter(Boolean);
+
+    Alert.alert(
+      title,
+      annotations.length > 0 ? `${message}\n\n${annotations.join('\n')}` : message,
+      [
+        {
+          text: scan.tags?.length > 0 || scan.note ? 'Edit Tags & Note' : 'Add Tags & Note',
+          onPress: () => setAnnotation(result),
+        },
+        {
+          text: 'Scan Another',
+          onPress: () => {
+            setScanned(false);
+            setLoading(false);
+          },
+        },
+        {
+          text: 'Done',
+          onPress: () => {
+            onScanComplete?.();
+            onClose?.();
+          },
+        },
+      ]
+    );
+  };
+
+  const saveAnnotation = async (annotations) => {
+    const updates = await saveScanAnnotations(repository, annotation.scan, annotations);
+    const result = { ...annotation, scan: { ...annotation.scan, ...updates } };
+    setAnnotation(null);
+    getRecentTags().then(setRecentTags);
+    showScanResult(result);
+  };
+
+  const cancelAnnotation = () => {
+    const result = annotation;
+    setAnnotation(null);
+    showScanResult(result);
+  };
+
+  const handleSingleScan = (barcode) => {
     if (scanned) return;
     setScanned(true);
+    saveSingleScan(barcode);
+  };
+
+  const saveSingleScan = async (barcode) => {
     setLoading(true);
 
     try {
-      const location = await getLocation();
-      const saved = await saveScanToDatabase(data, location);
+      const { saved, pending, scanId, data, parsed, symbology, location, history, urlRisk } = await processScan(barcode);
+      const riskNote = urlRisk && urlRisk.level !== 'low'
+        ? `\n\n${RISK_LEVELS[urlRisk.level].icon} ${RISK_LEVELS[urlRisk.level].label} link. You will see the details before it opens.`
+        : '';
 
       if (saved) {
-        Alert.alert(
-          'QR Code Scanned!',
-          `Data: ${data}${location ? `\nLocation: ${location.latitude.toFixed(4)}, ${location.longitude.toFixed(4)}` : ''}`,
-          [
-            {
-              text: 'Scan Another',
-              onPress: () => {
-                setScanned(false);
-                setLoading(false);
-              },
-            },
-            {
-              text: 'Done',
-              onPress: () => {
-                onScanComplete?.();
-                onClose?.();
-              },
-            },
-          ]
-        );
+        showScanResult({
+          title: symbology === 'qr'
+            ? `${QR_TYPES[parsed.type].label} Scanned!`
+            : `${getSymbologyLabel(symbology)} Scanned!`,
+          message: `${formatParsedData(parsed)}${location ? `\nLocation: ${location.latitude.toFixed(4)}, ${location.longitude.toFixed(4)}` : ''}${pending ? '\n\nSaved offline. It will sync when you are back online.' : ''}${history ? `\n\n🔁 ${formatSeenNote(history)}` : ''}${riskNote}`,
+          scan: { id: scanId, qrData: data, pending },
+        });
       } else {
         Alert.alert('Error', 'Failed to save scan data');
         setScanned(false);
@@ -108,7 +287,264 @@ const QRScanner = ({ onClose, onScanComplete }) => {
     }
   };
 
-  if (hasPermission === null) {
+  const handleBatchScan = async (barcode) => {
+    // The camera keeps reporting codes while one is being saved; they will be seen again
+    if (processingRef.current || showBatchSummary || manifestReport) return;
+
+    const now = Date.now();
+    const lastSeen = lastSeenRef.current.get(barcode.data);
+    // Sliding window: a code that stays in view keeps being ignored. In a stock count the next unit
+    // with the same code is counted once the previous one has been out of view for the window.
+    lastSeenRef.current.set(barcode.data, now);
+    if (lastSeen && now - lastSeen < duplicateWindow * 1000) return;
+
+    processingRef.current = true;
+    try {
+      const result = await processScan(barcode);
+      if (!result.saved) {
+        throw new Error('Failed to save scan data');
+      }
+
+      setBatchItems(items => [...items, result]);
+      if (manifest) {
+        const [manifestToast] = recordManifestResults([result]);
+        setToast({ id: now, ...manifestToast });
+      } else {
+        setToast({
+          id: now,
+          message: `✓ ${getParsedTitle(result.parsed)}${result.history ? ` · seen ${result.history.count + 1}×` : ''}${result.pending ? ' (offline)' : ''}`,
+        });
+      }
+    } catch (error) {
+      console.error('Batch scan error:', error);
+      lastSeenRef.current.delete(barcode.data);
+      setToast({ id: now, message: 'Failed to save scan, try again', error: true });
+    } finally {
+      processingRef.current = false;
+    }
+  };
+
+  // The camera stays paused (`scanned`) from picking the image until its codes are saved or dropped
+  const scanFromImage = async () => {
+    setScanned(true);
+
+    try {
+      const uri = await pickScanImage();
+      if (!uri) {
+        setScanned(false);
+        return;
+      }
+
+      setLoading(true);
+      const codes = await decodeImageCodes(uri, enabledSymbologies);
+      setLoading(false);
+
+      if (codes.length === 0) {
+        Alert.alert('No Codes Found', 'No code in an enabled format was found in this image');
+        setScanned(false);
+      } else if (codes.length === 1) {
+        saveImageCodes(codes);
+      } else {
+        setImageCodes(codes);
+      }
+    } catch (error) {
+      console.error('Image scan error:', error);
+      Alert.alert('Error', 'Could not read codes from this image');
+      setLoading(false);
+      setScanned(false);
+    }
+  };
+
+  const saveImageCodes = async (codes) => {
+    setImageCodes(null);
+    if (codes.length === 1 && !batchMode) {
+      saveSingleScan(codes[0]);
+      return;
+    }
+
+    setLoading(true);
+    const results = [];
+    for (const code of codes) {
+      try {
+        const result = await processScan(code);
+        if (result.saved) results.push(result);
+      } catch (error) {
+        console.error('Image scan error:', error);
+      }
+    }
+    setLoading(false);
+
+    const failed = codes.length - results.length;
+    const failedNote = failed > 0 ? `, ${failed} failed` : '';
+
+    if (batchMode) {
+      setBatchItems(items => [...items, ...results]);
+      const manifestToasts = manifest ? recordManifestResults(results) : [];
+      if (manifestToasts.length === 1) {
+        setToast({ id: Date.now(), ...manifestToasts[0], message: `${manifestToasts[0].message}${failedNote}` });
+      } else {
+        // Several codes share one toast, so only the ones a stock count should look at are listed
+        const flagged = manifestToasts.filter(item => item.error);
+        setToast({
+          id: Date.now(),
+          message: [`✓ ${results.length} from image${failedNote}`, ...flagged.map(item => item.message)].join('\n'),
+          error: results.length === 0 || flagged.length > 0,
+        });
+      }
+      setScanned(false);
+      return;
+    }
+
+    Alert.alert(
+      `${results.length} ${results.length === 1 ? 'Code' : 'Codes'} Saved${failedNote}`,
+      results
+        .map(result => `• ${getParsedTitle(result.parsed)}${result.history ? ` (seen ${result.history.count + 1}×)` : ''}${result.pending ? ' (offline)' : ''}`)
+        .join('\n'),
+      [
+        {
+          text: 'Scan Another',
+          onPress: () => setScanned(false),
+        },
+        {
+          text: 'Done',
+          onPress: () => {
+            onScanComplete?.();
+            onClose?.();
+          },
+        },
+      ]
+    );
+  };
+
+  // Off-list and over-count scans are shown as errors so they stand out while counting
+  const getManifestToast = ({ status, item, count }, result) => {
+    const offline = result.pending ? ' (offline)' : '';
+    if (status === 'unexpected') {
+      return { message: `⚠️ Not on manifest: ${getParsedTitle(result.parsed)}${offline}`, error: true };
+    }
+    const progress = `${item.label || item.code} (${count}/${item.expected})${offline}`;
+    return status === 'over'
+      ? { message: `⬆️ Over count: ${progress}`, error: true }
+      : { message: `✓ ${progress}`, error: false };
+  };
+
+  const updateManifest = (session) => {
+    manifestRef.current = session;
+    setManifest(session);
+  };
+
+  // Counts saved scans against the stock count and returns the toast for each
+  const recordManifestResults = (results) => {
+    let session = manifestRef.current;
+    const toasts = results.map((result) => {
+      const { session: updated, ...match } = recordManifestScan(session, result.data);
+      session = updated;
+      return getManifestToast(match, result);
+    });
+    updateManifest(session);
+    return toasts;
+  };
+
+  const startManifest = (name, items) => {
+    lastSeenRef.current.clear();
+    setBatchItems([]);
+    updateManifest(createManifestSession(name, items));
+    setBatchMode(true);
+    setScanned(false);
+  };
+
+  // Stock counts scan through a CSV of expected codes in batch mode; the camera is paused while picking
+  const loadManifest = async () => {
+    let awaitingChoice = false;
+    setScanned(true);
+    try {
+      const file = await pickImportFile();
+      if (!file) return;
+
+      const { items, rejected } = parseManifest(file.text);
+      const name = file.name.replace(/\.csv$/i, '');
+      if (items.length === 0) {
+        Alert.alert('Empty Manifest', 'The manifest does not list any codes');
+      } else if (rejected.length > 0) {
+        awaitingChoice = true;
+        Alert.alert(
+          'Some Rows Skipped',
+          `${items.length} ${items.length === 1 ? 'item' : 'items'} loaded. Skipped:\n${rejected
+            .slice(0, 5)
+            .map(({ row, error }) => `Row ${row}: ${error}`)
+            .join('\n')}${rejected.length > 5 ? `\n...and ${rejected.length - 5} more` : ''}`,
+          [
+            { text: 'Cancel', style: 'cancel', onPress: () => setScanned(false) },
+            { text: 'Start Count', onPress: () => startManifest(name, items) },
+          ]
+        );
+      } else {
+        startManifest(name, items);
+      }
+    } catch (error) {
+      console.error('Error loading manifest:', error);
+      Alert.alert('Manifest Failed', error.message || 'Could not read the selected file');
+    } finally {
+      if (!awaitingChoice) setScanned(false);
+    }
+  };
+
+  const exportManifestReport = async () => {
+    setExportingReport(true);
+    try {
+      await exportReconciliation(manifestReport);
+    } catch (error) {
+      console.error('Error exporting stock count:', error);
+      Alert.alert('Export Failed', error.message || 'Could not export the report');
+    } finally {
+      setExportingReport(false);
+    }
+  };
+
+  const handleBarcodeScanned = (barcode) => {
+    if (batchMode) {
+      handleBatchScan(barcode);
+    } else {
+      handleSingleScan(barcode);
+    }
+  };
+
+  const toggleBatchMode = () => {
+    if (manifest) {
+      setManifestReport(buildReconciliation(manifest));
+      return;
+    }
+    if (batchMode && batchItems.length > 0) {
+      setShowBatchSummary(true);
+      return;
+    }
+    lastSeenRef.current.clear();
+    setBatchMode(!batchMode);
+  };
+
+  const handleClose = () => {
+    if (manifest) {
+      setManifestReport(buildReconciliation(manifest));
+      return;
+    }
+    if (batchMode && batchItems.length > 0) {
+      setShowBatchSummary(true);
+      return;
+    }
+    onClose?.();
+  };
+
+  const finishBatch = () => {
+    setShowBatchSummary(false);
+    setManifestReport(null);
+    updateManifest(null);
+    onScanComplete?.();
+    onClose?.();
+  };
+
+  const manifestSummary = manifest && summarizeManifest(manifest);
+
+  if (hasPermission === null || enabledSymbologies === null || duplicateWindow === null) {
     return (
       <View style={styles.container}>
         <Text>Requesting camera permission...</Text>
@@ -129,11 +565,11 @@ const QRScanner = ({ onClose, onScanComplete }) => {
 
   return (
     <View style={styles.container}>
-      <Camera
+      <CameraView
         ref={cameraRef}
-        onBarCodeScanned={scanned ? undefined : handleBarCodeScanned}
-        barCodeScannerSettings={{
-          barCodeTypes: [Camera.Constants.BarCodeType.qr],
+        onBarcodeScanned={scanned ? undefined : handleBarcodeScanned}
+        barcodeScannerSettings={{
+          barcodeTypes: getBarcodeTypes(enabledSymbologies),
         }}
         style={StyleSheet.absoluteFillObject}
       />
@@ -148,13 +584,62 @@ const QRScanner = ({ onClose, onScanComplete }) => {
         <View style={styles.bottomOverlay} />
       </View>
 
+      {manifestSummary ? (
+        <View style={styles.batchCounter}>
+          <Text style={styles.batchCounterText} numberOfLines={1}>🧾 {manifest.name}</Text>
+          <View style={styles.manifestStats}>
+            <Text style={styles.manifestStat}>✓ {manifestSummary.matched}/{manifestSummary.total} matched</Text>
+            <Text style={styles.manifestStat}>{manifestSummary.remaining} left</Text>
+            <Text style={styles.manifestStat}>⚠️ {manifestSummary.unexpected} unexpected</Text>
+            <Text style={styles.manifestStat}>⬆️ {manifestSummary.over} over</Text>
+          </View>
+        </View>
+      ) : batchMode && (
+        <View style={styles.batchCounter}>
+          <Text style={styles.batchCounterText}>
+            📦 Batch · {batchItems.length} {batchItems.length === 1 ? 'code' : 'codes'}
+          </Text>
+        </View>
+      )}
+
+      <ScanToast toast={toast} />
+
       <View style={styles.controls}>
-        <TouchableOpacity style={styles.closeButton} onPress={onClose}>
-          <Text style={styles.closeButtonText}>✕ Close</Text>
-        </TouchableOpacity>
+        <View style={styles.controlButtons}>
+          <TouchableOpacity style={styles.closeButton} onPress={handleClose}>
+            <Text style={styles.closeButtonText}>✕ Close</Text>
+          </TouchableOpacity>
+          <TouchableOpacity
+            style={[styles.closeButton, batchMode && styles.batchButtonActive]}
+            onPress={toggleBatchMode}
+          >
+            <Text style={[styles.closeButtonText, batchMode && styles.batchButtonTextActive]}>
+              {manifest ? '■ Finish Count' : batchMode ? '■ Finish Batch' : '📦 Batch'}
+            </Text>
+          </TouchableOpacity>
+          {!batchMode && (
+            <TouchableOpacity style={styles.closeButton} onPress={loadManifest} disabled={scanned || loading}>
+              <Text style={styles.closeButtonText}>🧾</Text>
+            </TouchableOpacity>
+          )}
+          <TouchableOpacity style={styles.closeButton} onPress={scanFromImage} disabled={scanned || loading}>
+            <Text style={styles.closeButtonText}>🖼️</Text>
+          </TouchableOpacity>
+          <TouchableOpacity style={styles.closeButton} onPress={() => setShowSettings(true)}>
+            <Text style={styles.closeButtonText}>⚙️</Text>
+          </TouchableOpacity>
+        </View>
+
+        {writableWorkspaces.length > 0 && (
+          <TouchableOpacity style={styles.workspaceButton} onPress={() => setShowWorkspacePicker(true)}>
+            <Text style={styles.workspaceButtonText}>
+              Saving to: {targetWorkspace ? `👥 ${targetWorkspace.name}` : '👤 Personal'} ▾
+            </Text>
+          </TouchableOpacity>
+        )}
 
         <Text style={styles.instructionText}>
-          Point your camera at a QR code to scan
+          Point your camera at a QR code or barcode to scan
         </Text>
 
         {loading && (
@@ -164,6 +649,55 @@ const QRScanner = ({ onClose, onScanComplete }) => {
           </View>
         )}
       </View>
+
+      <ScannerSettings
+        visible={showSettings}
+        onClose={() => setShowSettings(false)}
+        enabledSymbologies={enabledSymbologies}
+        onToggleSymbology={toggleSymbology}
+        duplicateWindow={duplicateWindow}
+        onChangeDuplicateWindow={changeDuplicateWindow}
+      />
+
+      <BatchSummary
+        visible={showBatchSummary}
+        items={batchItems}
+        onContinue={() => setShowBatchSummary(false)}
+        onFinish={finishBatch}
+      />
+
+      <AnnotationEditor
+        scan={annotation?.scan}
+        suggestions={recentTags}
+        onCancel={cancelAnnotation}
+        onSave={saveAnnotation}
+      />
+
+      <ManifestReport
+        report={manifestReport}
+        exporting={exportingReport}
+        onContinue={() => setManifestReport(null)}
+        onExport={exportManifestReport}
+        onFinish={finishBatch}
+      />
+
+      <WorkspacePicker
+        visible={showWorkspacePicker}
+        workspaces={writableWorkspaces}
+        userId={user.uid}
+        selectedId={targetWorkspace ? targetWorkspace.id : null}
+        onSelect={selectWorkspace}
+        onClose={() => setShowWorkspacePicker(false)}
+      />
+
+      <ImageCodePicker
+        codes={imageCodes}
+        onCancel={() => {
+          setImageCodes(null);
+          setScanned(false);
+        }}
+        onSave={saveImageCodes}
+      />
     </View>
   );
 };
@@ -191,12 +725,14 @@ const styles = StyleSheet.create({
     padding: 20,
     alignItems: 'center',
   },
+  controlButtons: { flexDirection: 'row' },
   closeButton: {
     backgroundColor: 'rgba(255,255,255,0.9)',
     paddingHorizontal: 20,
     paddingVertical: 12,
     borderRadius: 25,
     marginBottom: 15,
+    marginHorizontal: 5,
   },
   closeButtonText: { color: '#333', fontSize: 16, fontWeight: 'bold' },
   instructionText: {
@@ -221,6 +757,34 @@ const styles = StyleSheet.create({
     marginHorizontal: 20,
   },
   buttonText: { color: 'white', fontSize: 16, fontWeight: 'bold' },
+  batchCounter: {
+    position: 'absolute',
+    top: 50,
+    alignSelf: 'center',
+    backgroundColor: 'rgba(33,150,243,0.9)',
+    paddingHorizontal: 20,
+    paddingVertical: 10,
+    borderRadius: 25,
+    maxWidth: '90%',
+  },
+  batchCounterText: { color: 'white', fontSize: 16, fontWeight: 'bold', textAlign: 'center' },
+  manifestStats: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    justifyContent: 'center',
+    marginTop: 4,
+  },
+  manifestStat: { color: 'white', fontSize: 13, marginHorizontal: 6 },
+  batchButtonActive: { backgroundColor: '#2196F3' },
+  batchButtonTextActive: { color: 'white' },
+  workspaceButton: {
+    backgroundColor: 'rgba(0,0,0,0.6)',
+    paddingHorizontal: 16,
+    paddingVertical: 8,
+    borderRadius: 20,
+    marginBottom: 10,
+  },
+  workspaceButtonText: { color: 'white', fontSize: 14, fontWeight: 'bold' },
 });
 
 export default QRScanner;
@@ -0,0 +1,200 @@
+import React, { useState, useRef, useEffect } from 'react';
+import {
+  View,
+  Text,
+  TouchableOpacity,
+  StyleSheet,
+  FlatList,
+} from 'react-native';
+import MapView, { Marker, Circle } from 'react-native-maps';
+import { getParsedData, getParsedTitle } from '../utils/qrParser';
+import { QR_TYPES } from '../utils/constants';
+import { hasLocation, clusterScans, getRegionForScans, isStackedCluster } from '../utils/geo';
+
+const WORLD_REGION = { latitude: 20, longitude: 0, latitudeDelta: 100, longitudeDelta: 100 };
+
+// Plots located scans as clustered markers; `nearFilter` ({ center, radiusKm }) is drawn as a circle
+const ScanMap = ({ scans, nearFilter, onSelectScan }) => {
+  const mapRef = useRef(null);
+  const locatedScans = scans.filter(hasLocation);
+  const [region, setRegion] = useState(() => getRegionForScans(locatedScans) || WORLD_REGION);
+  const [selectedCluster, setSelectedCluster] = useState(null);
+
+  // Re-fit when the filters change which scans are shown
+  const scanKey = locatedScans.map(scan => scan.id).join(',');
+  useEffect(() => {
+    const fitted = getRegionForScans(locatedScans);
+    if (fitted) {
+      mapRef.current?.animateToRegion(fitted, 300);
+    }
+    setSelectedCluster(null);
+  }, [scanKey]);
+
+  const clusters = clusterScans(locatedScans, region);
+
+  const handleMarkerPress = (cluster) => {
+    if (cluster.scans.length === 1) {
+      onSelectScan(cluster.scans[0]);
+      return;
+    }
+    if (isStackedCluster(cluster)) {
+      setSelectedCluster(cluster);
+      return;
+    }
+    const clusterRegion = getRegionForScans(cluster.scans);
+    mapRef.current?.animateToRegion(clusterRegion, 300);
+  };
+
+  const renderClusterItem = ({ item }) => {
+    const parsed = getParsedData(item);
+    return (
+      <TouchableOpacity style={styles.clusterItem} onPress={() => onSelectScan(item)}>
+        <Text style={styles.clusterItemIcon}>{QR_TYPES[parsed.type].icon}</Text>
+        <Text style={styles.clusterItemTitle} numberOfLines={1}>{getParsedTitle(parsed)}</Text>
+      </TouchableOpacity>
+    );
+  };
+
+  return (
+    <View style={styles.container}>
+      <MapView
+        ref={mapRef}
+        style={styles.map}
+        initialRegion={region}
+        onRegionChangeComplete={setRegion}
+        onPress={(event) => {
+          // iOS also reports marker taps to the map
+          if (event.nativeEvent.action !== 'marker-press') setSelectedCluster(null);
+        }}
+        showsUserLocation={!!nearFilter}
+      >
+        {nearFilter && (
+          <Circle
+            center={nearFilter.center}
+            radius={nearFilter.radiusKm * 1000}
+            strokeColor="rgba(33,150,243,0.8)"
+            fillColor="rgba(33,150,243,0.1)"
+          />
+        )}
+        {clusters.map((cluster) => {
+          const single = cluster.scans.length === 1;
+          const qrType = single ? QR_TYPES[getParsedData(cluster.scans[0]).type] : null;
+
+          return (
+            <Marker
+              key={cluster.id}
+              coordinate={{ latitude: cluster.latitude, longitude: cluster.longitude }}
+              onPress={() => handleMarkerPress(cluster)}
+              tracksViewChanges={false}
+            >
+              {single ? (
+                <View style={[styles.marker, { backgroundColor: qrType.color }]}>
+                  <Text style={styles.markerIcon}>{qrType.icon}</Text>
+                </View>
+              ) : (
+                <View style={styles.cluster}>
+                  <Text style={styles.clusterText}>{cluster.scans.length}</Text>
+                </View>
+              )}
+            </Marker>
+          );
+        })}
+      </MapView>
+
+      {locatedScans.length === 0 && (
+        <View style={styles.emptyOverlay} pointerEvents="none">
+          <Text style={styles.emptyText}>No scans with a location match these filters</Text>
+        </View>
+      )}
+
+      {selectedCluster && (
+        <View style={styles.clusterSheet}>
+          <Text style={styles.clusterSheetTitle}>
+            {selectedCluster.scans.length} scans at this spot
+          </Text>
+          <FlatList
+            data={selectedCluster.scans}
+            renderItem={renderClusterItem}
+            keyExtractor={(item) => item.id}
+          />
+        </View>
+      )}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+  },
+  map: {
+    flex: 1,
+  },
+  marker: {
+    width: 34,
+    height: 34,
+    borderRadius: 17,
+    borderWidth: 2,
+    borderColor: 'white',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  markerIcon: { fontSize: 16 },
+  cluster: {
+    minWidth: 40,
+    height: 40,
+    paddingHorizontal: 8,
+    borderRadius: 20,
+    borderWidth: 3,
+    borderColor: 'rgba(255,255,255,0.9)',
+    backgroundColor: '#2196F3',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  clusterText: { color: 'white', fontSize: 15, fontWeight: 'bold' },
+  emptyOverlay: {
+    position: 'absolute',
+    top: 20,
+    left: 20,
+    right: 20,
+    backgroundColor: 'rgba(255,255,255,0.95)',
+    padding: 12,
+    borderRadius: 8,
+    alignItems: 'center',
+  },
+  emptyText: { color: '#666' },
+  clusterSheet: {
+    position: 'absolute',
+    left: 15,
+    right: 15,
+    bottom: 20,
+    maxHeight: 240,
+    backgroundColor: 'white',
+    borderRadius: 12,
+    paddingVertical: 10,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.2,
+    shadowRadius: 4,
+    elevation: 5,
+  },
+  clusterSheetTitle: {
+    fontSize: 14,
+    fontWeight: 'bold',
+    color: '#666',
+    paddingHorizontal: 15,
+    marginBottom: 5,
+  },
+  clusterItem: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 15,
+    paddingVertical: 10,
+    borderTopWidth: 1,
+    borderTopColor: '#eee',
+  },
+  clusterItemIcon: { fontSize: 18, marginRight: 10 },
+  clusterItemTitle: { flex: 1, fontSize: 15, color: '#333' },
+});
+
+export default ScanMap;
@@ -0,0 +1,49 @@
+import React, { useEffect, useRef } from 'react';
+import { Text, StyleSheet, Animated } from 'react-native';
+
+const VISIBLE_MS = 1500;
+
+// Non-blocking acknowledgement; pass a new `toast` object ({ id, message, error }) to show it again
+const ScanToast = ({ toast }) => {
+  const opacity = useRef(new Animated.Value(0)).current;
+
+  useEffect(() => {
+    if (!toast) return;
+    opacity.setValue(1);
+    Animated.timing(opacity, {
+      toValue: 0,
+      duration: 400,
+      delay: VISIBLE_MS,
+      useNativeDriver: true,
+    }).start();
+  }, [toast]);
+
+  if (!toast) return null;
+
+  return (
+    <Animated.View
+      pointerEvents="none"
+      style={[styles.toast, toast.error && styles.toastError, { opacity }]}
+    >
+      <Text style={styles.toastText} numberOfLines={2}>{toast.message}</Text>
+    </Animated.View>
+  );
+};
+
+const styles = StyleSheet.create({
+  toast: {
+    position: 'absolute',
+    top: 110,
+    left: 20,
+    right: 20,
+    backgroundColor: 'rgba(76,175,80,0.95)',
+    paddingHorizontal: 16,
+    paddingVertical: 12,
+    borderRadius: 25,
+    alignItems: 'center',
+  },
+  toastError: { backgroundColor: 'rgba(244,67,54,0.95)' },
+  toastText: { color: 'white', fontSize: 15, fontWeight: 'bold' },
+});
+
+export default ScanToast;
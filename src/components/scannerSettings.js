@@ -0,0 +1,129 @@
+import React from 'react';
+import {
+  View,
+  Text,
+  TouchableOpacity,
+  StyleSheet,
+  Modal,
+  Switch,
+  ScrollView,
+} from 'react-native';
+import { SYMBOLOGIES, DUPLICATE_WINDOW_OPTIONS } from '../utils/constants';
+
+const ScannerSettings = ({
+  visible,
+  onClose,
+  enabledSymbologies,
+  onToggleSymbology,
+  duplicateWindow,
+  onChangeDuplicateWindow,
+}) => (
+  <Modal
+    visible={visible}
+    transparent
+    animationType="slide"
+    onRequestClose={onClose}
+  >
+    <View style={styles.backdrop}>
+      <View style={styles.content}>
+        <Text style={styles.title}>Scanner Settings</Text>
+        <ScrollView>
+          <Text style={styles.sectionTitle}>Batch duplicate window</Text>
+          <View style={styles.optionRow}>
+            {DUPLICATE_WINDOW_OPTIONS.map(seconds => (
+              <TouchableOpacity
+                key={seconds}
+                style={[styles.option, duplicateWindow === seconds && styles.optionActive]}
+                onPress={() => onChangeDuplicateWindow(seconds)}
+              >
+                <Text style={[styles.optionText, duplicateWindow === seconds && styles.optionTextActive]}>
+                  {seconds}s
+                </Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+
+          <Text style={styles.sectionTitle}>Barcode formats</Text>
+          {Object.keys(SYMBOLOGIES).map(symbology => (
+            <View key={symbology} style={styles.formatRow}>
+              <Text style={styles.formatLabel}>{SYMBOLOGIES[symbology].label}</Text>
+              <Switch
+                value={enabledSymbologies.includes(symbology)}
+                onValueChange={() => onToggleSymbology(symbology)}
+              />
+            </View>
+          ))}
+        </ScrollView>
+        <TouchableOpacity style={styles.button} onPress={onClose}>
+          <Text style={styles.buttonText}>Done</Text>
+        </TouchableOpacity>
+      </View>
+    </View>
+  </Modal>
+);
+
+const styles = StyleSheet.create({
+  backdrop: {
+    flex: 1,
+    justifyContent: 'flex-end',
+    backgroundColor: 'rgba(0,0,0,0.5)',
+  },
+  content: {
+    backgroundColor: 'white',
+    borderTopLeftRadius: 16,
+    borderTopRightRadius: 16,
+    paddingVertical: 20,
+    maxHeight: '75%',
+  },
+  title: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: '#333',
+    textAlign: 'center',
+    marginBottom: 10,
+  },
+  sectionTitle: {
+    fontSize: 14,
+    fontWeight: 'bold',
+    color: '#666',
+    paddingHorizontal: 20,
+    paddingTop: 15,
+    paddingBottom: 5,
+  },
+  optionRow: {
+    flexDirection: 'row',
+    paddingHorizontal: 15,
+    paddingVertical: 5,
+  },
+  option: {
+    paddingHorizontal: 16,
+    paddingVertical: 8,
+    borderRadius: 20,
+    marginHorizontal: 5,
+    backgroundColor: '#f0f0f0',
+  },
+  optionActive: { backgroundColor: '#2196F3' },
+  optionText: { color: '#666', fontWeight: 'bold' },
+  optionTextActive: { color: 'white' },
+  formatRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingHorizontal: 20,
+    paddingVertical: 10,
+    borderBottomWidth: 1,
+    borderBottomColor: '#eee',
+  },
+  formatLabel: { fontSize: 16, color: '#333' },
+  button: {
+    backgroundColor: '#2196F3',
+    padding: 15,
+    borderRadius: 8,
+    alignItems: 'center',
+    marginHorizontal: 20,
+    marginTop: 15,
+  },
+  buttonText: { color: 'white', fontSize: 16, fontWeight: 'bold' },
+});
+
+export default ScannerSettings;
@@ -0,0 +1,51 @@
+import React from 'react';
+import { View, Text, TouchableOpacity, StyleSheet } from 'react-native';
+
+const UndoBar = ({ message, onUndo }) => {
+  if (!message) return null;
+
+  return (
+    <View style={styles.container}>
+      <Text style={styles.message} numberOfLines={1}>{message}</Text>
+      <TouchableOpacity style={styles.undoButton} onPress={onUndo}>
+        <Text style={styles.undoText}>UNDO</Text>
+      </TouchableOpacity>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    position: 'absolute',
+    left: 15,
+    right: 15,
+    bottom: 30,
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#323232',
+    paddingLeft: 16,
+    paddingVertical: 6,
+    borderRadius: 8,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.3,
+    shadowRadius: 4,
+    elevation: 6,
+  },
+  message: {
+    flex: 1,
+    color: 'white',
+    fontSize: 14,
+  },
+  undoButton: {
+    paddingHorizontal: 16,
+    paddingVertical: 10,
+  },
+  undoText: {
+    color: '#FFC107',
+    fontWeight: 'bold',
+    fontSize: 14,
+  },
+});
+
+export default UndoBar;
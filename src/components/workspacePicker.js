@@ -0,0 +1,100 @@
+import React from 'react';
+import {
+  View,
+  Text,
+  TouchableOpacity,
+  StyleSheet,
+  Modal,
+  ScrollView,
+} from 'react-native';
+import { WORKSPACE_ROLES } from '../services/workspaces';
+
+// Lets the scanner choose where new scans go; `workspaces` are the ones the user may scan into
+const WorkspacePicker = ({ visible, workspaces, userId, selectedId, onSelect, onClose }) => {
+  const options = [
+    { id: null, name: 'Personal', detail: 'Only you can see these scans' },
+    ...workspaces.map(workspace => ({
+      id: workspace.id,
+      name: workspace.name,
+      detail: `${WORKSPACE_ROLES[workspace.roles[userId]].label} · ${workspace.memberIds.length} ${workspace.memberIds.length === 1 ? 'member' : 'members'}`,
+    })),
+  ];
+
+  return (
+    <Modal
+      visible={visible}
+      transparent
+      animationType="slide"
+      onRequestClose={onClose}
+    >
+      <View style={styles.backdrop}>
+        <View style={styles.content}>
+          <Text style={styles.title}>Save Scans To</Text>
+          <ScrollView>
+            {options.map(option => (
+              <TouchableOpacity
+                key={option.id || 'personal'}
+                style={styles.row}
+                onPress={() => onSelect(option.id)}
+              >
+                <View style={styles.rowText}>
+                  <Text style={styles.name}>{option.id ? '👥' : '👤'} {option.name}</Text>
+                  <Text style={styles.detail}>{option.detail}</Text>
+                </View>
+                {option.id === selectedId && <Text style={styles.check}>✓</Text>}
+              </TouchableOpacity>
+            ))}
+          </ScrollView>
+          <TouchableOpacity style={styles.button} onPress={onClose}>
+            <Text style={styles.buttonText}>Done</Text>
+          </TouchableOpacity>
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  backdrop: {
+    flex: 1,
+    justifyContent: 'flex-end',
+    backgroundColor: 'rgba(0,0,0,0.5)',
+  },
+  content: {
+    backgroundColor: 'white',
+    borderTopLeftRadius: 16,
+    borderTopRightRadius: 16,
+    paddingVertical: 20,
+    maxHeight: '75%',
+  },
+  title: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: '#333',
+    textAlign: 'center',
+    marginBottom: 10,
+  },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 20,
+    paddingVertical: 12,
+    borderBottomWidth: 1,
+    borderBottomColor: '#eee',
+  },
+  rowText: { flex: 1 },
+  name: { fontSize: 16, color: '#333', fontWeight: 'bold' },
+  detail: { fontSize: 13, color: '#666', marginTop: 2 },
+  check: { fontSize: 18, color: '#2196F3', fontWeight: 'bold' },
+  button: {
+    backgroundColor: '#2196F3',
+    padding: 15,
+    borderRadius: 8,
+    alignItems: 'center',
+    marginHorizontal: 20,
+    marginTop: 15,
+  },
+  buttonText: { color: 'white', fontSize: 16, fontWeight: 'bold' },
+});
+
+export default WorkspacePicker;
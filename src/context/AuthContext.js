@@ -1,20 +1,88 @@
-import React, { createContext, useState, useContext, useEffect } from 'react';
-import { onAuthStateChanged, signInWithEmailAndPassword, signOut, createUserWithEmailAndPassword } from 'firebase/auth';
+import React, { createContext, useState, useContext, useEffect, useRef } from 'react';
+import {
+  onAuthStateChanged,
+  signInWithEmailAndPassword,
+  signOut,
+  createUserWithEmailAndPassword,
+  sendPasswordResetEmail,
+  sendEmailVerification,
+  reload,
+} from 'firebase/auth';
 import { auth } from '../services/firebase';
+import { getAuthErrorMessage } from '../utils/authErrors';
+import { GUEST_UID } from '../utils/constants';
 import AsyncStorage from '@react-native-async-storage/async-storage';
 
 const AuthContext = createContext({});
 
+const GUEST_MODE_KEY = 'guestMode';
+
+// Errors meaning the stored session can no longer be used; anything else (like being offline) keeps it
+const SESSION_ENDED_CODES = [
+  'auth/user-token-expired',
+  'auth/invalid-user-token',
+  'auth/user-disabled',
+  'auth/user-not-found',
+];
+
+const getSessionEndedMessage = (error) =>
+  getAuthErrorMessage(error?.code === 'auth/user-disabled' ? error : { code: 'auth/user-token-expired' });
+
+// Stands in for a Firebase user while in guest mode; guest scans are kept on the device only
+export const GUEST_USER = { uid: GUEST_UID, email: null, isGuest: true };
+
 export const useAuth = () => useContext(AuthContext);
 
 export const AuthProvider = ({ children }) => {
   const [user, setUser] = useState(null);
   const [loading, setLoading] = useState(true);
+  // Tracked separately because reload() updates the same user object, which would not re-render
+  const [emailVerified, setEmailVerified] = useState(false);
+  // Shown on the login screen when the session ended without the user logging out
+  const [sessionNotice, setSessionNotice] = useState(null);
+  const firebaseUserRef = useRef(null);
+  const loggingOutRef = useRef(false);
+
+  const endSession = async (error) => {
+    setSessionNotice(getSessionEndedMessage(error));
+    try {
+      await signOut(auth);
+    } catch (signOutError) {
+      console.error('Error signing out ended session:', signOutError);
+    }
+  };
 
   useEffect(() => {
-    const unsubscribe = onAuthStateChanged(auth, (user) => {
-      setUser(user);
+    const unsubscribe = onAuthStateChanged(auth, async (user) => {
+      const previousUser = firebaseUserRef.current;
+      firebaseUserRef.current = user;
+
+      // The SDK signs out by itself when a token refresh is rejected
+      if (!user && previousUser && !loggingOutRef.current) {
+        setSessionNotice(notice => notice || getSessionEndedMessage(null));
+      }
+      loggingOutRef.current = false;
+
+      let guest = false;
+      if (!user) {
+        try {
+          guest = (await AsyncStorage.getItem(GUEST_MODE_KEY)) === 'true';
+        } catch (error) {
+          console.error('Error loading guest mode:', error);
+        }
+      }
+      setUser(user || (guest ? GUEST_USER : null));
+      setEmailVerified(!!user?.emailVerified);
       setLoading(false);
+
+      // A restored session may belong to an account that was disabled or deleted meanwhile
+      if (user && !previousUser) {
+        reload(user).catch((error) => {
+          if (SESSION_ENDED_CODES.includes(error.code)) {
+            endSession(error);
+          }
+        });
+      }
     });
 
     return unsubscribe;
@@ -23,45 +91,111 @@ export const AuthProvider = ({ children }) => {
   const login = async (email, password) => {
     try {
       const result = await signInWithEmailAndPassword(auth, email, password);
-      await AsyncStorage.setItem('userToken', result.user.uid);
+      await AsyncStorage.removeItem(GUEST_MODE_KEY);
+      setSessionNotice(null);
       return { success: true, user: result.user };
     } catch (error) {
-      // For demo purposes, allow demo login
-      if (email === 'demo@example.com' && password === 'demo123') {
-        const demoUser = { uid: 'demo-user', email: 'demo@example.com' };
-        setUser(demoUser);
-        await AsyncStorage.setItem('userToken', 'demo-user');
-        return { success: true, user: demoUser };
-      }
-      return { success: false, error: error.message };
+      return { success: false, error: getAuthErrorMessage(error) };
     }
   };
 
   const register = async (email, password) => {
     try {
       const result = await createUserWithEmailAndPassword(auth, email, password);
-      await AsyncStorage.setItem('userToken', result.user.uid);
+      await AsyncStorage.removeItem(GUEST_MODE_KEY);
+      setSessionNotice(null);
+      try {
+        await sendEmailVerification(result.user);
+      } catch (error) {
+        // The account exists either way; the verification screen offers to resend
+        console.error('Error sending verification email:', error);
+      }
       return { success: true, user: result.user };
     } catch (error) {
-      return { success: false, error: error.message };
+      return { success: false, error: getAuthErrorMessage(error) };
+    }
+  };
+
+  const resetPassword = async (email) => {
+    try {
+      await sendPasswordResetEmail(auth, email);
+      return { success: true };
+    } catch (error) {
+      return { success: false, error: getAuthErrorMessage(error) };
+    }
+  };
+
+  const resendVerification = async () => {
+    try {
+      await sendEmailVerification(auth.currentUser);
+      return { success: true };
+    } catch (error) {
+      return { success: false, error: getAuthErrorMessage(error) };
     }
   };
 
+  // Picks up a verification completed from the email link on another device or in the browser
+  const refreshVerification = async () => {
+    try {
+      await reload(auth.currentUser);
+      const verified = !!auth.currentUser?.emailVerified;
+      setEmailVerified(verified);
+      return { success: true, verified };
+    } catch (error) {
+      if (SESSION_ENDED_CODES.includes(error.code)) {
+        endSession(error);
+      }
+      return { success: false, error: getAuthErrorMessage(error) };
+    }
+  };
+
+  const continueAsGuest = async () => {
+    try {
+      await AsyncStorage.setItem(GUEST_MODE_KEY, 'true');
+    } catch (error) {
+      // Guest mode still works for this session; it just won't be remembered
+      console.error('Error saving guest mode:', error);
+    }
+    setSessionNotice(null);
+    setUser(GUEST_USER);
+  };
+
+  // Leaving guest mode keeps the guest scans, so they can be migrated after signing in
   const logout = async () => {
+    if (user?.isGuest) {
+      try {
+        await AsyncStorage.removeItem(GUEST_MODE_KEY);
+      } catch (error) {
+        console.error('Error leaving guest mode:', error);
+      }
+      setUser(null);
+      return;
+    }
+
+    loggingOutRef.current = true;
     try {
       await signOut(auth);
+      // Written by older versions, which never read it back
       await AsyncStorage.removeItem('userToken');
       setUser(null);
     } catch (error) {
+      loggingOutRef.current = false;
       console.error('Logout error:', error);
     }
   };
 
   const value = {
     user,
+    needsVerification: !!user && !user.isGuest && !emailVerified,
     login,
     register,
+    continueAsGuest,
     logout,
+    resetPassword,
+    resendVerification,
+    refreshVerification,
+    sessionNotice,
+    clearSessionNotice: () => setSessionNotice(null),
     loading
   };
 
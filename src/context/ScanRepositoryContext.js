@@ -0,0 +1,19 @@
+import React, { createContext, useContext } from 'react';
+import { useAuth } from './AuthContext';
+import { getScanRepository } from '../services/scanRepository';
+
+const ScanRepositoryContext = createContext(null);
+
+// The scan store for whoever is signed in. Pass `repository` (e.g. createMemoryScanStore()) to run
+// the screens against another store.
+export const ScanRepositoryProvider = ({ repository, children }) => {
+  const { user } = useAuth();
+
+  return (
+    <ScanRepositoryContext.Provider value={repository || getScanRepository(user)}>
+      {children}
+    </ScanRepositoryContext.Provider>
+  );
+};
+
+export const useScanRepository = () => useContext(ScanRepositoryContext);
@@ -1,20 +1,95 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import {
   View,
   Text,
   TouchableOpacity,
   StyleSheet,
   Alert,
-  SafeAreaView
+  SafeAreaView,
+  ScrollView,
+  ActivityIndicator
 } from 'react-native';
 import { useAuth } from '../context/AuthContext.js';
 import QRScanner from '../components/qrScanner.js';
+import { useScanRepository } from '../context/ScanRepositoryContext';
+import { getGuestScanCount, migrateGuestScans, discardGuestScans } from '../services/guestMigration';
 
 const HomeScreen = ({ navigation }) => {
   const [showScanner, setShowScanner] = useState(false);
+  const [migration, setMigration] = useState(null);
   const { user, logout } = useAuth();
+  const repository = useScanRepository();
+
+  // Scans taken as a guest before signing in are offered to the account until moved or discarded
+  useEffect(() => {
+    if (user.isGuest) return;
+
+    const offerMigration = async () => {
+      let count;
+      try {
+        count = await getGuestScanCount();
+      } catch (error) {
+        console.error('Error reading guest scans:', error);
+        return;
+      }
+      if (count === 0) return;
+
+      Alert.alert(
+        'Move Guest Scans?',
+        `You have ${count} ${count === 1 ? 'scan' : 'scans'} from guest mode on this device. Upload them to ${user.email}?`,
+        [
+          { text: 'Not Now', style: 'cancel' },
+          { text: 'Discard', style: 'destructive', onPress: () => confirmDiscard(count) },
+          { text: 'Upload', onPress: runMigration },
+        ]
+      );
+    };
+
+    offerMigration();
+  }, [user.uid]);
+
+  const runMigration = async () => {
+    setMigration({ done: 0, total: 0 });
+    try {
+      const report = await migrateGuestScans(repository, user, (done, total) => setMigration({ done, total }));
+      const moved = report.imported + report.merged;
+      Alert.alert('Guest Scans Uploaded', `${moved} ${moved === 1 ? 'scan was' : 'scans were'} added to your account.`);
+    } catch (error) {
+      console.error('Error migrating guest scans:', error);
+      Alert.alert('Upload Failed', 'Your guest scans are still on this device. You will be asked again next time.');
+    } finally {
+      setMigration(null);
+    }
+  };
+
+  const confirmDiscard = (count) => {
+    Alert.alert(
+      'Discard Guest Scans',
+      `Delete ${count} ${count === 1 ? 'scan' : 'scans'} from this device? This cannot be undone.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Discard',
+          style: 'destructive',
+          onPress: () => discardGuestScans().catch(error => console.error('Error discarding guest scans:', error)),
+        },
+      ]
+    );
+  };
 
   const handleLogout = () => {
+    if (user.isGuest) {
+      Alert.alert(
+        'Sign In',
+        'Your guest scans stay on this device. After you sign in or register, you can move them to your account.',
+        [
+          { text: 'Cancel', style: 'cancel' },
+          { text: 'Continue', onPress: logout }
+        ]
+      );
+      return;
+    }
+
     Alert.alert(
       'Logout',
       'Are you sure you want to logout?',
@@ -38,14 +113,34 @@ const HomeScreen = ({ navigation }) => {
     <SafeAreaView style={styles.container}>
       <View style={styles.header}>
         <Text style={styles.welcomeText}>
-          Welcome, {user?.email || 'User'}!
+          Welcome, {user.isGuest ? 'Guest' : user.email || 'User'}!
         </Text>
-        <TouchableOpacity style={styles.logoutButton} onPress={handleLogout}>
-          <Text style={styles.logoutText}>Logout</Text>
+        <TouchableOpacity
+          style={[styles.logoutButton, user.isGuest && styles.signInButton]}
+          onPress={handleLogout}
+        >
+          <Text style={styles.logoutText}>{user.isGuest ? 'Sign In' : 'Logout'}</Text>
         </TouchableOpacity>
       </View>
 
-      <View style={styles.content}>
+      {user.isGuest && (
+        <View style={styles.guestBanner}>
+          <Text style={styles.guestBannerText}>
+            Guest mode: scans are saved on this device only. Sign in to back them up.
+          </Text>
+        </View>
+      )}
+
+      {migration && (
+        <View style={styles.guestBanner}>
+          <ActivityIndicator color="#1976d2" />
+          <Text style={styles.guestBannerText}>
+            Uploading guest scans{migration.total > 0 ? ` (${migration.done}/${migration.total})` : ''}...
+          </Text>
+        </View>
+      )}
+
+      <ScrollView contentContainerStyle={styles.content}>
         <TouchableOpacity 
           style={styles.scanButton}
           onPress={() => setShowScanner(true)}
@@ -61,7 +156,41 @@ const HomeScreen = ({ navigation }) => {
           <Text style={styles.historyButtonText}>📋</Text>
           <Text style={styles.historyButtonText}>View Scan History</Text>
         </TouchableOpacity>
-      </View>
+
+        <TouchableOpacity 
+          style={[styles.historyButton, styles.generatorButton]}
+          onPress={() => navigation.navigate('QRGenerator')}
+        >
+          <Text style={styles.historyButtonText}>🔳</Text>
+          <Text style={styles.historyButtonText}>Create QR Code</Text>
+        </TouchableOpacity>
+
+        <TouchableOpacity 
+          style={[styles.historyButton, styles.statsButton]}
+          onPress={() => navigation.navigate('Stats')}
+        >
+          <Text style={styles.historyButtonText}>📊</Text>
+          <Text style={styles.historyButtonText}>Statistics</Text>
+        </TouchableOpacity>
+
+        {!user.isGuest && (
+          <TouchableOpacity 
+            style={[styles.historyButton, styles.workspacesButton]}
+            onPress={() => navigation.navigate('Workspaces')}
+          >
+            <Text style={styles.historyButtonText}>👥</Text>
+            <Text style={styles.historyButtonText}>Workspaces</Text>
+          </TouchableOpacity>
+        )}
+
+        <TouchableOpacity 
+          style={[styles.historyButton, styles.webhookButton]}
+          onPress={() => navigation.navigate('Webhook')}
+        >
+          <Text style={styles.historyButtonText}>🔗</Text>
+          <Text style={styles.historyButtonText}>Webhook</Text>
+        </TouchableOpacity>
+      </ScrollView>
     </SafeAreaView>
   );
 };
@@ -98,8 +227,24 @@ const styles = StyleSheet.create({
     color: 'white',
     fontWeight: 'bold',
   },
+  signInButton: {
+    backgroundColor: '#2196F3',
+  },
+  guestBanner: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    backgroundColor: '#e3f2fd',
+    padding: 12,
+  },
+  guestBannerText: {
+    fontSize: 14,
+    color: '#1976d2',
+    textAlign: 'center',
+    marginLeft: 8,
+  },
   content: {
-    flex: 1,
+    flexGrow: 1,
     justifyContent: 'center',
     alignItems: 'center',
     padding: 20,
@@ -135,6 +280,22 @@ const styles = StyleSheet.create({
     shadowRadius: 5,
     elevation: 8,
   },
+  generatorButton: {
+    backgroundColor: '#9C27B0',
+    marginTop: 20,
+  },
+  statsButton: {
+    backgroundColor: '#FF9800',
+    marginTop: 20,
+  },
+  workspacesButton: {
+    backgroundColor: '#009688',
+    marginTop: 20,
+  },
+  webhookButton: {
+    backgroundColor: '#607D8B',
+    marginTop: 20,
+  },
   historyButtonText: {
     color: 'white',
     fontSize: 18,
@@ -11,19 +11,24 @@ import {
   Platform
 } from 'react-native';
 import { useAuth } from '../context/AuthContext';
+import { checkPasswordRules, isStrongPassword } from '../utils/passwordRules';
 
 const LoginScreen = () => {
-  const [email, setEmail] = useState('demo@example.com');
-  const [password, setPassword] = useState('demo123');
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
   const [loading, setLoading] = useState(false);
   const [isRegistering, setIsRegistering] = useState(false);
-  const { login, register } = useAuth();
+  const { login, register, resetPassword, continueAsGuest, sessionNotice, clearSessionNotice } = useAuth();
 
   const handleSubmit = async () => {
     if (!email || !password) {
       Alert.alert('Error', 'Please fill in all fields');
       return;
     }
+    if (isRegistering && !isStrongPassword(password)) {
+      Alert.alert('Weak Password', 'Please choose a password that meets all of the listed requirements');
+      return;
+    }
 
     setLoading(true);
     try {
@@ -41,6 +46,26 @@ const LoginScreen = () => {
     }
   };
 
+  const handleForgotPassword = async () => {
+    if (!email) {
+      Alert.alert('Reset Password', 'Enter your email address above, then tap "Forgot password?" again');
+      return;
+    }
+
+    setLoading(true);
+    try {
+      const result = await resetPassword(email.trim());
+      if (result.success) {
+        // Worded so it doesn't reveal whether an account exists for the address
+        Alert.alert('Check Your Email', `If an account exists for ${email.trim()}, we sent a link to reset its password.`);
+      } else {
+        Alert.alert('Error', result.error);
+      }
+    } finally {
+      setLoading(false);
+    }
+  };
+
   return (
     <KeyboardAvoidingView 
       style={styles.container} 
@@ -50,12 +75,15 @@ const LoginScreen = () => {
         <Text style={styles.title}>
           {isRegistering ? 'Create Account' : 'QR Scanner Login'}
         </Text>
-        
-        <View style={styles.demoInfo}>
-          <Text style={styles.demoText}>Demo Credentials:</Text>
-          <Text style={styles.demoText}>Email: demo@example.com</Text>
-          <Text style={styles.demoText}>Password: demo123</Text>
-        </View>
+
+        {sessionNotice && (
+          <View style={styles.notice}>
+            <Text style={styles.noticeText}>{sessionNotice}</Text>
+            <TouchableOpacity onPress={clearSessionNotice}>
+              <Text style={styles.noticeDismiss}>✕</Text>
+            </TouchableOpacity>
+          </View>
+        )}
 
         <TextInput
           style={styles.input}
@@ -74,6 +102,16 @@ const LoginScreen = () => {
           secureTextEntry
         />
 
+        {isRegistering && (
+          <View style={styles.rules}>
+            {checkPasswordRules(password).map(rule => (
+              <Text key={rule.id} style={[styles.ruleText, rule.passed && styles.rulePassed]}>
+                {rule.passed ? '✓' : '○'} {rule.label}
+              </Text>
+            ))}
+          </View>
+        )}
+
         <TouchableOpacity 
           style={styles.button} 
           onPress={handleSubmit}
@@ -88,6 +126,12 @@ const LoginScreen = () => {
           )}
         </TouchableOpacity>
 
+        {!isRegistering && (
+          <TouchableOpacity style={styles.linkButton} onPress={handleForgotPassword} disabled={loading}>
+            <Text style={styles.linkText}>Forgot password?</Text>
+          </TouchableOpacity>
+        )}
+
         <TouchableOpacity 
           style={styles.linkButton}
           onPress={() => setIsRegistering(!isRegistering)}
@@ -99,6 +143,15 @@ const LoginScreen = () => {
             }
           </Text>
         </TouchableOpacity>
+
+        <View style={styles.guestSection}>
+          <TouchableOpacity style={styles.guestButton} onPress={continueAsGuest} disabled={loading}>
+            <Text style={styles.guestButtonText}>Continue as Guest</Text>
+          </TouchableOpacity>
+          <Text style={styles.guestHint}>
+            Scans stay on this device. You can move them to an account later.
+          </Text>
+        </View>
       </View>
     </KeyboardAvoidingView>
   );
@@ -121,16 +174,25 @@ const styles = StyleSheet.create({
     marginBottom: 30,
     color: '#333',
   },
-  demoInfo: {
-    backgroundColor: '#e3f2fd',
-    padding: 15,
+  notice: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#fff3e0',
+    borderLeftWidth: 4,
+    borderLeftColor: '#FF9800',
+    padding: 12,
     borderRadius: 8,
     marginBottom: 20,
   },
-  demoText: {
+  noticeText: {
+    flex: 1,
     fontSize: 14,
-    color: '#1976d2',
-    textAlign: 'center',
+    color: '#e65100',
+  },
+  noticeDismiss: {
+    fontSize: 16,
+    color: '#e65100',
+    marginLeft: 10,
   },
   input: {
     backgroundColor: 'white',
@@ -142,6 +204,18 @@ const styles = StyleSheet.create({
     borderWidth: 1,
     borderColor: '#ddd',
   },
+  rules: {
+    marginTop: -5,
+    marginBottom: 10,
+  },
+  ruleText: {
+    fontSize: 14,
+    color: '#999',
+    marginBottom: 3,
+  },
+  rulePassed: {
+    color: '#4CAF50',
+  },
   button: {
     backgroundColor: '#2196F3',
     padding: 15,
@@ -162,6 +236,32 @@ const styles = StyleSheet.create({
     color: '#2196F3',
     fontSize: 16,
   },
+  guestSection: {
+    marginTop: 30,
+    paddingTop: 20,
+    borderTopWidth: 1,
+    borderTopColor: '#ddd',
+    alignItems: 'center',
+  },
+  guestButton: {
+    paddingVertical: 12,
+    paddingHorizontal: 30,
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: '#2196F3',
+    backgroundColor: 'white',
+  },
+  guestButtonText: {
+    color: '#2196F3',
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+  guestHint: {
+    fontSize: 13,
+    color: '#888',
+    textAlign: 'center',
+    marginTop: 8,
+  },
 });
 
 export default LoginScreen;
\ No newline at end of file
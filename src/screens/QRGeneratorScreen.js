@@ -0,0 +1,329 @@
+import React, { useState, useRef } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  StyleSheet,
+  Alert,
+  ScrollView,
+  SafeAreaView,
+  ActivityIndicator
+} from 'react-native';
+import QRCode from 'react-native-qrcode-svg';
+import { QR_TEMPLATES, getDefaultValues, buildQRPayload } from '../utils/qrBuilder';
+import { saveQRImage, shareQRImage } from '../services/qrImage';
+
+const ERROR_CORRECTION_LEVELS = [
+  { level: 'L', label: 'Low (7%)' },
+  { level: 'M', label: 'Medium (15%)' },
+  { level: 'Q', label: 'Quartile (25%)' },
+  { level: 'H', label: 'High (30%)' },
+];
+const MIN_SIZE = 120;
+const MAX_SIZE = 320;
+const SIZE_STEP = 40;
+
+const QRGeneratorScreen = ({ route }) => {
+  // History items open the generator with their raw payload, which the text template keeps verbatim
+  const initialPayload = route?.params?.payload;
+  const [template, setTemplate] = useState(initialPayload ? 'text' : 'url');
+  const [values, setValues] = useState(
+    initialPayload ? { text: initialPayload } : getDefaultValues('url')
+  );
+  const [errorCorrection, setErrorCorrection] = useState('M');
+  const [size, setSize] = useState(240);
+  const [renderError, setRenderError] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const qrRef = useRef(null);
+
+  const { payload, error } = buildQRPayload(template, values);
+
+  const selectTemplate = (nextTemplate) => {
+    setTemplate(nextTemplate);
+    setValues(getDefaultValues(nextTemplate));
+    setRenderError(null);
+  };
+
+  const updateValue = (key, value) => {
+    setValues(current => ({ ...current, [key]: value }));
+    setRenderError(null);
+  };
+
+  const getImageData = () =>
+    new Promise((resolve, reject) => {
+      if (!qrRef.current) {
+        reject(new Error('QR code is not ready yet'));
+        return;
+      }
+      qrRef.current.toDataURL(resolve);
+    });
+
+  const runImageAction = async (action, successMessage) => {
+    setBusy(true);
+    try {
+      await action(await getImageData());
+      if (successMessage) {
+        Alert.alert('Success', successMessage);
+      }
+    } catch (actionError) {
+      console.error('QR image error:', actionError);
+      Alert.alert('Error', actionError.message || 'Something went wrong');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const renderChip = (key, label, selected, onPress) => (
+    <TouchableOpacity
+      key={key}
+      style={[styles.chip, selected && styles.chipActive]}
+      onPress={onPress}
+    >
+      <Text style={[styles.chipText, selected && styles.chipTextActive]}>{label}</Text>
+    </TouchableOpacity>
+  );
+
+  const renderField = (field) => (
+    <View key={field.key} style={styles.field}>
+      <Text style={styles.fieldLabel}>{field.label}</Text>
+      {field.options ? (
+        <View style={styles.chipRow}>
+          {field.options.map(option =>
+            renderChip(option, option, values[field.key] === option, () => updateValue(field.key, option))
+          )}
+        </View>
+      ) : (
+        <TextInput
+          style={[styles.input, field.multiline && styles.inputMultiline]}
+          placeholder={field.placeholder}
+          value={values[field.key] || ''}
+          onChangeText={(text) => updateValue(field.key, text)}
+          keyboardType={field.keyboardType || 'default'}
+          autoCapitalize="none"
+          autoCorrect={false}
+          multiline={field.multiline}
+        />
+      )}
+    </View>
+  );
+
+  const previewError = error || renderError;
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <ScrollView contentContainerStyle={styles.content} keyboardShouldPersistTaps="handled">
+        <ScrollView horizontal showsHorizontalScrollIndicator={false} style={styles.templateRow}>
+          {Object.keys(QR_TEMPLATES).map(key =>
+            renderChip(key, QR_TEMPLATES[key].label, template === key, () => selectTemplate(key))
+          )}
+        </ScrollView>
+
+        <View style={styles.card}>
+          {QR_TEMPLATES[template].fields.map(renderField)}
+        </View>
+
+        <View style={[styles.card, styles.previewCard]}>
+          {previewError ? (
+            <View style={[styles.previewPlaceholder, { width: size, height: size }]}>
+              <Text style={styles.previewErrorText}>{previewError}</Text>
+            </View>
+          ) : (
+            <QRCode
+              value={payload}
+              size={size}
+              ecl={errorCorrection}
+              quietZone={10}
+              backgroundColor="white"
+              getRef={(ref) => { qrRef.current = ref; }}
+              onError={() => setRenderError('Too much data for a QR code at this error correction level')}
+            />
+          )}
+        </View>
+
+        <View style={styles.card}>
+          <Text style={styles.fieldLabel}>Error correction</Text>
+          <View style={styles.chipRow}>
+            {ERROR_CORRECTION_LEVELS.map(({ level, label }) =>
+              renderChip(level, label, errorCorrection === level, () => {
+                setErrorCorrection(level);
+                setRenderError(null);
+              })
+            )}
+          </View>
+
+          <Text style={styles.fieldLabel}>Size</Text>
+          <View style={styles.sizeRow}>
+            <TouchableOpacity
+              style={styles.sizeButton}
+              onPress={() => setSize(Math.max(MIN_SIZE, size - SIZE_STEP))}
+              disabled={size <= MIN_SIZE}
+            >
+              <Text style={styles.sizeButtonText}>−</Text>
+            </TouchableOpacity>
+            <Text style={styles.sizeText}>{size} px</Text>
+            <TouchableOpacity
+              style={styles.sizeButton}
+              onPress={() => setSize(Math.min(MAX_SIZE, size + SIZE_STEP))}
+              disabled={size >= MAX_SIZE}
+            >
+              <Text style={styles.sizeButtonText}>+</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+
+        <View style={styles.actions}>
+          <TouchableOpacity
+            style={[styles.actionButton, (previewError || busy) && styles.actionButtonDisabled]}
+            onPress={() => runImageAction(saveQRImage, 'QR code saved to your photos')}
+            disabled={!!previewError || busy}
+          >
+            <Text style={styles.actionButtonText}>💾 Save Image</Text>
+          </TouchableOpacity>
+          <TouchableOpacity
+            style={[styles.actionButton, styles.shareButton, (previewError || busy) && styles.actionButtonDisabled]}
+            onPress={() => runImageAction(shareQRImage)}
+            disabled={!!previewError || busy}
+          >
+            <Text style={styles.actionButtonText}>📤 Share</Text>
+          </TouchableOpacity>
+        </View>
+        {busy && <ActivityIndicator style={styles.busyIndicator} color="#2196F3" />}
+      </ScrollView>
+    </SafeAreaView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f5f5f5',
+  },
+  content: {
+    padding: 15,
+  },
+  templateRow: {
+    flexGrow: 0,
+    marginBottom: 15,
+  },
+  card: {
+    backgroundColor: 'white',
+    borderRadius: 12,
+    padding: 15,
+    marginBottom: 15,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.1,
+    shadowRadius: 4,
+    elevation: 3,
+  },
+  previewCard: {
+    alignItems: 'center',
+  },
+  previewPlaceholder: {
+    justifyContent: 'center',
+    alignItems: 'center',
+    borderWidth: 2,
+    borderStyle: 'dashed',
+    borderColor: '#ddd',
+    borderRadius: 8,
+    padding: 15,
+  },
+  previewErrorText: {
+    color: '#999',
+    textAlign: 'center',
+  },
+  field: {
+    marginBottom: 12,
+  },
+  fieldLabel: {
+    fontSize: 14,
+    fontWeight: 'bold',
+    color: '#666',
+    marginBottom: 6,
+  },
+  input: {
+    backgroundColor: '#f0f0f0',
+    paddingHorizontal: 15,
+    paddingVertical: 10,
+    borderRadius: 8,
+    fontSize: 16,
+  },
+  inputMultiline: {
+    minHeight: 80,
+    textAlignVertical: 'top',
+  },
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginBottom: 8,
+  },
+  chip: {
+    paddingHorizontal: 14,
+    paddingVertical: 8,
+    borderRadius: 20,
+    marginRight: 8,
+    marginBottom: 8,
+    backgroundColor: '#e0e0e0',
+  },
+  chipActive: {
+    backgroundColor: '#2196F3',
+  },
+  chipText: {
+    color: '#666',
+    fontWeight: 'bold',
+  },
+  chipTextActive: {
+    color: 'white',
+  },
+  sizeRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  sizeButton: {
+    width: 40,
+    height: 40,
+    borderRadius: 20,
+    backgroundColor: '#2196F3',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  sizeButtonText: {
+    color: 'white',
+    fontSize: 22,
+    fontWeight: 'bold',
+  },
+  sizeText: {
+    fontSize: 16,
+    color: '#333',
+    marginHorizontal: 20,
+  },
+  actions: {
+    flexDirection: 'row',
+  },
+  actionButton: {
+    flex: 1,
+    backgroundColor: '#4CAF50',
+    padding: 15,
+    borderRadius: 8,
+    alignItems: 'center',
+    marginRight: 10,
+  },
+  shareButton: {
+    backgroundColor: '#2196F3',
+    marginRight: 0,
+  },
+  actionButtonDisabled: {
+    opacity: 0.5,
+  },
+  actionButtonText: {
+    color: 'white',
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+  busyIndicator: {
+    marginTop: 15,
+  },
+});
+
+export default QRGeneratorScreen;
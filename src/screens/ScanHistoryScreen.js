@@ -1,4 +1,4 @@
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useState, useEffect, useCallback, useRef } from 'react';
 import {
   View,
   Text,
@@ -12,149 +12,280 @@ import {
   RefreshControl,
   Share,
   Linking,
-  Dimensions
+  Dimensions,
+  ScrollView
 } from 'react-native';
-import { collection, query, where, orderBy, getDocs, deleteDoc, doc } from 'firebase/firestore';
-import { db } from '../services/firebase';
 import { useAuth } from '../context/AuthContext';
-import AsyncStorage from '@react-native-async-storage/async-storage';
+import { useScanRepository } from '../context/ScanRepositoryContext';
+import { getParsedData, getParsedTitle, formatParsedData } from '../utils/qrParser';
+import { QR_TYPES } from '../utils/constants';
+import { getScanSymbology, getSymbologyLabel } from '../utils/symbology';
+import UndoBar from '../components/undoBar';
+import ExportSheet from '../components/exportSheet';
+import { exportScans } from '../services/exportScans';
+import ImportReport from '../components/importReport';
+import { pickImportFile, importScans } from '../services/importScans';
+import { prepareImport } from '../utils/scanImport';
+import { DATE_FILTERS, getDateRange, isInDateRange, formatCustomRange } from '../utils/dateFilters';
+import DateRangePicker from '../components/dateRangePicker';
+import { analyzeUrl, getScanUrlRisk, isLinkPayload, RISK_LEVELS } from '../utils/urlRisk';
+import LinkWarning from '../components/linkWarning';
+import AnnotationEditor from '../components/annotationEditor';
+import { saveScanAnnotations } from '../services/scanAnnotations';
+import { getRecentTags, getHistoryFilter, setHistoryFilter } from '../services/settings';
+import { subscribeToWorkspace, canScanInto } from '../services/workspaces';
+import { getScanTags, getScanNote, collectTags } from '../utils/scanTags';
+import { groupScansByPayload } from '../utils/scanGroups';
+import ScanMap from '../components/scanMap';
+import { getCurrentLocation } from '../services/location';
+import { parseSearchQuery, matchesSearchQuery, getServerSearchText, SEARCH_HELP } from '../utils/searchQuery';
+import { RADIUS_OPTIONS_KM, isWithinRadius, getDistanceKm, formatDistance, hasLocation } from '../utils/geo';
 
 const { width } = Dimensions.get('window');
 
-const ScanHistoryScreen = ({ navigation }) => {
+const SEARCH_DEBOUNCE_MS = 400;
+const VIEW_MODES = [
+  { key: 'list', label: '☰ List' },
+  { key: 'grouped', label: '🗂 Grouped' },
+  { key: 'map', label: '🗺️ Map' },
+];
+const UNDO_WINDOW_MS = 6000;
+
+// Opened with a workspaceId param it shows everyone's scans in that workspace instead of the user's own
+const ScanHistoryScreen = ({ navigation, route }) => {
+  const { workspaceId = null, workspaceName } = route.params || {};
   const [scans, setScans] = useState([]);
+  const [pendingScans, setPendingScans] = useState([]);
   const [loading, setLoading] = useState(true);
   const [refreshing, setRefreshing] = useState(false);
   const [searchText, setSearchText] = useState('');
   const [filteredScans, setFilteredScans] = useState([]);
-  const [selectedFilter, setSelectedFilter] = useState('all'); // all, today, week, month
+  const [selectedFilter, setSelectedFilter] = useState('all'); // a DATE_FILTERS key
+  const [customRange, setCustomRange] = useState(null); // { from, to }
+  const [showDatePicker, setShowDatePicker] = useState(false);
+  const [selectedTypes, setSelectedTypes] = useState([]);
+  const [typeCounts, setTypeCounts] = useState({});
+  const [filtersLoaded, setFiltersLoaded] = useState(false);
+  const [selectedSymbology, setSelectedSymbology] = useState('all');
+  const [selectedTag, setSelectedTag] = useState('all');
+  const [nearFilter, setNearFilter] = useState(null); // { center, radiusKm }
+  const [locating, setLocating] = useState(false);
+  const [viewMode, setViewMode] = useState('list'); // list, grouped, map
+  const [expandedGroups, setExpandedGroups] = useState([]);
+  const [serverSearchText, setServerSearchText] = useState('');
+  const [hasMore, setHasMore] = useState(false);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [olderScans, setOlderScans] = useState([]); // every matching scan, for the grouped view
+  const [olderScansState, setOlderScansState] = useState('idle'); // idle, loading, loaded, failed
+  const cursorRef = useRef(null);
+  const requestIdRef = useRef(0);
+  const queryRef = useRef({});
+  const rangesRef = useRef([]);
+  const [undoAction, setUndoAction] = useState(null);
+  const [bulkProgress, setBulkProgress] = useState(null);
+  const [exportList, setExportList] = useState(null); // what the export sheet offers; null while closed
+  const [preparingExport, setPreparingExport] = useState(false);
+  const [importReport, setImportReport] = useState(null);
+  const [linkWarning, setLinkWarning] = useState(null);
+  const [editingScan, setEditingScan] = useState(null);
+  const [recentTags, setRecentTags] = useState([]);
+  const [workspace, setWorkspace] = useState(null);
+  const undoTimerRef = useRef(null);
   const { user } = useAuth();
+  const repository = useScanRepository();
+
+  const scope = workspaceId ? { workspaceId } : { userId: user.uid };
+  queryRef.current = { dateRange: getDateRange(selectedFilter, customRange), searchText: serverSearchText };
+
+  useEffect(() => {
+    if (!workspaceId) return undefined;
+    navigation.setOptions({ title: workspaceName });
+    // Kept live so that a changed role or removal is reflected in what can be edited
+    return subscribeToWorkspace(
+      workspaceId,
+      setWorkspace,
+      (error) => console.error('Error loading workspace:', error)
+    );
+  }, [workspaceId]);
+
+  // The screen reopens with the filter bar as it was left
+  useEffect(() => {
+    const loadFilter = async () => {
+      const saved = await getHistoryFilter();
+      if (saved) {
+        setSelectedFilter(DATE_FILTERS[saved.dateFilter] ? saved.dateFilter : 'all');
+        setCustomRange(saved.customRange || null);
+        setSelectedTypes((saved.types || []).filter(type => QR_TYPES[type]));
+        setSelectedSymbology(saved.symbology || 'all');
+        setSelectedTag(saved.tag || 'all');
+        setViewMode(VIEW_MODES.some(mode => mode.key === saved.viewMode) ? saved.viewMode : 'list');
+      }
+      setFiltersLoaded(true);
+    };
+    loadFilter();
+  }, []);
+
+  useEffect(() => {
+    if (!filtersLoaded) return;
+    setHistoryFilter({
+      dateFilter: selectedFilter,
+      customRange,
+      types: selectedTypes,
+      symbology: selectedSymbology,
+      tag: selectedTag,
+      viewMode,
+    }).catch(error => console.error('Error saving history filter:', error));
+  }, [filtersLoaded, selectedFilter, customRange, selectedTypes, selectedSymbology, selectedTag, viewMode]);
+
+  useEffect(() => {
+    // Only plain words can narrow the Firestore query; filters and typos are handled on the device
+    const timer = setTimeout(
+      () => setServerSearchText(getServerSearchText(parseSearchQuery(searchText)) || ''),
+      SEARCH_DEBOUNCE_MS
+    );
+    return () => clearTimeout(timer);
+  }, [searchText]);
+
+  // Re-subscribes whenever the query changes; the cleanup also runs on unmount and logout
+  useEffect(() => {
+    if (!filtersLoaded) return undefined;
+    fetchScanHistory(false);
+    return stopLiveUpdates;
+  }, [filtersLoaded, selectedFilter, customRange, serverSearchText, user?.uid, workspaceId]);
+
+  // Once a queued scan reaches Firestore the live listener delivers the saved copy
+  useEffect(() => repository.subscribePending(scope, setPendingScans), [repository, user?.uid, workspaceId]);
+
+  // Groups count and date every matching scan, so the grouped view loads the scans beyond the
+  // loaded pages with one listAll, the way the statistics do. Only the pages stay live.
+  useEffect(() => {
+    setOlderScans([]);
+    if (viewMode !== 'grouped' || !hasMore || loading) {
+      setOlderScansState('idle');
+      return undefined;
+    }
+
+    let active = true;
+    setOlderScansState('loading');
+    const { dateRange, searchText: search } = queryRef.current;
+    repository.listAll({ ...scope, dateRange, searchText: search })
+      .then((allScans) => {
+        if (!active) return;
+        setOlderScans(allScans);
+        setOlderScansState('loaded');
+      })
+      .catch((error) => {
+        console.error('Error loading scans to group:', error);
+        if (active) setOlderScansState('failed');
+      });
+    return () => {
+      active = false;
+    };
+  }, [viewMode, hasMore, loading, selectedFilter, customRange, serverSearchText, user?.uid, workspaceId]);
+
+  useEffect(() => () => clearTimeout(undoTimerRef.current), []);
 
   useEffect(() => {
-    fetchScanHistory();
+    getRecentTags().then(setRecentTags);
   }, []);
 
   useEffect(() => {
     filterScans();
-  }, [searchText, scans, selectedFilter]);
+  }, [searchText, scans, pendingScans, olderScans, selectedFilter, customRange, selectedTypes, selectedSymbology, selectedTag, nearFilter]);
+
+  const stopLiveUpdates = () => {
+    rangesRef.current.forEach(range => range.unsubscribe());
+    rangesRef.current = [];
+  };
+
+  // Each loaded page stays subscribed, so adds, edits and deletes from any device show up live
+  const watchRange = (requestId, after, page) => {
+    const { dateRange, searchText: search } = queryRef.current;
+    const range = {
+      scans: page.scans,
+      unsubscribe: () => {},
+    };
+    rangesRef.current.push(range);
+
+    const publishRanges = () => {
+      setScans(rangesRef.current.flatMap(item => item.scans));
+    };
+
+    range.unsubscribe = repository.subscribe(
+      {
+        ...scope,
+        dateRange,
+        searchText: search,
+        after,
+        // The last page stays open-ended so older scans (imports, queued replays) still appear
+        until: page.hasMore ? page.cursor : null,
+      },
+      (rangeScans) => {
+        if (requestId !== requestIdRef.current) return;
+        range.scans = rangeScans;
+        publishRanges();
+      },
+      (error) => console.error('Error listening to scan history:', error)
+    );
+    publishRanges();
+  };
+
+  const fetchScanHistory = async (showLoading = true) => {
+    const requestId = ++requestIdRef.current;
+    stopLiveUpdates();
 
-  const fetchScanHistory = async () => {
     try {
-      setLoading(true);
-      
-      // Create demo data if no user or if it's demo user
-      if (!user || user.uid === 'demo-user') {
-        const demoScans = await getDemoScans();
-        setScans(demoScans);
-        setLoading(false);
-        return;
+      if (showLoading) {
+        setLoading(true);
       }
 
-      const q = query(
-        collection(db, 'scans'),
-        where('userId', '==', user.uid),
-        orderBy('timestamp', 'desc')
-      );
-
-      const querySnapshot = await getDocs(q);
-      const scanData = [];
-      
-      querySnapshot.forEach((doc) => {
-        scanData.push({
-          id: doc.id,
-          ...doc.data(),
-          timestamp: doc.data().timestamp?.toDate() || new Date()
-        });
-      });
+      const { dateRange, searchText: search } = queryRef.current;
+      const page = await repository.listPage({ ...scope, dateRange, searchText: search });
+
+      // A newer filter or search was applied while this page was loading
+      if (requestId !== requestIdRef.current) return;
 
-      setScans(scanData);
-      
-      // Also save to local storage as backup
-      await AsyncStorage.setItem('scanHistory', JSON.stringify(scanData));
-      
+      cursorRef.current = page.cursor;
+      setHasMore(page.hasMore);
+      // A backup page cannot be kept live, and a listener would only replace it with nothing
+      if (page.fromBackup) {
+        setScans(page.scans);
+      } else {
+        watchRange(requestId, null, page);
+      }
     } catch (error) {
       console.error('Error fetching scan history:', error);
-      // Try to load from local storage if Firebase fails
-      try {
-        const localScans = await AsyncStorage.getItem('scanHistory');
-        if (localScans) {
-          const parsedScans = JSON.parse(localScans);
-          setScans(parsedScans.map(scan => ({
-            ...scan,
-            timestamp: new Date(scan.timestamp)
-          })));
-        }
-      } catch (localError) {
-        console.error('Error loading local scan history:', localError);
-        Alert.alert('Error', 'Failed to load scan history');
-      }
+      setHasMore(false);
+      Alert.alert('Error', workspaceId ? 'Failed to load workspace scans' : 'Failed to load scan history');
     } finally {
       setLoading(false);
     }
   };
 
-  const getDemoScans = async () => {
-    // Check if we have saved demo scans in AsyncStorage
-    try {
-      const savedDemoScans = await AsyncStorage.getItem('demoScans');
-      if (savedDemoScans) {
-        const parsedScans = JSON.parse(savedDemoScans);
-        return parsedScans.map(scan => ({
-          ...scan,
-          timestamp: new Date(scan.timestamp)
-        }));
-      }
-    } catch (error) {
-      console.error('Error loading demo scans:', error);
-    }
+  const loadMoreScans = async () => {
+    if (!hasMore || loadingMore || loading) return;
 
-    // Default demo data
-    const demoScans = [
-      {
-        id: '1',
-        qrData: 'https://expo.dev',
-        timestamp: new Date(Date.now() - 86400000), // 1 day ago
-        location: { latitude: 40.7128, longitude: -74.0060 },
-        type: 'url'
-      },
-      {
-        id: '2',
-        qrData: 'Hello World QR Code - This is a simple text QR code for testing',
-        timestamp: new Date(Date.now() - 172800000), // 2 days ago
-        location: null,
-        type: 'text'
-      },
-      {
-        id: '3',
-        qrData: 'https://reactnative.dev/docs/getting-started',
-        timestamp: new Date(Date.now() - 259200000), // 3 days ago
-        location: { latitude: 37.7749, longitude: -122.4194 },
-        type: 'url'
-      },
-      {
-        id: '4',
-        qrData: 'Contact: John Doe\nPhone: +1-555-123-4567\nEmail: john@example.com',
-        timestamp: new Date(Date.now() - 345600000), // 4 days ago
-        location: { latitude: 34.0522, longitude: -118.2437 },
-        type: 'contact'
-      },
-      {
-        id: '5',
-        qrData: 'WiFi:T:WPA;S:MyNetwork;P:password123;H:false;;',
-        timestamp: new Date(Date.now() - 432000000), // 5 days ago
-        location: null,
-        type: 'wifi'
-      }
-    ];
-
-    // Save demo scans to AsyncStorage
+    const requestId = requestIdRef.current;
+    setLoadingMore(true);
     try {
-      await AsyncStorage.setItem('demoScans', JSON.stringify(demoScans));
+      const { dateRange, searchText: search } = queryRef.current;
+      const after = cursorRef.current;
+      const page = await repository.listPage({
+        ...scope,
+        dateRange,
+        searchText: search,
+        cursor: after,
+      });
+      if (requestId !== requestIdRef.current) return;
+
+      cursorRef.current = page.cursor;
+      setHasMore(page.hasMore);
+      watchRange(requestId, after, page);
     } catch (error) {
-      console.error('Error saving demo scans:', error);
+      console.error('Error loading more scans:', error);
+    } finally {
+      setLoadingMore(false);
     }
-
-    return demoScans;
   };
 
   const onRefresh = useCallback(async () => {
@@ -163,43 +294,90 @@ const ScanHistoryScreen = ({ navigation }) => {
     setRefreshing(false);
   }, []);
 
-  const filterScans = () => {
-    let filtered = scans;
+  // Applies every filter to `list`; also used on the full set loaded for an export
+  const applyFilters = (list) => {
+    let filtered = list;
+
+    // Repository results are already filtered by date and search, but the offline backup
+    // and pending scans are only filtered here
 
     // Apply time filter
-    if (selectedFilter !== 'all') {
-      const now = new Date();
-      let cutoffDate;
-
-      switch (selectedFilter) {
-        case 'today':
-          cutoffDate = new Date(now.getFullYear(), now.getMonth(), now.getDate());
-          break;
-        case 'week':
-          cutoffDate = new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000);
-          break;
-        case 'month':
-          cutoffDate = new Date(now.getTime() - 30 * 24 * 60 * 60 * 1000);
-          break;
-        default:
-          cutoffDate = null;
-      }
+    const dateRange = getDateRange(selectedFilter, customRange);
+    if (dateRange) {
+      filtered = filtered.filter(scan => isInDateRange(scan.timestamp, dateRange));
+    }
 
-      if (cutoffDate) {
-        filtered = filtered.filter(scan => scan.timestamp >= cutoffDate);
-      }
+    // Apply distance filter; computed on the device so it also covers guest and offline data
+    if (nearFilter) {
+      filtered = filtered.filter(scan => isWithinRadius(scan, nearFilter.center, nearFilter.radiusKm));
+    }
+
+    // Apply symbology filter
+    if (selectedSymbology !== 'all') {
+      filtered = filtered.filter(scan => getScanSymbology(scan) === selectedSymbology);
     }
 
-    // Apply search filter
-    if (searchText) {
-      filtered = filtered.filter(scan => 
-        scan.qrData.toLowerCase().includes(searchText.toLowerCase())
-      );
+    // Apply tag filter
+    if (selectedTag !== 'all') {
+      filtered = filtered.filter(scan => getScanTags(scan).includes(selectedTag));
     }
 
+    // Apply search query (free text, type:, host:, near: and friends)
+    const searchQuery = parseSearchQuery(searchText);
+    if (searchQuery.terms.length > 0) {
+      filtered = filtered.filter(scan => matchesSearchQuery(scan, searchQuery));
+    }
+
+    // Type facets count what every other filter lets through, so each count is what selecting it adds
+    const counts = {};
+    const types = filtered.map(scan => getParsedData(scan).type);
+    types.forEach((type) => {
+      counts[type] = (counts[type] || 0) + 1;
+    });
+
+    if (selectedTypes.length > 0) {
+      filtered = filtered.filter((scan, index) => selectedTypes.includes(types[index]));
+    }
+
+    return { scans: filtered, typeCounts: counts };
+  };
+
+  // The loaded pages are live, so of the full list only the scans older than them are used
+  const getScansBeyondPages = (skipIds) => {
+    const oldestLoaded = scans[scans.length - 1];
+    return olderScans.filter(scan =>
+      !skipIds.has(scan.id) && (!oldestLoaded || scan.timestamp < oldestLoaded.timestamp)
+    );
+  };
+
+  const filterScans = () => {
+    const pendingIds = new Set(pendingScans.map(scan => scan.id));
+    const loadedScans = [...pendingScans, ...scans.filter(scan => !pendingIds.has(scan.id))];
+    const { scans: filtered, typeCounts: counts } = applyFilters([
+      ...loadedScans,
+      ...getScansBeyondPages(new Set(loadedScans.map(scan => scan.id))),
+    ]);
+    setTypeCounts(counts);
     setFilteredScans(filtered);
   };
 
+  const selectRadius = async (radiusKm) => {
+    if (!radiusKm) {
+      setNearFilter(null);
+      return;
+    }
+
+    // "Near here" always means where the device is now
+    setLocating(true);
+    const center = await getCurrentLocation();
+    setLocating(false);
+    if (!center) {
+      Alert.alert('Location Unavailable', 'Allow location access to filter scans by distance.');
+      return;
+    }
+    setNearFilter({ center, radiusKm });
+  };
+
   const formatDate = (date) => {
     const now = new Date();
     const diffTime = Math.abs(now - date);
@@ -222,44 +400,64 @@ const ScanHistoryScreen = ({ navigation }) => {
     }
   };
 
-  const getQRType = (data) => {
-    if (data.startsWith('http://') || data.startsWith('https://')) {
-      return { type: 'url', icon: '🌐', color: '#2196F3' };
-    } else if (data.startsWith('mailto:')) {
-      return { type: 'email', icon: '📧', color: '#FF9800' };
-    } else if (data.startsWith('tel:')) {
-      return { type: 'phone', icon: '📞', color: '#4CAF50' };
-    } else if (data.startsWith('WiFi:')) {
-      return { type: 'wifi', icon: '📶', color: '#9C27B0' };
-    } else if (data.includes('Contact:') || data.includes('VCARD')) {
-      return { type: 'contact', icon: '👤', color: '#FF5722' };
-    } else {
-      return { type: 'text', icon: '📝', color: '#607D8B' };
-    }
-  };
+  // Mirrors firestore.rules: scans can be annotated by whoever took them and by workspace editors,
+  // but only deleted by whoever took them
+  const isOwnScan = (scan) => scan.userId === user.uid;
+  const canAnnotate = (scan) => isOwnScan(scan) || canScanInto(workspace, user.uid);
 
   const handleScanPress = (scan) => {
-    const qrType = getQRType(scan.qrData);
+    const parsed = getParsedData(scan);
+    const tags = getScanTags(scan);
+    const note = getScanNote(scan);
+    const annotations = [
+      tags.length > 0 && `Tags: ${tags.map(tag => `#${tag}`).join(' ')}`,
+      note && `Note: ${note}`,
+    ].filter(Boolean);
     
     Alert.alert(
-      'QR Code Details',
-      scan.qrData,
+      `${QR_TYPES[parsed.type].label} Details`,
+      annotations.length > 0
+        ? `${formatParsedData(parsed)}\n\n${annotations.join('\n')}`
+        : formatParsedData(parsed),
       [
         { text: 'Copy', onPress: () => copyToClipboard(scan.qrData) },
-        qrType.type === 'url' && { text: 'Open URL', onPress: () => openURL(scan.qrData) },
+        canAnnotate(scan) && { text: 'Tags & Note', onPress: () => setEditingScan(scan) },
+        isLinkPayload(scan.qrData) && { text: 'Open URL', onPress: () => openURL(scan.qrData) },
         { text: 'Share', onPress: () => shareQRData(scan.qrData) },
-        { text: 'Delete', onPress: () => deleteScan(scan), style: 'destructive' },
+        { text: 'Show QR Code', onPress: () => navigation.navigate('QRGenerator', { payload: scan.qrData }) },
+        isOwnScan(scan) && { text: 'Delete', onPress: () => deleteScan(scan), style: 'destructive' },
         { text: 'Close', style: 'cancel' }
       ].filter(Boolean)
     );
   };
 
+  const saveAnnotations = async (annotations) => {
+    const updates = await saveScanAnnotations(repository, editingScan, annotations);
+    // Repository and queue listeners deliver the saved copy too; this keeps the list current meanwhile
+    const annotate = list => list.map(scan => (scan.id === editingScan.id ? { ...scan, ...updates } : scan));
+    setScans(annotate);
+    setOlderScans(annotate);
+    setEditingScan(null);
+    getRecentTags().then(setRecentTags);
+  };
+
   const copyToClipboard = (text) => {
     // In a real app, you'd use @react-native-clipboard/clipboard
     Alert.alert('Copied', 'QR code data copied to clipboard');
   };
 
-  const openURL = async (url) => {
+  // Links with any finding go through the warning interstitial first
+  const openURL = (url) => {
+    const { level, findings } = analyzeUrl(url);
+    if (findings.length > 0) {
+      setLinkWarning({ url, level, findings });
+      return;
+    }
+    launchURL(url);
+  };
+
+  const launchURL = async (url) => {
+    setLinkWarning(null);
     try {
       const supported = await Linking.canOpenURL(url);
       if (supported) {
@@ -283,22 +481,40 @@ const ScanHistoryScreen = ({ navigation }) => {
     }
   };
 
+  const offerUndo = (message, restore) => {
+    clearTimeout(undoTimerRef.current);
+    setUndoAction({ message, restore });
+    undoTimerRef.current = setTimeout(() => setUndoAction(null), UNDO_WINDOW_MS);
+  };
+
+  const handleUndo = async () => {
+    const action = undoAction;
+    clearTimeout(undoTimerRef.current);
+    setUndoAction(null);
+    if (!action) return;
+
+    try {
+      await action.restore();
+    } catch (error) {
+      console.error('Error restoring scans:', error);
+      Alert.alert('Error', 'Failed to restore scans');
+    } finally {
+      setBulkProgress(null);
+    }
+  };
+
+  const showProgress = (label) => (done, total) => setBulkProgress({ label, done, total });
+
   const deleteScan = async (scan) => {
     try {
-      if (user && user.uid !== 'demo-user') {
-        // Delete from Firebase
-        await deleteDoc(doc(db, 'scans', scan.id));
-      } else {
-        // Delete from demo data
-        const updatedDemoScans = scans.filter(s => s.id !== scan.id);
-        await AsyncStorage.setItem('demoScans', JSON.stringify(updatedDemoScans));
-      }
-      
+      // The live listener picks up the restored copy on undo
+      const deleted = await repository.remove(scan.id);
+
       // Update local state
-      const updatedScans = scans.filter(s => s.id !== scan.id);
-      setScans(updatedScans);
-      
-      Alert.alert('Success', 'Scan deleted successfully');
+      setScans(current => current.filter(s => s.id !== scan.id));
+      setOlderScans(current => current.filter(s => s.id !== scan.id));
+
+      offerUndo('Scan deleted', () => repository.restore(deleted));
     } catch (error) {
       console.error('Error deleting scan:', error);
       Alert.alert('Error', 'Failed to delete scan');
@@ -308,23 +524,29 @@ const ScanHistoryScreen = ({ navigation }) => {
   const clearAllScans = () => {
     Alert.alert(
       'Clear All Scans',
-      'Are you sure you want to delete all scan history? This action cannot be undone.',
+      'Are you sure you want to delete all scan history?',
       [
         { text: 'Cancel', style: 'cancel' },
         { 
           text: 'Clear All', 
           style: 'destructive',
           onPress: async () => {
+            const restoreAll = deleted => () => repository.restore(deleted, showProgress('Restoring scans'));
+
             try {
-              if (user && user.uid !== 'demo-user') {
-                // Delete all user scans from Firebase (would need batch delete in real app)
-                // For demo, just clear local state
-              }
-              await AsyncStorage.removeItem('demoScans');
+              const deleted = await repository.removeAll(user.uid, showProgress('Deleting scans'));
               setScans([]);
-              Alert.alert('Success', 'All scans cleared');
+              setOlderScans([]);
+              offerUndo(`${deleted.length} ${deleted.length === 1 ? 'scan' : 'scans'} cleared`, restoreAll(deleted));
             } catch (error) {
+              console.error('Error clearing scans:', error);
+              const partiallyDeleted = error.deletedScans || [];
+              if (partiallyDeleted.length > 0) {
+                offerUndo(`Stopped after ${partiallyDeleted.length} scans`, restoreAll(partiallyDeleted));
+              }
               Alert.alert('Error', 'Failed to clear scans');
+            } finally {
+              setBulkProgress(null);
             }
           }
         }
@@ -332,13 +554,141 @@ const ScanHistoryScreen = ({ navigation }) => {
     );
   };
 
+  // Exports everything the filters match, not just the pages loaded so far
+  const openExport = async () => {
+    setPreparingExport(true);
+    try {
+      const { dateRange, searchText: search } = queryRef.current;
+      const allScans = await repository.listAll({ ...scope, dateRange, searchText: search });
+      setExportList(applyFilters(allScans).scans);
+    } catch (error) {
+      console.error('Error loading scans to export, offering the loaded ones:', error);
+      setExportList(filteredScans);
+    } finally {
+      setPreparingExport(false);
+    }
+  };
+
+  const handleExport = async (format) => {
+    const list = exportList;
+    setExportList(null);
+    try {
+      await exportScans(list, format);
+    } catch (error) {
+      console.error('Error exporting scans:', error);
+      Alert.alert('Error', 'Failed to export scans');
+    }
+  };
+
+  const runImport = async (fileName, prepared, mode) => {
+    try {
+      const result = await importScans({
+        repository,
+        user,
+        scans: prepared.valid,
+        mode,
+        onProgress: showProgress('Importing scans'),
+      });
+      setImportReport({
+        fileName,
+        ...result,
+        skipped: result.skipped + prepared.skipped,
+        rejected: prepared.rejected,
+      });
+    } catch (error) {
+      console.error('Error importing scans:', error);
+      Alert.alert('Error', 'Failed to import scans');
+    } finally {
+      setBulkProgress(null);
+    }
+  };
+
+  const handleImport = async () => {
+    let file;
+    let prepared;
+    try {
+      file = await pickImportFile();
+      if (!file) return;
+      prepared = prepareImport(file.text, file.name);
+    } catch (error) {
+      console.error('Error reading import file:', error);
+      Alert.alert('Import Failed', error.message || 'Could not read the selected file');
+      return;
+    }
+
+    if (prepared.valid.length === 0) {
+      setImportReport({
+        fileName: file.name,
+        imported: 0,
+        merged: 0,
+        skipped: prepared.skipped,
+        rejected: prepared.rejected,
+      });
+      return;
+    }
+
+    Alert.alert(
+      'Import Scans',
+      `${prepared.valid.length} valid ${prepared.valid.length === 1 ? 'scan' : 'scans'} found` +
+        (prepared.rejected.length > 0 ? `, ${prepared.rejected.length} rejected` : '') +
+        '.\n\nScans with the same payload and timestamp as an existing scan can be skipped, or merged to fill in missing details.',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Skip Duplicates', onPress: () => runImport(file.name, prepared, 'skip') },
+        { text: 'Merge Duplicates', onPress: () => runImport(file.name, prepared, 'merge') },
+      ]
+    );
+  };
+
+  const selectDateFilter = (filter) => {
+    if (filter === 'custom') {
+      setShowDatePicker(true);
+      return;
+    }
+    setSelectedFilter(filter);
+  };
+
+  const applyCustomRange = (range) => {
+    setCustomRange(range);
+    setSelectedFilter('custom');
+    setShowDatePicker(false);
+  };
+
+  const toggleType = (type) => {
+    setSelectedTypes(current =>
+      current.includes(type) ? current.filter(item => item !== type) : [...current, type]
+    );
+  };
+
+  const renderTypeButton = (type) => {
+    const selected = selectedTypes.includes(type);
+    return (
+      <TouchableOpacity
+        key={type}
+        style={[
+          styles.filterButton,
+          selected && styles.filterButtonActive
+        ]}
+        onPress={() => toggleType(type)}
+      >
+        <Text style={[
+          styles.filterButtonText,
+          selected && styles.filterButtonTextActive
+        ]}>
+          {QR_TYPES[type].icon} {QR_TYPES[type].label} ({typeCounts[type] || 0})
+        </Text>
+      </TouchableOpacity>
+    );
+  };
+
   const renderFilterButton = (filter, label) => (
     <TouchableOpacity
+      key={filter}
       style={[
         styles.filterButton,
         selectedFilter === filter && styles.filterButtonActive
       ]}
-      onPress={() => setSelectedFilter(filter)}
+      onPress={() => selectDateFilter(filter)}
     >
       <Text style={[
         styles.filterButtonText,
@@ -349,8 +699,76 @@ const ScanHistoryScreen = ({ navigation }) => {
     </TouchableOpacity>
   );
 
+  const renderSymbologyButton = (symbology, label) => (
+    <TouchableOpacity
+      key={symbology}
+      style={[
+        styles.filterButton,
+        selectedSymbology === symbology && styles.filterButtonActive
+      ]}
+      onPress={() => setSelectedSymbology(symbology)}
+    >
+      <Text style={[
+        styles.filterButtonText,
+        selectedSymbology === symbology && styles.filterButtonTextActive
+      ]}>
+        {label}
+      </Text>
+    </TouchableOpacity>
+  );
+
+  const availableSymbologies = [...new Set([...pendingScans, ...scans].map(getScanSymbology))];
+  const availableTags = collectTags([...pendingScans, ...scans]);
+  const searchErrors = parseSearchQuery(searchText).errors;
+  const scanGroups = viewMode === 'grouped' ? groupScansByPayload(filteredScans) : [];
+  const hasLocatedScans = nearFilter || [...pendingScans, ...scans].some(hasLocation);
+
+  const renderRadiusButton = (radiusKm, label) => {
+    const selected = (nearFilter?.radiusKm || null) === radiusKm;
+    return (
+      <TouchableOpacity
+        key={label}
+        style={[
+          styles.filterButton,
+          selected && styles.filterButtonActive
+        ]}
+        onPress={() => selectRadius(radiusKm)}
+        disabled={locating}
+      >
+        <Text style={[
+          styles.filterButtonText,
+          selected && styles.filterButtonTextActive
+        ]}>
+          {label}
+        </Text>
+      </TouchableOpacity>
+    );
+  };
+
+  const renderTagButton = (tag, label) => (
+    <TouchableOpacity
+      key={tag}
+      style={[
+        styles.filterButton,
+        selectedTag === tag && styles.filterButtonActive
+      ]}
+      onPress={() => setSelectedTag(tag)}
+    >
+      <Text style={[
+        styles.filterButtonText,
+        selectedTag === tag && styles.filterButtonTextActive
+      ]}>
+        {label}
+      </Text>
+    </TouchableOpacity>
+  );
+
   const renderScanItem = ({ item }) => {
-    const qrType = getQRType(item.qrData);
+    const parsed = getParsedData(item);
+    const qrType = QR_TYPES[parsed.type];
+    const urlRisk = getScanUrlRisk(item);
+    const tags = getScanTags(item);
+    const note = getScanNote(item);
     
     return (
       <TouchableOpacity 
@@ -364,14 +782,43 @@ const ScanHistoryScreen = ({ navigation }) => {
           </View>
           <View style={styles.scanItemInfo}>
             <Text style={styles.scanData} numberOfLines={2}>
-              {item.qrData}
+              {getParsedTitle(parsed)}
             </Text>
             <Text style={styles.scanDate}>
               {formatDate(item.timestamp)}
+              {getScanSymbology(item) !== 'qr' && ` · ${getSymbologyLabel(getScanSymbology(item))}`}
             </Text>
+            {workspaceId && (
+              <Text style={styles.scannedByText}>
+                by {isOwnScan(item) ? 'you' : item.userEmail || 'a former member'}
+              </Text>
+            )}
+            {item.pending && (
+              <View style={styles.pendingBadge}>
+                <Text style={styles.pendingBadgeText}>⏳ Pending sync</Text>
+              </View>
+            )}
+            {urlRisk && urlRisk.level !== 'low' && (
+              <View style={[styles.riskBadge, { backgroundColor: RISK_LEVELS[urlRisk.level].color }]}>
+                <Text style={styles.riskBadgeText}>
+                  {RISK_LEVELS[urlRisk.level].icon} {RISK_LEVELS[urlRisk.level].label} link
+                </Text>
+              </View>
+            )}
+            {tags.length > 0 && (
+              <View style={styles.tagRow}>
+                {tags.map(tag => (
+                  <Text key={tag} style={styles.tagText}>#{tag}</Text>
+                ))}
+              </View>
+            )}
+            {note ? (
+              <Text style={styles.noteText} numberOfLines={2}>📝 {note}</Text>
+            ) : null}
             {item.location && (
               <Text style={styles.locationText}>
                 📍 {item.location.latitude.toFixed(4)}, {item.location.longitude.toFixed(4)}
+                {nearFilter && ` · ${formatDistance(getDistanceKm(nearFilter.center, item.location))} away`}
               </Text>
             )}
           </View>
@@ -383,6 +830,58 @@ const ScanHistoryScreen = ({ navigation }) => {
     );
   };
 
+  const toggleGroup = (qrData) => {
+    setExpandedGroups(current =>
+      current.includes(qrData) ? current.filter(item => item !== qrData) : [...current, qrData]
+    );
+  };
+
+  const renderGroupItem = ({ item: group }) => {
+    const parsed = getParsedData(group.scans[0]);
+    const qrType = QR_TYPES[parsed.type];
+    const expanded = expandedGroups.includes(group.qrData);
+
+    return (
+      <View>
+        <TouchableOpacity
+          style={styles.scanItem}
+          onPress={() => (group.count === 1 ? handleScanPress(group.scans[0]) : toggleGroup(group.qrData))}
+          activeOpacity={0.7}
+        >
+          <View style={styles.scanItemHeader}>
+            <View style={[styles.typeIcon, { backgroundColor: qrType.color }]}>
+              <Text style={styles.typeIconText}>{qrType.icon}</Text>
+            </View>
+            <View style={styles.scanItemInfo}>
+              <Text style={styles.scanData} numberOfLines={2}>
+                {getParsedTitle(parsed)}
+              </Text>
+              <Text style={styles.scanDate}>First seen {formatDate(group.firstSeen)}</Text>
+              {group.count > 1 && (
+                <Text style={styles.scanDate}>Last seen {formatDate(group.lastSeen)}</Text>
+              )}
+            </View>
+            <View style={styles.scanItemActions}>
+              <View style={styles.countBadge}>
+                <Text style={styles.countBadgeText}>×{group.count}</Text>
+              </View>
+              {group.count > 1 && (
+                <Text style={styles.tapHint}>{expanded ? 'Hide scans' : 'Show scans'}</Text>
+              )}
+            </View>
+          </View>
+        </TouchableOpacity>
+        {expanded && (
+          <View style={styles.groupScans}>
+            {group.scans.map(scan => (
+              <React.Fragment key={scan.id}>{renderScanItem({ item: scan })}</React.Fragment>
+            ))}
+          </View>
+        )}
+      </View>
+    );
+  };
+
   if (loading) {
     return (
       <View style={styles.loadingContainer}>
@@ -395,9 +894,23 @@ const ScanHistoryScreen = ({ navigation }) => {
   return (
     <SafeAreaView style={styles.container}>
       <View style={styles.header}>
-        <Text style={styles.title}>Scan History</Text>
+        <Text style={styles.title}>{workspaceId ? 'Workspace Scans' : 'Scan History'}</Text>
         <View style={styles.headerActions}>
-          {scans.length > 0 && (
+          {!workspaceId && (
+            <TouchableOpacity style={styles.exportButton} onPress={handleImport}>
+              <Text style={styles.exportButtonText}>Import</Text>
+            </TouchableOpacity>
+          )}
+          {filteredScans.length > 0 && (
+            <TouchableOpacity style={styles.exportButton} onPress={openExport} disabled={preparingExport}>
+              {preparingExport ? (
+                <ActivityIndicator size="small" color="white" />
+              ) : (
+                <Text style={styles.exportButtonText}>Export</Text>
+              )}
+            </TouchableOpacity>
+          )}
+          {scans.length > 0 && !workspaceId && (
             <TouchableOpacity style={styles.clearButton} onPress={clearAllScans}>
               <Text style={styles.clearButtonText}>Clear All</Text>
             </TouchableOpacity>
@@ -409,34 +922,135 @@ const ScanHistoryScreen = ({ navigation }) => {
       </View>
 
       <View style={styles.searchContainer}>
-        <TextInput
-          style={styles.searchInput}
-          placeholder="Search scans..."
-          value={searchText}
-          onChangeText={setSearchText}
-          clearButtonMode="while-editing"
-        />
+        <View style={styles.searchRow}>
+          <TextInput
+            style={styles.searchInput}
+            placeholder="Search scans... (type:wifi, host:, near:)"
+            value={searchText}
+            onChangeText={setSearchText}
+            clearButtonMode="while-editing"
+            autoCapitalize="none"
+            autoCorrect={false}
+          />
+          <TouchableOpacity
+            style={styles.searchHelpButton}
+            onPress={() => Alert.alert('Search Syntax', SEARCH_HELP)}
+          >
+            <Text style={styles.searchHelpText}>?</Text>
+          </TouchableOpacity>
+        </View>
+        {searchErrors.map((error, index) => (
+          <Text key={index} style={styles.searchErrorText}>⚠️ {error}</Text>
+        ))}
       </View>
 
-      <View style={styles.filterContainer}>
-        {renderFilterButton('all', 'All')}
-        {renderFilterButton('today', 'Today')}
-        {renderFilterButton('week', 'Week')}
-        {renderFilterButton('month', 'Month')}
-      </View>
+      <ScrollView
+        horizontal
+        showsHorizontalScrollIndicator={false}
+        style={styles.filterContainer}
+        contentContainerStyle={styles.filterContent}
+      >
+        {Object.keys(DATE_FILTERS).map(filter =>
+          renderFilterButton(
+            filter,
+            filter === 'custom' && selectedFilter === 'custom'
+              ? formatCustomRange(customRange)
+              : DATE_FILTERS[filter].label
+          )
+        )}
+      </ScrollView>
+
+      {(Object.keys(typeCounts).length > 0 || selectedTypes.length > 0) && (
+        <ScrollView
+          horizontal
+          showsHorizontalScrollIndicator={false}
+          style={styles.filterContainer}
+          contentContainerStyle={styles.filterContent}
+        >
+          {selectedTypes.length > 0 && (
+            <TouchableOpacity style={styles.filterButton} onPress={() => setSelectedTypes([])}>
+              <Text style={styles.filterButtonText}>All types</Text>
+            </TouchableOpacity>
+          )}
+          {Object.keys(QR_TYPES)
+            .filter(type => typeCounts[type] || selectedTypes.includes(type))
+            .map(renderTypeButton)}
+          {hasMore && olderScansState !== 'loaded' && <Text style={styles.facetNote}>Counts cover loaded scans</Text>}
+        </ScrollView>
+      )}
+
+      {(availableSymbologies.length > 1 || selectedSymbology !== 'all') && (
+        <ScrollView
+          horizontal
+          showsHorizontalScrollIndicator={false}
+          style={styles.filterContainer}
+          contentContainerStyle={styles.filterContent}
+        >
+          {renderSymbologyButton('all', 'All formats')}
+          {availableSymbologies.map(symbology =>
+            renderSymbologyButton(symbology, getSymbologyLabel(symbology))
+          )}
+        </ScrollView>
+      )}
 
-      <View style={styles.statsContainer}>
+      {(availableTags.length > 0 || selectedTag !== 'all') && (
+        <ScrollView
+          horizontal
+          showsHorizontalScrollIndicator={false}
+          style={styles.filterContainer}
+          contentContainerStyle={styles.filterContent}
+        >
+          {renderTagButton('all', 'All tags')}
+          {[...new Set([...availableTags, selectedTag])]
+            .filter(tag => tag !== 'all')
+            .map(tag => renderTagButton(tag, `#${tag}`))}
+        </ScrollView>
+      )}
+
+      {hasLocatedScans && (
+        <ScrollView
+          horizontal
+          showsHorizontalScrollIndicator={false}
+          style={styles.filterContainer}
+          contentContainerStyle={styles.filterContent}
+        >
+          {renderRadiusButton(null, 'Anywhere')}
+          {RADIUS_OPTIONS_KM.map(radiusKm => renderRadiusButton(radiusKm, `Within ${radiusKm} km`))}
+          {locating && <ActivityIndicator color="#2196F3" />}
+        </ScrollView>
+      )}
+
+      <View style={[styles.statsContainer, styles.statsRow]}>
         <Text style={styles.statsText}>
+          {viewMode === 'grouped' && `${scanGroups.length} ${scanGroups.length === 1 ? 'code' : 'codes'} · `}
           {filteredScans.length} {filteredScans.length === 1 ? 'scan' : 'scans'}
           {searchText && ` found for "${searchText}"`}
+          {olderScansState === 'loading' && ' · counting older scans...'}
+          {olderScansState === 'failed' && ' · older scans not counted'}
         </Text>
+        <View style={styles.viewToggle}>
+          {viewMode === 'map' && hasMore && (
+            <TouchableOpacity onPress={loadMoreScans} disabled={loadingMore}>
+              <Text style={styles.viewToggleText}>{loadingMore ? 'Loading...' : 'Load older'}</Text>
+            </TouchableOpacity>
+          )}
+          {VIEW_MODES.map(mode => (
+            <TouchableOpacity key={mode.key} onPress={() => setViewMode(mode.key)}>
+              <Text style={[styles.viewToggleText, viewMode === mode.key && styles.viewToggleTextActive]}>
+                {mode.label}
+              </Text>
+            </TouchableOpacity>
+          ))}
+        </View>
       </View>
 
-      {filteredScans.length === 0 ? (
+      {viewMode === 'map' ? (
+        <ScanMap scans={filteredScans} nearFilter={nearFilter} onSelectScan={handleScanPress} />
+      ) : filteredScans.length === 0 ? (
         <View style={styles.emptyContainer}>
           <Text style={styles.emptyIcon}>📱</Text>
           <Text style={styles.emptyText}>
-            {searchText ? 'No matching scans found' : selectedFilter === 'all' ? 'No scans yet' : `No scans in ${selectedFilter}`}
+            {searchText ? 'No matching scans found' : selectedFilter === 'all' ? 'No scans yet' : `No scans for ${selectedFilter === 'custom' ? formatCustomRange(customRange) : DATE_FILTERS[selectedFilter].label}`}
           </Text>
           <Text style={styles.emptySubtext}>
             {searchText ? 'Try a different search term' : 'Start scanning QR codes to see them here!'}
@@ -449,14 +1063,31 @@ const ScanHistoryScreen = ({ navigation }) => {
               <Text style={styles.clearSearchButtonText}>Clear Search</Text>
             </TouchableOpacity>
           )}
+          {hasMore && (
+            <TouchableOpacity 
+              style={styles.clearSearchButton}
+              onPress={loadMoreScans}
+              disabled={loadingMore}
+            >
+              <Text style={styles.clearSearchButtonText}>
+                {loadingMore ? 'Loading...' : 'Load Older Scans'}
+              </Text>
+            </TouchableOpacity>
+          )}
         </View>
       ) : (
         <FlatList
-          data={filteredScans}
-          renderItem={renderScanItem}
-          keyExtractor={(item) => item.id}
+          data={viewMode === 'grouped' ? scanGroups : filteredScans}
+          renderItem={viewMode === 'grouped' ? renderGroupItem : renderScanItem}
+          keyExtractor={(item) => (viewMode === 'grouped' ? item.qrData : item.id)}
+          extraData={expandedGroups}
           contentContainerStyle={styles.listContainer}
           showsVerticalScrollIndicator={false}
+          onEndReached={viewMode === 'grouped' && olderScansState !== 'failed' ? undefined : loadMoreScans}
+          onEndReachedThreshold={0.5}
+          ListFooterComponent={loadingMore ? (
+            <ActivityIndicator style={styles.listFooter} color="#2196F3" />
+          ) : null}
           refreshControl={
             <RefreshControl
               refreshing={refreshing}
@@ -466,6 +1097,58 @@ const ScanHistoryScreen = ({ navigation }) => {
           }
         />
       )}
+
+      <ExportSheet
+        visible={!!exportList}
+        scanCount={exportList ? exportList.length : 0}
+        locatedCount={exportList ? exportList.filter(scan => scan.location).length : 0}
+        onSelect={handleExport}
+        onClose={() => setExportList(null)}
+      />
+
+      <ImportReport report={importReport} onClose={() => setImportReport(null)} />
+
+      <LinkWarning
+        warning={linkWarning}
+        onCancel={() => setLinkWarning(null)}
+        onOpen={launchURL}
+      />
+
+      <DateRangePicker
+        visible={showDatePicker}
+        initialRange={customRange}
+        onCancel={() => setShowDatePicker(false)}
+        onApply={applyCustomRange}
+      />
+
+      <AnnotationEditor
+        scan={editingScan}
+        suggestions={[...new Set([...availableTags, ...recentTags])]}
+        onCancel={() => setEditingScan(null)}
+        onSave={saveAnnotations}
+      />
+
+      <UndoBar message={undoAction?.message} onUndo={handleUndo} />
+
+      {bulkProgress && (
+        <View style={styles.progressOverlay}>
+          <View style={styles.progressCard}>
+            <ActivityIndicator size="large" color="#2196F3" />
+            <Text style={styles.progressText}>
+              {bulkProgress.label}
+              {bulkProgress.total > 0 && ` ${bulkProgress.done} of ${bulkProgress.total}`}
+            </Text>
+            <View style={styles.progressTrack}>
+              <View
+                style={[
+                  styles.progressFill,
+                  { width: `${bulkProgress.total > 0 ? (bulkProgress.done / bulkProgress.total) * 100 : 0}%` }
+                ]}
+              />
+            </View>
+          </View>
+        </View>
+      )}
     </SafeAreaView>
   );
 };
@@ -506,6 +1189,18 @@ const styles = StyleSheet.create({
   refreshText: {
     fontSize: 16,
   },
+  exportButton: {
+    backgroundColor: '#2196F3',
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+    borderRadius: 5,
+    marginRight: 10,
+  },
+  exportButtonText: {
+    color: 'white',
+    fontWeight: 'bold',
+    fontSize: 12,
+  },
   clearButton: {
     backgroundColor: '#ff4444',
     paddingHorizontal: 12,
@@ -521,20 +1216,37 @@ const styles = StyleSheet.create({
     padding: 15,
     backgroundColor: 'white',
   },
+  searchRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
   searchInput: {
+    flex: 1,
     backgroundColor: '#f0f0f0',
     paddingHorizontal: 15,
     paddingVertical: 12,
     borderRadius: 25,
     fontSize: 16,
   },
-  filterContainer: {
-    flexDirection: 'row',
-    paddingHorizontal: 15,
-    paddingVertical: 10,
-    backgroundColor: 'white',
-    borderBottomWidth: 1,
-    borderBottomColor: '#e0e0e0',
+  searchHelpButton: {
+    width: 36,
+    height: 36,
+    borderRadius: 18,
+    backgroundColor: '#f0f0f0',
+    justifyContent: 'center',
+    alignItems: 'center',
+    marginLeft: 10,
+  },
+  searchHelpText: {
+    fontSize: 18,
+    color: '#2196F3',
+    fontWeight: 'bold',
+  },
+  searchErrorText: {
+    fontSize: 13,
+    color: '#E65100',
+    marginTop: 6,
+    marginHorizontal: 5,
   },
   filterButton: {
     paddingHorizontal: 16,
@@ -553,6 +1265,16 @@ const styles = StyleSheet.create({
   filterButtonTextActive: {
     color: 'white',
   },
+  filterContainer: {
+    flexGrow: 0,
+    backgroundColor: 'white',
+    borderBottomWidth: 1,
+    borderBottomColor: '#e0e0e0',
+  },
+  filterContent: {
+    paddingHorizontal: 15,
+    paddingVertical: 10,
+  },
   statsContainer: {
     paddingHorizontal: 20,
     paddingVertical: 10,
@@ -563,6 +1285,45 @@ const styles = StyleSheet.create({
     color: '#666',
     fontStyle: 'italic',
   },
+  facetNote: {
+    alignSelf: 'center',
+    fontSize: 12,
+    color: '#999',
+    fontStyle: 'italic',
+  },
+  statsRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+  },
+  viewToggle: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  viewToggleText: {
+    fontSize: 14,
+    color: '#2196F3',
+    fontWeight: 'bold',
+    marginLeft: 15,
+  },
+  viewToggleTextActive: {
+    color: '#333',
+    textDecorationLine: 'underline',
+  },
+  countBadge: {
+    backgroundColor: '#2196F3',
+    paddingHorizontal: 10,
+    paddingVertical: 4,
+    borderRadius: 12,
+    marginBottom: 4,
+  },
+  countBadgeText: {
+    color: 'white',
+    fontWeight: 'bold',
+  },
+  groupScans: {
+    marginLeft: 20,
+  },
   loadingContainer: {
     flex: 1,
     justifyContent: 'center',
@@ -576,6 +1337,9 @@ const styles = StyleSheet.create({
   listContainer: {
     padding: 15,
   },
+  listFooter: {
+    paddingVertical: 15,
+  },
   scanItem: {
     backgroundColor: 'white',
     borderRadius: 12,
@@ -616,10 +1380,57 @@ const styles = StyleSheet.create({
     color: '#666',
     marginBottom: 4,
   },
+  scannedByText: {
+    fontSize: 13,
+    color: '#1976d2',
+    marginBottom: 4,
+  },
+  pendingBadge: {
+    alignSelf: 'flex-start',
+    backgroundColor: '#FFF3E0',
+    paddingHorizontal: 8,
+    paddingVertical: 2,
+    borderRadius: 10,
+    marginBottom: 4,
+  },
+  pendingBadgeText: {
+    fontSize: 12,
+    color: '#E65100',
+    fontWeight: 'bold',
+  },
+  riskBadge: {
+    alignSelf: 'flex-start',
+    paddingHorizontal: 8,
+    paddingVertical: 2,
+    borderRadius: 10,
+    marginBottom: 4,
+  },
+  riskBadgeText: {
+    fontSize: 12,
+    color: 'white',
+    fontWeight: 'bold',
+  },
   locationText: {
     fontSize: 12,
     color: '#888',
   },
+  tagRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginBottom: 4,
+  },
+  tagText: {
+    fontSize: 12,
+    color: '#1976D2',
+    fontWeight: 'bold',
+    marginRight: 8,
+  },
+  noteText: {
+    fontSize: 13,
+    color: '#555',
+    fontStyle: 'italic',
+    marginBottom: 4,
+  },
   scanItemActions: {
     alignItems: 'flex-end',
   },
@@ -662,6 +1473,36 @@ const styles = StyleSheet.create({
     color: 'white',
     fontWeight: 'bold',
   },
+  progressOverlay: {
+    ...StyleSheet.absoluteFillObject,
+    justifyContent: 'center',
+    alignItems: 'center',
+    backgroundColor: 'rgba(0,0,0,0.4)',
+  },
+  progressCard: {
+    width: '75%',
+    backgroundColor: 'white',
+    borderRadius: 12,
+    padding: 25,
+    alignItems: 'center',
+  },
+  progressText: {
+    marginTop: 15,
+    fontSize: 16,
+    color: '#333',
+  },
+  progressTrack: {
+    alignSelf: 'stretch',
+    height: 6,
+    borderRadius: 3,
+    backgroundColor: '#e0e0e0',
+    marginTop: 15,
+    overflow: 'hidden',
+  },
+  progressFill: {
+    height: 6,
+    backgroundColor: '#2196F3',
+  },
 });
 
 export default ScanHistoryScreen;
\ No newline at end of file
@@ -0,0 +1,45 @@
+import React from 'react';
+import {
+  View,
+  Text,
+  Image,
+  StyleSheet,
+  ActivityIndicator,
+} from 'react-native';
+
+// Shown while the saved session is restored; uses the native splash image so the handover is seamless
+const SplashScreen = () => (
+  <View style={styles.container}>
+    <Image source={require('../../assets/splash.png')} style={styles.image} resizeMode="contain" />
+    <View style={styles.status}>
+      <ActivityIndicator size="large" color="#2196F3" />
+      <Text style={styles.statusText}>Restoring your session...</Text>
+    </View>
+  </View>
+);
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#ffffff',
+  },
+  image: {
+    ...StyleSheet.absoluteFillObject,
+    width: '100%',
+    height: '100%',
+  },
+  status: {
+    position: 'absolute',
+    bottom: 80,
+    left: 0,
+    right: 0,
+    alignItems: 'center',
+  },
+  statusText: {
+    marginTop: 10,
+    fontSize: 16,
+    color: '#666',
+  },
+});
+
+export default SplashScreen;
@@ -0,0 +1,409 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  SafeAreaView,
+  ScrollView,
+  TouchableOpacity,
+  ActivityIndicator,
+  RefreshControl,
+} from 'react-native';
+import { useAuth } from '../context/AuthContext';
+import { useScanRepository } from '../context/ScanRepositoryContext';
+import { getHistoryFilter, setHistoryFilter } from '../services/settings';
+import { DATE_FILTERS, getDateRange, formatCustomRange } from '../utils/dateFilters';
+import { computeScanStats } from '../utils/scanStats';
+import { QR_TYPES } from '../utils/constants';
+import BarChart from '../components/barChart';
+import DateRangePicker from '../components/dateRangePicker';
+
+const formatHour = (hour) => `${hour % 12 || 12}${hour < 12 ? 'a' : 'p'}`;
+
+const StatsScreen = () => {
+  const [scans, setScans] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [refreshing, setRefreshing] = useState(false);
+  const [error, setError] = useState(null);
+  const [selectedFilter, setSelectedFilter] = useState('all');
+  const [customRange, setCustomRange] = useState(null);
+  const [showDatePicker, setShowDatePicker] = useState(false);
+  const [filtersLoaded, setFiltersLoaded] = useState(false);
+  const [bucket, setBucket] = useState('day'); // day, week
+  const { user } = useAuth();
+  const repository = useScanRepository();
+
+  // Shares the date filter with the history screen
+  useEffect(() => {
+    getHistoryFilter().then((saved) => {
+      if (saved && DATE_FILTERS[saved.dateFilter]) {
+        setSelectedFilter(saved.dateFilter);
+        setCustomRange(saved.customRange || null);
+      }
+      setFiltersLoaded(true);
+    });
+  }, []);
+
+  useEffect(() => {
+    if (!filtersLoaded) return;
+    loadScans();
+  }, [filtersLoaded, selectedFilter, customRange, user?.uid]);
+
+  const saveDateFilter = async (dateFilter, range) => {
+    try {
+      const saved = await getHistoryFilter();
+      await setHistoryFilter({ ...saved, dateFilter, customRange: range });
+    } catch (saveError) {
+      console.error('Error saving history filter:', saveError);
+    }
+  };
+
+  const loadScans = async () => {
+    const dateRange = getDateRange(selectedFilter, customRange);
+    const userId = user.uid;
+    setError(null);
+
+    try {
+      // Includes scans still waiting to sync
+      setScans(await repository.listAll({ userId, dateRange }));
+    } catch (loadError) {
+      console.error('Error loading scan statistics:', loadError);
+      setError('Failed to load statistics');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const onRefresh = async () => {
+    setRefreshing(true);
+    await loadScans();
+    setRefreshing(false);
+  };
+
+  const selectDateFilter = (filter) => {
+    if (filter === 'custom') {
+      setShowDatePicker(true);
+      return;
+    }
+    setSelectedFilter(filter);
+    saveDateFilter(filter, customRange);
+  };
+
+  const applyCustomRange = (range) => {
+    setCustomRange(range);
+    setSelectedFilter('custom');
+    setShowDatePicker(false);
+    saveDateFilter('custom', range);
+  };
+
+  const stats = computeScanStats(scans, {
+    bucket,
+    dateRange: getDateRange(selectedFilter, customRange),
+  });
+
+  const renderChip = (key, label, selected, onPress) => (
+    <TouchableOpacity
+      key={key}
+      style={[styles.chip, selected && styles.chipActive]}
+      onPress={onPress}
+    >
+      <Text style={[styles.chipText, selected && styles.chipTextActive]}>{label}</Text>
+    </TouchableOpacity>
+  );
+
+  const renderRankedList = (items, getLabel, emptyText) =>
+    items.length === 0 ? (
+      <Text style={styles.emptyText}>{emptyText}</Text>
+    ) : (
+      items.map((item, index) => (
+        <View key={getLabel(item)} style={styles.rankRow}>
+          <Text style={styles.rankIndex}>{index + 1}.</Text>
+          <Text style={styles.rankLabel} numberOfLines={1}>{getLabel(item)}</Text>
+          <Text style={styles.rankCount}>{item.count}</Text>
+        </View>
+      ))
+    );
+
+  if (loading) {
+    return (
+      <View style={styles.loadingContainer}>
+        <ActivityIndicator size="large" color="#2196F3" />
+        <Text style={styles.loadingText}>Crunching your scans...</Text>
+      </View>
+    );
+  }
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <ScrollView
+        horizontal
+        showsHorizontalScrollIndicator={false}
+        style={styles.filterContainer}
+        contentContainerStyle={styles.filterContent}
+      >
+        {Object.keys(DATE_FILTERS).map(filter =>
+          renderChip(
+            filter,
+            filter === 'custom' && selectedFilter === 'custom'
+              ? formatCustomRange(customRange)
+              : DATE_FILTERS[filter].label,
+            selectedFilter === filter,
+            () => selectDateFilter(filter)
+          )
+        )}
+      </ScrollView>
+
+      <ScrollView
+        contentContainerStyle={styles.content}
+        refreshControl={
+          <RefreshControl refreshing={refreshing} onRefresh={onRefresh} colors={['#2196F3']} />
+        }
+      >
+        {error && <Text style={styles.errorText}>{error}</Text>}
+
+        <View style={styles.summaryRow}>
+          <View style={styles.summaryCard}>
+            <Text style={styles.summaryValue}>{stats.total}</Text>
+            <Text style={styles.summaryLabel}>Scans</Text>
+          </View>
+          <View style={styles.summaryCard}>
+            <Text style={styles.summaryValue}>{Math.round(stats.locatedShare * 100)}%</Text>
+            <Text style={styles.summaryLabel}>With location</Text>
+          </View>
+          <View style={styles.summaryCard}>
+            <Text style={styles.summaryValue}>{stats.byType.length}</Text>
+            <Text style={styles.summaryLabel}>Payload types</Text>
+          </View>
+        </View>
+
+        <View style={styles.card}>
+          <View style={styles.cardHeader}>
+            <Text style={styles.cardTitle}>Activity</Text>
+            <View style={styles.chipRow}>
+              {renderChip('day', 'Day', bucket === 'day', () => setBucket('day'))}
+              {renderChip('week', 'Week', bucket === 'week', () => setBucket('week'))}
+            </View>
+          </View>
+          {stats.activity.length === 0 ? (
+            <Text style={styles.emptyText}>No scans in this period</Text>
+          ) : (
+            <BarChart
+              data={stats.activity.map(period => ({
+                key: String(period.start.getTime()),
+                label: period.label,
+                value: period.count,
+              }))}
+              labelEvery={bucket === 'day' ? 7 : 4}
+            />
+          )}
+        </View>
+
+        <View style={styles.card}>
+          <Text style={styles.cardTitle}>By payload type</Text>
+          {stats.byType.length === 0 && <Text style={styles.emptyText}>No scans in this period</Text>}
+          {stats.byType.map(({ type, count }) => (
+            <View key={type} style={styles.typeRow}>
+              <Text style={styles.typeLabel}>{QR_TYPES[type].icon} {QR_TYPES[type].label}</Text>
+              <View style={styles.typeTrack}>
+                <View
+                  style={[
+                    styles.typeBar,
+                    { width: `${(count / stats.total) * 100}%`, backgroundColor: QR_TYPES[type].color },
+                  ]}
+                />
+              </View>
+              <Text style={styles.typeCount}>{count}</Text>
+            </View>
+          ))}
+        </View>
+
+        <View style={styles.card}>
+          <Text style={styles.cardTitle}>Most scanned</Text>
+          {renderRankedList(stats.topPayloads, item => item.qrData, 'No code was scanned more than once')}
+        </View>
+
+        <View style={styles.card}>
+          <Text style={styles.cardTitle}>Top domains</Text>
+          {renderRankedList(stats.topDomains, item => item.host, 'No links scanned yet')}
+        </View>
+
+        <View style={styles.card}>
+          <Text style={styles.cardTitle}>Busiest hours</Text>
+          <BarChart
+            data={stats.byHour.map((count, hour) => ({ key: String(hour), label: formatHour(hour), value: count }))}
+            color="#FF9800"
+            height={100}
+            labelEvery={3}
+          />
+        </View>
+      </ScrollView>
+
+      <DateRangePicker
+        visible={showDatePicker}
+        initialRange={customRange}
+        onCancel={() => setShowDatePicker(false)}
+        onApply={applyCustomRange}
+      />
+    </SafeAreaView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f5f5f5',
+  },
+  loadingContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    backgroundColor: '#f5f5f5',
+  },
+  loadingText: {
+    marginTop: 10,
+    fontSize: 16,
+    color: '#666',
+  },
+  filterContainer: {
+    flexGrow: 0,
+    backgroundColor: 'white',
+    borderBottomWidth: 1,
+    borderBottomColor: '#e0e0e0',
+  },
+  filterContent: {
+    paddingHorizontal: 15,
+    paddingVertical: 10,
+  },
+  content: {
+    padding: 15,
+  },
+  errorText: {
+    color: '#F44336',
+    marginBottom: 10,
+  },
+  summaryRow: {
+    flexDirection: 'row',
+    marginBottom: 15,
+  },
+  summaryCard: {
+    flex: 1,
+    backgroundColor: 'white',
+    borderRadius: 12,
+    paddingVertical: 15,
+    marginHorizontal: 4,
+    alignItems: 'center',
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.1,
+    shadowRadius: 4,
+    elevation: 3,
+  },
+  summaryValue: {
+    fontSize: 24,
+    fontWeight: 'bold',
+    color: '#2196F3',
+  },
+  summaryLabel: {
+    fontSize: 12,
+    color: '#666',
+    marginTop: 4,
+  },
+  card: {
+    backgroundColor: 'white',
+    borderRadius: 12,
+    padding: 15,
+    marginBottom: 15,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.1,
+    shadowRadius: 4,
+    elevation: 3,
+  },
+  cardHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+  },
+  cardTitle: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: '#333',
+    marginBottom: 10,
+  },
+  chipRow: {
+    flexDirection: 'row',
+  },
+  chip: {
+    paddingHorizontal: 14,
+    paddingVertical: 6,
+    borderRadius: 20,
+    marginRight: 8,
+    backgroundColor: '#f0f0f0',
+  },
+  chipActive: {
+    backgroundColor: '#2196F3',
+  },
+  chipText: {
+    color: '#666',
+    fontWeight: 'bold',
+  },
+  chipTextActive: {
+    color: 'white',
+  },
+  emptyText: {
+    color: '#999',
+    fontStyle: 'italic',
+  },
+  typeRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 8,
+  },
+  typeLabel: {
+    width: 110,
+    fontSize: 14,
+    color: '#333',
+  },
+  typeTrack: {
+    flex: 1,
+    height: 12,
+    borderRadius: 6,
+    backgroundColor: '#f0f0f0',
+    overflow: 'hidden',
+  },
+  typeBar: {
+    height: 12,
+    borderRadius: 6,
+  },
+  typeCount: {
+    width: 40,
+    textAlign: 'right',
+    fontSize: 14,
+    fontWeight: 'bold',
+    color: '#333',
+  },
+  rankRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 6,
+    borderBottomWidth: 1,
+    borderBottomColor: '#f0f0f0',
+  },
+  rankIndex: {
+    width: 25,
+    color: '#999',
+  },
+  rankLabel: {
+    flex: 1,
+    fontSize: 14,
+    color: '#333',
+  },
+  rankCount: {
+    fontSize: 14,
+    fontWeight: 'bold',
+    color: '#2196F3',
+    marginLeft: 10,
+  },
+});
+
+export default StatsScreen;
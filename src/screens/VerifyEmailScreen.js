@@ -0,0 +1,158 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  TouchableOpacity,
+  StyleSheet,
+  Alert,
+  ActivityIndicator,
+  AppState,
+} from 'react-native';
+import { useAuth } from '../context/AuthContext';
+
+// Seconds before another verification email can be requested
+const RESEND_COOLDOWN = 60;
+
+const VerifyEmailScreen = () => {
+  const [checking, setChecking] = useState(false);
+  const [cooldown, setCooldown] = useState(0);
+  const { user, logout, resendVerification, refreshVerification } = useAuth();
+
+  // Coming back from the mail app is the usual moment the link was just tapped
+  useEffect(() => {
+    const subscription = AppState.addEventListener('change', (state) => {
+      if (state === 'active') refreshVerification();
+    });
+    return () => subscription.remove();
+  }, []);
+
+  useEffect(() => {
+    if (cooldown === 0) return undefined;
+    const timer = setTimeout(() => setCooldown(cooldown - 1), 1000);
+    return () => clearTimeout(timer);
+  }, [cooldown]);
+
+  const handleCheck = async () => {
+    setChecking(true);
+    try {
+      const result = await refreshVerification();
+      if (!result.success) {
+        Alert.alert('Error', result.error);
+      } else if (!result.verified) {
+        Alert.alert('Not Verified Yet', 'Open the link in the email we sent you, then try again.');
+      }
+    } finally {
+      setChecking(false);
+    }
+  };
+
+  const handleResend = async () => {
+    setCooldown(RESEND_COOLDOWN);
+    const result = await resendVerification();
+    if (result.success) {
+      Alert.alert('Email Sent', `We sent a new verification link to ${user.email}.`);
+    } else {
+      setCooldown(0);
+      Alert.alert('Error', result.error);
+    }
+  };
+
+  return (
+    <View style={styles.container}>
+      <Text style={styles.icon}>✉️</Text>
+      <Text style={styles.title}>Verify Your Email</Text>
+      <Text style={styles.message}>
+        We sent a verification link to <Text style={styles.email}>{user?.email}</Text>. Open it to finish setting up your account.
+      </Text>
+
+      <TouchableOpacity style={styles.button} onPress={handleCheck} disabled={checking}>
+        {checking ? (
+          <ActivityIndicator color="white" />
+        ) : (
+          <Text style={styles.buttonText}>I've Verified My Email</Text>
+        )}
+      </TouchableOpacity>
+
+      <TouchableOpacity
+        style={[styles.button, styles.secondaryButton, cooldown > 0 && styles.buttonDisabled]}
+        onPress={handleResend}
+        disabled={cooldown > 0}
+      >
+        <Text style={styles.secondaryButtonText}>
+          {cooldown > 0 ? `Resend Email (${cooldown}s)` : 'Resend Email'}
+        </Text>
+      </TouchableOpacity>
+
+      <TouchableOpacity style={styles.linkButton} onPress={logout}>
+        <Text style={styles.linkText}>Use a different account</Text>
+      </TouchableOpacity>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f5f5f5',
+    justifyContent: 'center',
+    paddingHorizontal: 20,
+  },
+  icon: {
+    fontSize: 60,
+    textAlign: 'center',
+    marginBottom: 10,
+  },
+  title: {
+    fontSize: 28,
+    fontWeight: 'bold',
+    textAlign: 'center',
+    marginBottom: 15,
+    color: '#333',
+  },
+  message: {
+    fontSize: 16,
+    color: '#666',
+    textAlign: 'center',
+    lineHeight: 22,
+    marginBottom: 30,
+  },
+  email: {
+    fontWeight: 'bold',
+    color: '#333',
+  },
+  button: {
+    backgroundColor: '#2196F3',
+    padding: 15,
+    borderRadius: 8,
+    alignItems: 'center',
+    marginTop: 10,
+  },
+  buttonText: {
+    color: 'white',
+    fontSize: 18,
+    fontWeight: 'bold',
+  },
+  secondaryButton: {
+    backgroundColor: 'white',
+    borderWidth: 1,
+    borderColor: '#2196F3',
+  },
+  secondaryButtonText: {
+    color: '#2196F3',
+    fontSize: 18,
+    fontWeight: 'bold',
+  },
+  buttonDisabled: {
+    opacity: 0.5,
+  },
+  linkButton: {
+    marginTop: 20,
+    alignItems: 'center',
+  },
+  linkText: {
+    color: '#2196F3',
+    fontSize: 16,
+  },
+});
+
+export default VerifyEmailScreen;
@@ -0,0 +1,372 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  StyleSheet,
+  Alert,
+  SafeAreaView,
+  ScrollView,
+  Switch,
+  ActivityIndicator,
+  Platform,
+} from 'react-native';
+import { useAuth } from '../context/AuthContext';
+import { getWebhookConfig, setWebhookConfig } from '../services/settings';
+import {
+  sendTestWebhook,
+  flushWebhookOutbox,
+  getWebhookLog,
+  clearWebhookLog,
+  getWebhookOutbox,
+  clearWebhookOutbox,
+  subscribeToWebhooks,
+} from '../services/webhookOutbox';
+import { WEBHOOK_FIELDS, DEFAULT_WEBHOOK_TEMPLATE, validateWebhookConfig } from '../utils/webhookTemplate';
+
+const LOG_STATUSES = {
+  delivered: { label: 'Delivered', icon: '✅', color: '#4CAF50' },
+  retrying: { label: 'Will retry', icon: '🔁', color: '#FF9800' },
+  failed: { label: 'Failed', icon: '❌', color: '#f44336' },
+};
+
+const FIELDS_HELP = Object.keys(WEBHOOK_FIELDS)
+  .map(field => `{{${field}}}  ${WEBHOOK_FIELDS[field]}`)
+  .join('\n');
+
+const formatTime = (iso) =>
+  new Intl.DateTimeFormat('en-US', {
+    month: 'short',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+  }).format(new Date(iso));
+
+const WebhookScreen = () => {
+  const [config, setConfig] = useState(null);
+  const [saved, setSaved] = useState(true);
+  const [errors, setErrors] = useState([]);
+  const [testing, setTesting] = useState(false);
+  const [log, setLog] = useState([]);
+  const [outbox, setOutbox] = useState([]);
+  const { user } = useAuth();
+
+  useEffect(() => {
+    getWebhookConfig(user.uid).then(setConfig);
+
+    const loadDeliveries = async () => {
+      try {
+        setLog(await getWebhookLog(user.uid));
+        setOutbox(await getWebhookOutbox(user.uid));
+      } catch (error) {
+        console.error('Error loading webhook deliveries:', error);
+      }
+    };
+    loadDeliveries();
+    return subscribeToWebhooks(loadDeliveries);
+  }, [user.uid]);
+
+  const updateConfig = (changes) => {
+    setConfig(current => ({ ...current, ...changes }));
+    setSaved(false);
+    setErrors([]);
+  };
+
+  const handleSave = async () => {
+    // A disabled webhook may be left half filled in
+    const problems = config.enabled ? validateWebhookConfig(config, user) : [];
+    setErrors(problems);
+    if (problems.length > 0) return;
+
+    try {
+      await setWebhookConfig(user.uid, config);
+      setSaved(true);
+    } catch (error) {
+      console.error('Error saving webhook config:', error);
+      Alert.alert('Error', 'Failed to save the webhook settings');
+    }
+  };
+
+  const handleTest = async () => {
+    const problems = validateWebhookConfig(config, user);
+    setErrors(problems);
+    if (problems.length > 0) return;
+
+    setTesting(true);
+    try {
+      const { delivered, httpStatus, error } = await sendTestWebhook(user, config);
+      if (delivered) {
+        Alert.alert('Test Delivered', `The target answered HTTP ${httpStatus}.`);
+      } else {
+        Alert.alert('Test Failed', httpStatus ? `The target answered HTTP ${httpStatus}.` : `Could not reach the target: ${error}`);
+      }
+    } catch (error) {
+      console.error('Error sending test webhook:', error);
+      Alert.alert('Test Failed', error.message);
+    } finally {
+      setTesting(false);
+    }
+  };
+
+  const handleDiscardOutbox = () => {
+    Alert.alert(
+      'Discard Waiting Deliveries',
+      `${outbox.length} ${outbox.length === 1 ? 'scan has' : 'scans have'} not been delivered yet. Discard ${outbox.length === 1 ? 'it' : 'them'}?`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Discard',
+          style: 'destructive',
+          onPress: () => clearWebhookOutbox(user.uid).catch(error => console.error('Error clearing webhook outbox:', error)),
+        },
+      ]
+    );
+  };
+
+  if (config === null) {
+    return (
+      <View style={styles.centered}>
+        <ActivityIndicator size="large" color="#2196F3" />
+      </View>
+    );
+  }
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <ScrollView contentContainerStyle={styles.content} keyboardShouldPersistTaps="handled">
+        <View style={styles.switchRow}>
+          <View style={styles.switchText}>
+            <Text style={styles.switchLabel}>Forward scans</Text>
+            <Text style={styles.hintText}>POST every new scan to the URL below</Text>
+          </View>
+          <Switch value={config.enabled} onValueChange={enabled => updateConfig({ enabled })} />
+        </View>
+
+        <Text style={styles.sectionTitle}>URL</Text>
+        <TextInput
+          style={styles.input}
+          placeholder="https://example.com/scans"
+          value={config.url}
+          onChangeText={url => updateConfig({ url })}
+          keyboardType="url"
+          autoCapitalize="none"
+          autoCorrect={false}
+        />
+
+        <Text style={styles.sectionTitle}>Headers</Text>
+        <TextInput
+          style={[styles.input, styles.codeInput]}
+          placeholder="Authorization: Bearer ..."
+          value={config.headers}
+          onChangeText={headers => updateConfig({ headers })}
+          multiline
+          autoCapitalize="none"
+          autoCorrect={false}
+        />
+
+        <View style={styles.sectionHeader}>
+          <Text style={styles.sectionTitle}>Body</Text>
+          <View style={styles.sectionLinks}>
+            <TouchableOpacity onPress={() => Alert.alert('Placeholders', FIELDS_HELP)}>
+              <Text style={styles.linkText}>Placeholders</Text>
+            </TouchableOpacity>
+            <TouchableOpacity onPress={() => updateConfig({ template: DEFAULT_WEBHOOK_TEMPLATE })}>
+              <Text style={styles.linkText}>Reset</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+        <TextInput
+          style={[styles.input, styles.codeInput, styles.templateInput]}
+          value={config.template}
+          onChangeText={template => updateConfig({ template })}
+          multiline
+          autoCapitalize="none"
+          autoCorrect={false}
+        />
+
+        {errors.map(error => (
+          <Text key={error} style={styles.errorText}>⚠️ {error}</Text>
+        ))}
+
+        <View style={styles.actions}>
+          <TouchableOpacity style={[styles.button, styles.secondaryButton]} onPress={handleTest} disabled={testing}>
+            {testing ? (
+              <ActivityIndicator color="#333" />
+            ) : (
+              <Text style={styles.secondaryButtonText}>Send Test</Text>
+            )}
+          </TouchableOpacity>
+          <TouchableOpacity style={[styles.button, saved && styles.buttonDisabled]} onPress={handleSave} disabled={saved}>
+            <Text style={styles.buttonText}>{saved ? 'Saved' : 'Save'}</Text>
+          </TouchableOpacity>
+        </View>
+
+        {outbox.length > 0 && (
+          <View style={styles.outboxBanner}>
+            <Text style={styles.outboxText}>
+              {outbox.length} {outbox.length === 1 ? 'delivery' : 'deliveries'} waiting to be sent
+            </Text>
+            <View style={styles.sectionLinks}>
+              <TouchableOpacity onPress={() => flushWebhookOutbox(user.uid)}>
+                <Text style={styles.linkText}>Retry Now</Text>
+              </TouchableOpacity>
+              <TouchableOpacity onPress={handleDiscardOutbox}>
+                <Text style={[styles.linkText, styles.dangerLinkText]}>Discard</Text>
+              </TouchableOpacity>
+            </View>
+          </View>
+        )}
+
+        <View style={styles.sectionHeader}>
+          <Text style={styles.sectionTitle}>Delivery Log</Text>
+          {log.length > 0 && (
+            <TouchableOpacity onPress={() => clearWebhookLog(user.uid)}>
+              <Text style={styles.linkText}>Clear</Text>
+            </TouchableOpacity>
+          )}
+        </View>
+        {log.length === 0 ? (
+          <Text style={styles.hintText}>No deliveries yet</Text>
+        ) : (
+          log.map(entry => {
+            const status = LOG_STATUSES[entry.status];
+            return (
+              <View key={entry.id} style={styles.logEntry}>
+                <Text style={styles.logIcon}>{status.icon}</Text>
+                <View style={styles.logInfo}>
+                  <Text style={[styles.logStatus, { color: status.color }]}>
+                    {status.label}
+                    {entry.httpStatus ? ` · HTTP ${entry.httpStatus}` : ''}
+                    {entry.test ? ' · Test' : ''}
+                  </Text>
+                  <Text style={styles.logMeta} numberOfLines={1}>
+                    {formatTime(entry.at)}
+                    {entry.attempts > 1 ? ` · attempt ${entry.attempts}` : ''} · {entry.url}
+                  </Text>
+                  {entry.error ? <Text style={styles.logError}>{entry.error}</Text> : null}
+                </View>
+              </View>
+            );
+          })
+        )}
+      </ScrollView>
+    </SafeAreaView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f5f5f5',
+  },
+  content: {
+    padding: 20,
+  },
+  centered: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    backgroundColor: '#f5f5f5',
+  },
+  switchRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: 'white',
+    padding: 15,
+    borderRadius: 10,
+  },
+  switchText: { flex: 1 },
+  switchLabel: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: '#333',
+  },
+  sectionHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+  },
+  sectionLinks: { flexDirection: 'row' },
+  sectionTitle: {
+    fontSize: 14,
+    fontWeight: 'bold',
+    color: '#666',
+    marginTop: 20,
+    marginBottom: 8,
+  },
+  linkText: {
+    color: '#2196F3',
+    fontWeight: 'bold',
+    marginLeft: 15,
+    marginTop: 12,
+  },
+  dangerLinkText: { color: '#ff4444' },
+  input: {
+    backgroundColor: 'white',
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 8,
+    padding: 12,
+    fontSize: 16,
+  },
+  codeInput: {
+    fontFamily: Platform.OS === 'ios' ? 'Menlo' : 'monospace',
+    fontSize: 14,
+    minHeight: 60,
+    textAlignVertical: 'top',
+  },
+  templateInput: { minHeight: 140 },
+  hintText: {
+    fontSize: 13,
+    color: '#999',
+    marginTop: 2,
+  },
+  errorText: {
+    fontSize: 14,
+    color: '#f44336',
+    marginTop: 8,
+  },
+  actions: {
+    flexDirection: 'row',
+    marginTop: 20,
+    marginHorizontal: -5,
+  },
+  button: {
+    flex: 1,
+    backgroundColor: '#2196F3',
+    padding: 15,
+    borderRadius: 8,
+    alignItems: 'center',
+    marginHorizontal: 5,
+  },
+  buttonDisabled: { backgroundColor: '#90caf9' },
+  buttonText: { color: 'white', fontSize: 16, fontWeight: 'bold' },
+  secondaryButton: { backgroundColor: '#e0e0e0' },
+  secondaryButtonText: { color: '#333', fontSize: 16, fontWeight: 'bold' },
+  outboxBanner: {
+    backgroundColor: '#fff3e0',
+    borderRadius: 8,
+    padding: 12,
+    marginTop: 20,
+  },
+  outboxText: {
+    color: '#e65100',
+    fontWeight: 'bold',
+  },
+  logEntry: {
+    flexDirection: 'row',
+    backgroundColor: 'white',
+    padding: 12,
+    borderRadius: 8,
+    marginBottom: 8,
+  },
+  logIcon: { fontSize: 16, marginRight: 10 },
+  logInfo: { flex: 1 },
+  logStatus: { fontSize: 15, fontWeight: 'bold' },
+  logMeta: { fontSize: 12, color: '#888', marginTop: 2 },
+  logError: { fontSize: 13, color: '#f44336', marginTop: 4 },
+});
+
+export default WebhookScreen;
@@ -0,0 +1,398 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  StyleSheet,
+  Alert,
+  SafeAreaView,
+  ScrollView,
+  ActivityIndicator,
+} from 'react-native';
+import { useAuth } from '../context/AuthContext';
+import {
+  WORKSPACE_ROLES,
+  INVITE_ROLES,
+  getRole,
+  canManage,
+  subscribeToWorkspace,
+  subscribeToPendingInvites,
+  inviteMember,
+  declineInvite,
+  changeRole,
+  removeMember,
+  deleteWorkspace,
+} from '../services/workspaces';
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const WorkspaceScreen = ({ navigation, route }) => {
+  const { workspaceId } = route.params;
+  const [workspace, setWorkspace] = useState(undefined); // null once it is gone or no longer shared with us
+  const [invites, setInvites] = useState([]);
+  const [inviteEmail, setInviteEmail] = useState('');
+  const [inviteRole, setInviteRole] = useState('editor');
+  const [inviting, setInviting] = useState(false);
+  const { user } = useAuth();
+
+  const isOwner = canManage(workspace, user.uid);
+
+  useEffect(() => subscribeToWorkspace(workspaceId, setWorkspace, (error) => {
+    // Reading fails with permission-denied as soon as we are removed
+    console.error('Error loading workspace:', error);
+    setWorkspace(null);
+  }), [workspaceId]);
+
+  // Only the owner may read the invitations that were sent
+  useEffect(() => {
+    if (!isOwner) return undefined;
+    return subscribeToPendingInvites(workspaceId, setInvites, (error) =>
+      console.error('Error loading invitations:', error)
+    );
+  }, [workspaceId, isOwner]);
+
+  useEffect(() => {
+    if (workspace) navigation.setOptions({ title: workspace.name });
+  }, [workspace?.name]);
+
+  const runAction = async (action, failureMessage) => {
+    try {
+      await action();
+    } catch (error) {
+      console.error(failureMessage, error);
+      Alert.alert('Error', failureMessage);
+    }
+  };
+
+  const handleInvite = async () => {
+    const email = inviteEmail.trim().toLowerCase();
+    if (!EMAIL_PATTERN.test(email)) {
+      Alert.alert('Error', 'Please enter a valid email address');
+      return;
+    }
+    if (Object.values(workspace.memberEmails || {}).some(memberEmail => memberEmail?.toLowerCase() === email)) {
+      Alert.alert('Already a Member', `${email} is already in this workspace`);
+      return;
+    }
+
+    setInviting(true);
+    try {
+      await inviteMember(workspace, user, email, inviteRole);
+      setInviteEmail('');
+      Alert.alert(
+        'Invitation Sent',
+        `${email} will see the invitation under Workspaces after signing in with that address.`
+      );
+    } catch (error) {
+      console.error('Error inviting member:', error);
+      Alert.alert('Error', 'Failed to send the invitation');
+    } finally {
+      setInviting(false);
+    }
+  };
+
+  const handleMemberPress = (uid) => {
+    const email = workspace.memberEmails?.[uid] || 'This member';
+    Alert.alert(
+      email,
+      `Role: ${WORKSPACE_ROLES[getRole(workspace, uid)].label}`,
+      [
+        ...INVITE_ROLES
+          .filter(role => role !== getRole(workspace, uid))
+          .map(role => ({
+            text: `Make ${WORKSPACE_ROLES[role].label}`,
+            onPress: () => runAction(() => changeRole(workspaceId, uid, role), 'Failed to change the role'),
+          })),
+        {
+          text: 'Remove',
+          style: 'destructive',
+          onPress: () => runAction(() => removeMember(workspaceId, uid), 'Failed to remove the member'),
+        },
+        { text: 'Cancel', style: 'cancel' },
+      ]
+    );
+  };
+
+  const handleWithdraw = (invite) => {
+    runAction(() => declineInvite(invite), 'Failed to withdraw the invitation');
+  };
+
+  const handleLeave = () => {
+    Alert.alert(
+      'Leave Workspace',
+      `Leave "${workspace.name}"? The scans you added stay in the workspace.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Leave',
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              await removeMember(workspaceId, user.uid);
+              navigation.goBack();
+            } catch (error) {
+              console.error('Error leaving workspace:', error);
+              Alert.alert('Error', 'Failed to leave the workspace');
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  const handleDelete = () => {
+    Alert.alert(
+      'Delete Workspace',
+      `Delete "${workspace.name}" for all members? Scans stay in the history of whoever took them.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Delete',
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              await deleteWorkspace(workspaceId);
+              navigation.goBack();
+            } catch (error) {
+              console.error('Error deleting workspace:', error);
+              Alert.alert('Error', 'Failed to delete the workspace');
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  if (workspace === undefined) {
+    return (
+      <View style={styles.centered}>
+        <ActivityIndicator size="large" color="#2196F3" />
+      </View>
+    );
+  }
+
+  if (workspace === null) {
+    return (
+      <View style={styles.centered}>
+        <Text style={styles.emptyText}>This workspace is no longer available to you.</Text>
+        <TouchableOpacity style={styles.button} onPress={() => navigation.goBack()}>
+          <Text style={styles.buttonText}>Go Back</Text>
+        </TouchableOpacity>
+      </View>
+    );
+  }
+
+  // Owner first, then everyone else by email
+  const members = [...workspace.memberIds].sort((a, b) =>
+    (getRole(workspace, b) === 'owner') - (getRole(workspace, a) === 'owner') ||
+    (workspace.memberEmails?.[a] || '').localeCompare(workspace.memberEmails?.[b] || '')
+  );
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <ScrollView contentContainerStyle={styles.content}>
+        <TouchableOpacity
+          style={styles.button}
+          onPress={() => navigation.navigate('ScanHistory', { workspaceId, workspaceName: workspace.name })}
+        >
+          <Text style={styles.buttonText}>📋 View Scans</Text>
+        </TouchableOpacity>
+
+        <Text style={styles.sectionTitle}>Members</Text>
+        {members.map(uid => {
+          const role = getRole(workspace, uid);
+          const manageable = isOwner && role !== 'owner';
+          return (
+            <TouchableOpacity
+              key={uid}
+              style={styles.memberRow}
+              onPress={() => handleMemberPress(uid)}
+              disabled={!manageable}
+            >
+              <Text style={styles.memberEmail} numberOfLines={1}>
+                {workspace.memberEmails?.[uid] || uid}{uid === user.uid ? ' (you)' : ''}
+              </Text>
+              <Text style={styles.roleBadge}>{WORKSPACE_ROLES[role].label}</Text>
+              {manageable && <Text style={styles.chevron}>›</Text>}
+            </TouchableOpacity>
+          );
+        })}
+
+        {isOwner && (
+          <>
+            <Text style={styles.sectionTitle}>Invite Someone</Text>
+            <TextInput
+              style={styles.input}
+              placeholder="Email address"
+              value={inviteEmail}
+              onChangeText={setInviteEmail}
+              keyboardType="email-address"
+              autoCapitalize="none"
+              autoCorrect={false}
+            />
+            <View style={styles.roleRow}>
+              {INVITE_ROLES.map(role => (
+                <TouchableOpacity
+                  key={role}
+                  style={[styles.roleOption, inviteRole === role && styles.roleOptionActive]}
+                  onPress={() => setInviteRole(role)}
+                >
+                  <Text style={[styles.roleOptionText, inviteRole === role && styles.roleOptionTextActive]}>
+                    {WORKSPACE_ROLES[role].label}
+                  </Text>
+                </TouchableOpacity>
+              ))}
+            </View>
+            <Text style={styles.hintText}>
+              {inviteRole === 'editor'
+                ? 'Editors can scan into the workspace and tag any of its scans.'
+                : 'Viewers can see the workspace scans but not add or change them.'}
+            </Text>
+            <TouchableOpacity style={styles.button} onPress={handleInvite} disabled={inviting}>
+              {inviting ? (
+                <ActivityIndicator color="white" />
+              ) : (
+                <Text style={styles.buttonText}>Send Invitation</Text>
+              )}
+            </TouchableOpacity>
+
+            {invites.length > 0 && (
+              <>
+                <Text style={styles.sectionTitle}>Pending Invitations</Text>
+                {invites.map(invite => (
+                  <View key={invite.id} style={styles.memberRow}>
+                    <Text style={styles.memberEmail} numberOfLines={1}>{invite.email}</Text>
+                    <Text style={styles.roleBadge}>{WORKSPACE_ROLES[invite.role].label}</Text>
+                    <TouchableOpacity onPress={() => handleWithdraw(invite)}>
+                      <Text style={styles.withdrawText}>Withdraw</Text>
+                    </TouchableOpacity>
+                  </View>
+                ))}
+              </>
+            )}
+          </>
+        )}
+
+        {isOwner ? (
+          <TouchableOpacity style={[styles.button, styles.dangerButton]} onPress={handleDelete}>
+            <Text style={styles.buttonText}>Delete Workspace</Text>
+          </TouchableOpacity>
+        ) : (
+          <TouchableOpacity style={[styles.button, styles.dangerButton]} onPress={handleLeave}>
+            <Text style={styles.buttonText}>Leave Workspace</Text>
+          </TouchableOpacity>
+        )}
+      </ScrollView>
+    </SafeAreaView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f5f5f5',
+  },
+  content: {
+    padding: 20,
+  },
+  centered: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    padding: 20,
+    backgroundColor: '#f5f5f5',
+  },
+  sectionTitle: {
+    fontSize: 14,
+    fontWeight: 'bold',
+    color: '#666',
+    marginTop: 20,
+    marginBottom: 10,
+  },
+  memberRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: 'white',
+    padding: 15,
+    borderRadius: 10,
+    marginBottom: 8,
+  },
+  memberEmail: {
+    flex: 1,
+    fontSize: 15,
+    color: '#333',
+  },
+  roleBadge: {
+    fontSize: 12,
+    fontWeight: 'bold',
+    color: '#1976d2',
+    backgroundColor: '#e3f2fd',
+    paddingHorizontal: 8,
+    paddingVertical: 3,
+    borderRadius: 10,
+    overflow: 'hidden',
+    marginLeft: 10,
+  },
+  chevron: {
+    fontSize: 20,
+    color: '#999',
+    marginLeft: 10,
+  },
+  withdrawText: {
+    color: '#ff4444',
+    fontWeight: 'bold',
+    marginLeft: 10,
+  },
+  input: {
+    backgroundColor: 'white',
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 8,
+    padding: 12,
+    fontSize: 16,
+  },
+  roleRow: {
+    flexDirection: 'row',
+    marginTop: 10,
+  },
+  roleOption: {
+    paddingHorizontal: 16,
+    paddingVertical: 8,
+    borderRadius: 20,
+    marginRight: 10,
+    backgroundColor: '#e0e0e0',
+  },
+  roleOptionActive: { backgroundColor: '#2196F3' },
+  roleOptionText: { color: '#666', fontWeight: 'bold' },
+  roleOptionTextActive: { color: 'white' },
+  hintText: {
+    fontSize: 13,
+    color: '#999',
+    marginTop: 8,
+  },
+  emptyText: {
+    fontSize: 16,
+    color: '#666',
+    textAlign: 'center',
+    marginBottom: 20,
+  },
+  button: {
+    backgroundColor: '#2196F3',
+    padding: 15,
+    borderRadius: 8,
+    alignItems: 'center',
+    marginTop: 15,
+  },
+  dangerButton: {
+    backgroundColor: '#ff4444',
+    marginTop: 30,
+  },
+  buttonText: {
+    color: 'white',
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+});
+
+export default WorkspaceScreen;
@@ -0,0 +1,286 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  StyleSheet,
+  Alert,
+  SafeAreaView,
+  ScrollView,
+  ActivityIndicator,
+} from 'react-native';
+import { useAuth } from '../context/AuthContext';
+import {
+  WORKSPACE_ROLES,
+  getRole,
+  createWorkspace,
+  subscribeToWorkspaces,
+  subscribeToInvites,
+  acceptInvite,
+  declineInvite,
+} from '../services/workspaces';
+
+const WorkspacesScreen = ({ navigation }) => {
+  const [workspaces, setWorkspaces] = useState(null);
+  const [invites, setInvites] = useState([]);
+  const [newName, setNewName] = useState('');
+  const [creating, setCreating] = useState(false);
+  const [answering, setAnswering] = useState(null); // id of the invite being accepted or declined
+  const { user } = useAuth();
+
+  useEffect(() => {
+    const unsubscribeWorkspaces = subscribeToWorkspaces(user.uid, setWorkspaces, (error) => {
+      console.error('Error loading workspaces:', error);
+      setWorkspaces([]);
+    });
+    const unsubscribeInvites = subscribeToInvites(user.email, setInvites, (error) =>
+      console.error('Error loading invitations:', error)
+    );
+
+    return () => {
+      unsubscribeWorkspaces();
+      unsubscribeInvites();
+    };
+  }, [user.uid]);
+
+  const handleCreate = async () => {
+    if (!newName.trim()) {
+      Alert.alert('Error', 'Please enter a name for the workspace');
+      return;
+    }
+
+    setCreating(true);
+    try {
+      const workspaceId = await createWorkspace(user, newName);
+      setNewName('');
+      navigation.navigate('Workspace', { workspaceId });
+    } catch (error) {
+      console.error('Error creating workspace:', error);
+      Alert.alert('Error', 'Failed to create the workspace');
+    } finally {
+      setCreating(false);
+    }
+  };
+
+  const handleAccept = async (invite) => {
+    setAnswering(invite.id);
+    try {
+      await acceptInvite(user, invite);
+    } catch (error) {
+      console.error('Error accepting invitation:', error);
+      Alert.alert(
+        'Error',
+        error.code === 'permission-denied'
+          ? 'This invitation is no longer valid. Ask the owner to invite you again.'
+          : 'Failed to join the workspace'
+      );
+    } finally {
+      setAnswering(null);
+    }
+  };
+
+  const handleDecline = (invite) => {
+    Alert.alert(
+      'Decline Invitation',
+      `Decline the invitation to "${invite.workspaceName}"?`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Decline',
+          style: 'destructive',
+          onPress: async () => {
+            setAnswering(invite.id);
+            try {
+              await declineInvite(invite);
+            } catch (error) {
+              console.error('Error declining invitation:', error);
+              Alert.alert('Error', 'Failed to decline the invitation');
+            } finally {
+              setAnswering(null);
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  if (workspaces === null) {
+    return (
+      <View style={styles.loadingContainer}>
+        <ActivityIndicator size="large" color="#2196F3" />
+        <Text style={styles.loadingText}>Loading workspaces...</Text>
+      </View>
+    );
+  }
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <ScrollView contentContainerStyle={styles.content}>
+        {invites.length > 0 && (
+          <>
+            <Text style={styles.sectionTitle}>Invitations</Text>
+            {invites.map(invite => (
+              <View key={invite.id} style={styles.card}>
+                <Text style={styles.cardTitle}>{invite.workspaceName}</Text>
+                <Text style={styles.cardDetail}>
+                  {invite.invitedBy} invited you as {WORKSPACE_ROLES[invite.role].label.toLowerCase()}
+                </Text>
+                {answering === invite.id ? (
+                  <ActivityIndicator style={styles.inviteActions} color="#2196F3" />
+                ) : (
+                  <View style={styles.inviteActions}>
+                    <TouchableOpacity style={[styles.smallButton, styles.declineButton]} onPress={() => handleDecline(invite)}>
+                      <Text style={styles.declineButtonText}>Decline</Text>
+                    </TouchableOpacity>
+                    <TouchableOpacity style={styles.smallButton} onPress={() => handleAccept(invite)}>
+                      <Text style={styles.smallButtonText}>Join</Text>
+                    </TouchableOpacity>
+                  </View>
+                )}
+              </View>
+            ))}
+          </>
+        )}
+
+        <Text style={styles.sectionTitle}>Your Workspaces</Text>
+        {workspaces.length === 0 ? (
+          <Text style={styles.emptyText}>
+            Workspaces let a team collect scans together. Create one and invite others by email.
+          </Text>
+        ) : (
+          workspaces.map(workspace => (
+            <TouchableOpacity
+              key={workspace.id}
+              style={styles.card}
+              onPress={() => navigation.navigate('Workspace', { workspaceId: workspace.id })}
+            >
+              <Text style={styles.cardTitle}>👥 {workspace.name}</Text>
+              <Text style={styles.cardDetail}>
+                {WORKSPACE_ROLES[getRole(workspace, user.uid)].label} · {workspace.memberIds.length}{' '}
+                {workspace.memberIds.length === 1 ? 'member' : 'members'}
+              </Text>
+            </TouchableOpacity>
+          ))
+        )}
+
+        <Text style={styles.sectionTitle}>New Workspace</Text>
+        <View style={styles.createRow}>
+          <TextInput
+            style={styles.input}
+            placeholder="Workspace name"
+            value={newName}
+            onChangeText={setNewName}
+            maxLength={60}
+          />
+          <TouchableOpacity style={styles.createButton} onPress={handleCreate} disabled={creating}>
+            {creating ? (
+              <ActivityIndicator color="white" />
+            ) : (
+              <Text style={styles.smallButtonText}>Create</Text>
+            )}
+          </TouchableOpacity>
+        </View>
+      </ScrollView>
+    </SafeAreaView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f5f5f5',
+  },
+  content: {
+    padding: 20,
+  },
+  loadingContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    backgroundColor: '#f5f5f5',
+  },
+  loadingText: {
+    marginTop: 10,
+    fontSize: 16,
+    color: '#666',
+  },
+  sectionTitle: {
+    fontSize: 14,
+    fontWeight: 'bold',
+    color: '#666',
+    marginTop: 10,
+    marginBottom: 10,
+  },
+  card: {
+    backgroundColor: 'white',
+    padding: 15,
+    borderRadius: 10,
+    marginBottom: 10,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 1 },
+    shadowOpacity: 0.1,
+    shadowRadius: 2,
+    elevation: 2,
+  },
+  cardTitle: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: '#333',
+  },
+  cardDetail: {
+    fontSize: 14,
+    color: '#666',
+    marginTop: 4,
+  },
+  inviteActions: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+    marginTop: 10,
+  },
+  smallButton: {
+    backgroundColor: '#2196F3',
+    paddingHorizontal: 16,
+    paddingVertical: 8,
+    borderRadius: 5,
+    marginLeft: 10,
+  },
+  smallButtonText: {
+    color: 'white',
+    fontWeight: 'bold',
+  },
+  declineButton: {
+    backgroundColor: '#f0f0f0',
+  },
+  declineButtonText: {
+    color: '#666',
+    fontWeight: 'bold',
+  },
+  emptyText: {
+    fontSize: 14,
+    color: '#999',
+    marginBottom: 10,
+  },
+  createRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  input: {
+    flex: 1,
+    backgroundColor: 'white',
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 8,
+    padding: 12,
+    fontSize: 16,
+  },
+  createButton: {
+    backgroundColor: '#4CAF50',
+    paddingHorizontal: 16,
+    paddingVertical: 14,
+    borderRadius: 8,
+    marginLeft: 10,
+  },
+});
+
+export default WorkspacesScreen;
@@ -0,0 +1,83 @@
+import React from 'react';
+import { render, screen, fireEvent, configure, act } from '@testing-library/react-native';
+import ScanHistoryScreen from '../ScanHistoryScreen';
+import { ScanRepositoryProvider } from '../../context/ScanRepositoryContext';
+import { createMemoryScanStore } from '../../services/listScanStore';
+import { buildSearchTokens } from '../../utils/searchTokens';
+import { SCAN_PAGE_SIZE } from '../../utils/constants';
+
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock'));
+// The screen runs on the memory store; Firebase is never reached
+jest.mock('firebase/firestore', () => ({}));
+jest.mock('../../services/firebase', () => ({ db: {}, auth: {} }));
+jest.mock('react-native-maps', () => ({ __esModule: true, default: () => null, Marker: () => null, Circle: () => null }));
+jest.mock('../../context/AuthContext', () => ({
+  useAuth: () => ({ user: { uid: 'alice', email: 'alice@example.com' } }),
+}));
+
+// The first render loads and transforms much of React Native, which is slow on a cold cache
+configure({ asyncUtilTimeout: 10000 });
+jest.setTimeout(30000);
+
+const scan = (id, minutesAgo, qrData) => ({
+  id,
+  userId: 'alice',
+  workspaceId: null,
+  qrData,
+  searchTokens: buildSearchTokens(qrData),
+  timestamp: new Date(Date.now() - minutesAgo * 60000),
+});
+
+const navigation = { setOptions: jest.fn(), navigate: jest.fn() };
+
+const renderHistory = async (repository) => {
+  render(
+    <ScanRepositoryProvider repository={repository}>
+      <ScanHistoryScreen navigation={navigation} route={{}} />
+    </ScanRepositoryProvider>
+  );
+  // Lets the search box debounce run out, which starts with an empty search
+  await act(() => new Promise(resolve => setTimeout(resolve, 500)));
+};
+
+describe('ScanHistoryScreen', () => {
+  test('lists the scans in the repository', async () => {
+    await renderHistory(createMemoryScanStore([
+      scan('a', 1, 'https://example.com/a'),
+      scan('b', 2, 'WIFI:S:office;T:WPA;P:secret;;'),
+    ]));
+
+    expect(await screen.findByText(/^2 scans/)).toBeTruthy();
+    expect(screen.getByText('https://example.com/a')).toBeTruthy();
+  });
+
+  test('shows scans added to the repository while open', async () => {
+    const repository = createMemoryScanStore([scan('a', 1, 'https://example.com/a')]);
+    await renderHistory(repository);
+    await screen.findByText(/^1 scan/);
+
+    await act(() => repository.create(repository.createId(), {
+      userId: 'alice',
+      workspaceId: null,
+      qrData: 'https://example.com/new',
+      searchTokens: buildSearchTokens('https://example.com/new'),
+    }));
+
+    expect(await screen.findByText('https://example.com/new')).toBeTruthy();
+    expect(screen.getByText(/^2 scans/)).toBeTruthy();
+  });
+
+  test('groups count every matching scan, not only the loaded page', async () => {
+    const scans = Array.from({ length: SCAN_PAGE_SIZE + 5 }, (_, index) =>
+      scan(`s${index}`, index, index % 3 === 0 ? 'https://example.com/often' : `https://example.com/${index}`));
+    await renderHistory(createMemoryScanStore(scans));
+    await screen.findByText(new RegExp(`^${SCAN_PAGE_SIZE} scans`));
+
+    fireEvent.press(screen.getByText('🗂 Grouped'));
+
+    const distinct = new Set(scans.map(item => item.qrData)).size;
+    expect(await screen.findByText(new RegExp(`^${distinct} codes · ${scans.length} scans`))).toBeTruthy();
+    expect(screen.getByText(`×${Math.ceil(scans.length / 3)}`)).toBeTruthy();
+  });
+});
@@ -0,0 +1,50 @@
+import { localScanStore } from '../localScanStore';
+import { migrateGuestScans, getGuestScanCount } from '../guestMigration';
+import { createMemoryScanStore } from '../listScanStore';
+import { buildSearchTokens } from '../../utils/searchTokens';
+import { GUEST_UID } from '../../utils/constants';
+
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock'));
+
+const user = { uid: 'alice', email: 'alice@example.com' };
+
+// What the scanner saves in guest mode: no tags and no note
+const saveGuestScan = (qrData) =>
+  localScanStore.create(localScanStore.createId(), {
+    userId: GUEST_UID,
+    userEmail: null,
+    workspaceId: null,
+    qrData,
+    searchTokens: buildSearchTokens(qrData),
+    symbology: 'qr',
+    location: null,
+  });
+
+describe('migrateGuestScans', () => {
+  test('copies a plain guest scan and clears the device', async () => {
+    await saveGuestScan('https://example.com');
+    const repository = createMemoryScanStore();
+
+    const report = await migrateGuestScans(repository, user);
+
+    expect(report).toEqual({ imported: 1, merged: 0, skipped: 0 });
+    const [scan] = await repository.listAll({ userId: 'alice' });
+    expect(scan).toMatchObject({ userId: 'alice', qrData: 'https://example.com', tags: [], note: '' });
+    expect(Object.values(scan)).not.toContain(undefined);
+    expect(await getGuestScanCount()).toBe(0);
+  });
+
+  test('skips a scan that was already uploaded', async () => {
+    await saveGuestScan('WIFI:S:office;;');
+    const [guestScan] = await localScanStore.listAll({ userId: GUEST_UID });
+    const repository = createMemoryScanStore([
+      { ...guestScan, id: 'uploaded', userId: 'alice', tags: ['work'], note: '' },
+    ]);
+
+    const report = await migrateGuestScans(repository, user);
+
+    expect(report).toEqual({ imported: 0, merged: 0, skipped: 1 });
+    expect(await repository.listAll({ userId: 'alice' })).toHaveLength(1);
+  });
+});
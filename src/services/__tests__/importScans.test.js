@@ -0,0 +1,104 @@
+import { importScans } from '../importScans';
+import { createMemoryScanStore } from '../listScanStore';
+import { scansToCsv, scansToJson } from '../../utils/scanExport';
+import { prepareImport, getDuplicateKey } from '../../utils/scanImport';
+import { buildSearchTokens } from '../../utils/searchTokens';
+
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock'));
+
+const user = { uid: 'alice', email: 'alice@example.com' };
+
+const scan = (id, qrData, extra = {}) => ({
+  id,
+  userId: 'alice',
+  userEmail: 'alice@example.com',
+  workspaceId: null,
+  qrData,
+  searchTokens: buildSearchTokens(qrData),
+  symbology: 'qr',
+  timestamp: new Date('2026-03-01T09:30:00.123Z'),
+  location: null,
+  tags: [],
+  note: '',
+  ...extra,
+});
+
+// Payloads a spreadsheet would run as formulas, and ones that only look like our escaping
+const scans = [
+  scan('a', '=HYPERLINK("https://evil.example","Click")', { tags: ['risky'] }),
+  scan('b', "'quoted from the start", { note: '+1 for this one' }),
+  scan('c', "''=not a formula"),
+  scan('d', '-42', { location: { latitude: 51.5, longitude: -0.12 }, symbology: 'code128' }),
+  scan('e', '@mention\r\nsecond line, with "quotes"', { tags: ['shelf a', 'aisle 3'] }),
+  scan('f', 'WIFI:S:office;T:WPA;P:p=1;;', { timestamp: new Date('2026-03-01T09:31:00Z') }),
+];
+
+// The fields an export keeps and an import brings back
+const importedFields = ({ qrData, timestamp, location, symbology, tags, note }) =>
+  ({ qrData, timestamp, location, symbology, tags, note });
+
+describe.each([
+  ['CSV', 'scans.csv', scansToCsv],
+  ['JSON', 'scans.json', scansToJson],
+])('%s export and import', (format, fileName, serialize) => {
+  test('brings back every payload exactly as scanned', () => {
+    const { valid, rejected, skipped } = prepareImport(serialize(scans), fileName);
+
+    expect(rejected).toEqual([]);
+    expect(skipped).toBe(0);
+    expect(valid).toEqual(scans.map(importedFields));
+  });
+
+  test('skips rows repeated within the file', () => {
+    const { valid, skipped } = prepareImport(serialize([...scans, { ...scans[0], id: 'copy' }]), fileName);
+
+    expect(valid).toHaveLength(scans.length);
+    expect(skipped).toBe(1);
+  });
+
+  test('skips scans already in the repository, even when they are pending', async () => {
+    const repository = createMemoryScanStore([scans[0], { ...scans[1], pending: true }]);
+    const { valid } = prepareImport(serialize(scans), fileName);
+
+    const report = await importScans({ repository, user, scans: valid, mode: 'skip' });
+
+    expect(report).toEqual({ imported: scans.length - 2, merged: 0, skipped: 2 });
+    const stored = await repository.listAll({ userId: 'alice' });
+    expect(stored.map(item => getDuplicateKey(item.qrData, item.timestamp)).sort())
+      .toEqual(scans.map(item => getDuplicateKey(item.qrData, item.timestamp)).sort());
+  });
+
+  test('merges tags and notes into an existing copy', async () => {
+    const repository = createMemoryScanStore([{ ...scans[4], id: 'existing', tags: ['old'], note: '' }]);
+    const { valid } = prepareImport(serialize([{ ...scans[4], note: 'Top shelf' }]), fileName);
+
+    const report = await importScans({ repository, user, scans: valid, mode: 'merge' });
+
+    expect(report).toEqual({ imported: 0, merged: 1, skipped: 0 });
+    const [stored] = await repository.listAll({ userId: 'alice' });
+    expect(stored).toMatchObject({ id: 'existing', tags: ['old', 'shelf a', 'aisle 3'], note: 'Top shelf' });
+  });
+});
+
+describe('CSV export', () => {
+  test('puts an apostrophe in front of cells a spreadsheet would run', () => {
+    const [, ...rows] = scansToCsv(scans.slice(0, 4)).split('\r\n');
+
+    expect(rows[0]).toContain(`"'=HYPERLINK(""https://evil.example"",""Click"")"`);
+    expect(rows[1]).toContain(",'+1 for this one");
+    expect(rows[1]).toContain(",''quoted from the start,");
+    expect(rows[2]).toContain(",'''=not a formula,");
+    expect(rows[3]).toContain(",'-42,");
+  });
+});
+
+describe('getDuplicateKey', () => {
+  test('tells scans apart by payload and millisecond', () => {
+    const at = new Date('2026-03-01T09:30:00.123Z');
+
+    expect(getDuplicateKey('a', at)).toBe(getDuplicateKey('a', new Date(at.getTime())));
+    expect(getDuplicateKey('a', at)).not.toBe(getDuplicateKey('a', new Date(at.getTime() + 1)));
+    expect(getDuplicateKey('a', at)).not.toBe(getDuplicateKey('b', at));
+  });
+});
@@ -0,0 +1,122 @@
+import { createMemoryScanStore } from '../listScanStore';
+import { buildSearchTokens } from '../../utils/searchTokens';
+import { SCAN_PAGE_SIZE } from '../../utils/constants';
+
+const scan = (id, minutesAgo, fields = {}) => {
+  const qrData = fields.qrData || `https://example.com/${id}`;
+  return {
+    id,
+    userId: 'alice',
+    workspaceId: null,
+    qrData,
+    searchTokens: buildSearchTokens(qrData),
+    timestamp: new Date(Date.UTC(2026, 0, 1) - minutesAgo * 60000),
+    ...fields,
+  };
+};
+
+const ids = scans => scans.map(item => item.id);
+
+describe('createMemoryScanStore', () => {
+  test('pages through personal scans newest first', async () => {
+    const scans = Array.from({ length: SCAN_PAGE_SIZE + 5 }, (_, index) => scan(`s${index}`, index));
+    const store = createMemoryScanStore(scans);
+
+    const first = await store.listPage({ userId: 'alice' });
+    expect(ids(first.scans)).toEqual(ids(scans.slice(0, SCAN_PAGE_SIZE)));
+    expect(first.hasMore).toBe(true);
+
+    const second = await store.listPage({ userId: 'alice', cursor: first.cursor });
+    expect(ids(second.scans)).toEqual(ids(scans.slice(SCAN_PAGE_SIZE)));
+    expect(second.hasMore).toBe(false);
+  });
+
+  test('keeps personal history and workspaces apart', async () => {
+    const store = createMemoryScanStore([
+      scan('mine', 1),
+      scan('shared', 2, { workspaceId: 'ws' }),
+      scan('teammate', 3, { userId: 'bob', workspaceId: 'ws' }),
+      scan('other', 4, { userId: 'bob' }),
+    ]);
+
+    expect(ids(await store.listAll({ userId: 'alice' }))).toEqual(['mine']);
+    expect(ids(await store.listAll({ workspaceId: 'ws' }))).toEqual(['shared', 'teammate']);
+  });
+
+  test('filters by date range and search word', async () => {
+    const store = createMemoryScanStore([
+      scan('recent', 10, { qrData: 'WIFI:S:office;;' }),
+      scan('old', 600, { qrData: 'WIFI:S:home;;' }),
+      scan('link', 20),
+    ]);
+    const dateRange = { start: new Date(Date.UTC(2026, 0, 1) - 60 * 60000), end: null };
+
+    expect(ids(await store.listAll({ userId: 'alice', dateRange }))).toEqual(['recent', 'link']);
+    expect(ids(await store.listAll({ userId: 'alice', searchText: 'wifi' }))).toEqual(['recent', 'old']);
+    expect(ids(await store.listAll({ userId: 'alice', dateRange, searchText: 'wifi' }))).toEqual(['recent']);
+  });
+
+  test('puts a removed scan back on restore', async () => {
+    const store = createMemoryScanStore([scan('a', 1), scan('b', 2)]);
+
+    const removed = await store.remove('a');
+    expect(ids(await store.listAll({ userId: 'alice' }))).toEqual(['b']);
+
+    await store.restore(removed);
+    expect(ids(await store.listAll({ userId: 'alice' }))).toEqual(['a', 'b']);
+  });
+
+  test('clears personal history only', async () => {
+    const store = createMemoryScanStore([
+      scan('mine', 1),
+      scan('shared', 2, { workspaceId: 'ws' }),
+      scan('other', 3, { userId: 'bob' }),
+    ]);
+    const onProgress = jest.fn();
+
+    const removed = await store.removeAll('alice', onProgress);
+    expect(ids(removed)).toEqual(['mine']);
+    expect(onProgress).toHaveBeenLastCalledWith(1, 1);
+    expect(ids(await store.listAll({ workspaceId: 'ws' }))).toEqual(['shared']);
+    expect(ids(await store.listAll({ userId: 'bob' }))).toEqual(['other']);
+  });
+
+  test('tells subscribers about changes in their range', async () => {
+    const store = createMemoryScanStore([scan('a', 1)]);
+    const onScans = jest.fn();
+
+    const unsubscribe = store.subscribe({ userId: 'alice' }, onScans);
+    await new Promise(resolve => setImmediate(resolve));
+    expect(ids(onScans.mock.lastCall[0])).toEqual(['a']);
+
+    const scanId = store.createId();
+    await store.create(scanId, { userId: 'alice', workspaceId: null, qrData: 'new' });
+    await new Promise(resolve => setImmediate(resolve));
+    expect(ids(onScans.mock.lastCall[0])).toEqual([scanId, 'a']);
+
+    unsubscribe();
+    await store.update('a', { note: 'ignored' });
+    await new Promise(resolve => setImmediate(resolve));
+    expect(onScans).toHaveBeenCalledTimes(2);
+  });
+
+  test('finds every scan the user took of a payload, in workspaces too', async () => {
+    const store = createMemoryScanStore([
+      scan('mine', 1, { qrData: 'ABC' }),
+      scan('shared', 2, { qrData: 'ABC', workspaceId: 'ws' }),
+      scan('teammate', 3, { qrData: 'ABC', userId: 'bob', workspaceId: 'ws' }),
+      scan('different', 4, { qrData: 'ABCD' }),
+    ]);
+
+    expect(ids(await store.findByPayload('alice', 'ABC'))).toEqual(['mine', 'shared']);
+  });
+
+  test('never has pending scans', async () => {
+    const store = createMemoryScanStore();
+    const onScans = jest.fn();
+
+    store.subscribePending({ userId: 'alice' }, onScans);
+    expect(onScans).toHaveBeenCalledWith([]);
+    expect((await store.create(store.createId(), { userId: 'alice', qrData: 'x' })).pending).toBe(false);
+  });
+});
@@ -0,0 +1,155 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import {
+  forwardScan,
+  flushWebhookOutbox,
+  getWebhookLog,
+  getWebhookOutbox,
+  getRetryDelay,
+} from '../webhookOutbox';
+import { setWebhookConfig } from '../settings';
+
+const { createWebhookStandIn } = require('../../../scripts/webhook-stand-in');
+
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock'));
+
+const USER_ID = 'alice';
+
+const scan = {
+  id: 'scan-1',
+  qrData: 'https://example.com/item?id=7',
+  symbology: 'qr',
+  timestamp: new Date('2026-01-01T10:00:00Z'),
+  userId: USER_ID,
+  userEmail: 'alice@example.com',
+  workspaceId: null,
+  location: null,
+  tags: ['shelf'],
+  note: 'Back room',
+};
+
+let server;
+
+const startStandIn = (statuses) =>
+  new Promise((resolve) => {
+    server = createWebhookStandIn({ statuses, log: () => {} });
+    server.listen(0, '127.0.0.1', () => resolve(`http://127.0.0.1:${server.address().port}/hook`));
+  });
+
+const configure = (url) =>
+  setWebhookConfig(USER_ID, {
+    enabled: true,
+    url,
+    headers: 'Authorization: Bearer secret',
+    template: '{ "code": {{qrData}}, "tags": {{tags}}, "at": {{timestamp}} }',
+  });
+
+// forwardScan starts the delivery without waiting for it
+const waitForLog = async (status) => {
+  for (let i = 0; i < 200; i++) {
+    const entry = (await getWebhookLog(USER_ID)).find(item => item.status === status);
+    if (entry) return entry;
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  throw new Error(`No "${status}" delivery logged`);
+};
+
+beforeEach(async () => {
+  await AsyncStorage.clear();
+});
+
+afterEach(async () => {
+  jest.restoreAllMocks();
+  await flushWebhookOutbox(USER_ID);
+  if (server?.listening) await new Promise(resolve => server.close(resolve));
+});
+
+describe('webhook outbox', () => {
+  test('posts the templated body and headers to the target', async () => {
+    await configure(await startStandIn([200]));
+
+    await forwardScan(USER_ID, scan);
+    const entry = await waitForLog('delivered');
+
+    expect(server.requests).toHaveLength(1);
+    const [request] = server.requests;
+    expect(request.method).toBe('POST');
+    expect(request.headers.authorization).toBe('Bearer secret');
+    expect(request.headers['content-type']).toBe('application/json');
+    expect(JSON.parse(request.body)).toEqual({
+      code: 'https://example.com/item?id=7',
+      tags: ['shelf'],
+      at: '2026-01-01T10:00:00.000Z',
+    });
+    expect(entry).toMatchObject({ scanId: 'scan-1', httpStatus: 200, attempts: 1 });
+    expect(await getWebhookOutbox(USER_ID)).toEqual([]);
+  });
+
+  test('retries a server error after the backoff delay', async () => {
+    await configure(await startStandIn([503, 200]));
+    const start = Date.now();
+
+    await forwardScan(USER_ID, scan);
+    expect(await waitForLog('retrying')).toMatchObject({ httpStatus: 503, attempts: 1 });
+
+    const [waiting] = await getWebhookOutbox(USER_ID);
+    expect(waiting).toMatchObject({ attempts: 1, lastError: 'HTTP 503' });
+    expect(waiting.nextAttemptAt - start).toBeGreaterThanOrEqual(getRetryDelay(1));
+
+    // Not due yet, so a flush leaves it alone
+    await flushWebhookOutbox(USER_ID);
+    expect(server.requests).toHaveLength(1);
+
+    jest.spyOn(Date, 'now').mockReturnValue(waiting.nextAttemptAt);
+    await flushWebhookOutbox(USER_ID);
+
+    expect(await waitForLog('delivered')).toMatchObject({ httpStatus: 200, attempts: 2 });
+    expect(server.requests).toHaveLength(2);
+    expect(server.requests[1].body).toBe(server.requests[0].body);
+    expect(await getWebhookOutbox(USER_ID)).toEqual([]);
+  });
+
+  test('doubles the delay for every attempt, up to an hour', () => {
+    expect([1, 2, 3, 4].map(getRetryDelay)).toEqual([5000, 10000, 20000, 40000]);
+    expect(getRetryDelay(20)).toBe(60 * 60 * 1000);
+  });
+
+  test('drops a delivery the target rejects and logs why', async () => {
+    await configure(await startStandIn([400]));
+
+    await forwardScan(USER_ID, scan);
+    const entry = await waitForLog('failed');
+
+    expect(entry).toMatchObject({ httpStatus: 400, error: null, attempts: 1 });
+    expect(server.requests).toHaveLength(1);
+    expect(await getWebhookOutbox(USER_ID)).toEqual([]);
+  });
+
+  test('keeps a delivery whose target cannot be reached', async () => {
+    const url = await startStandIn([200]);
+    await new Promise(resolve => server.close(resolve));
+    await configure(url);
+
+    await forwardScan(USER_ID, scan);
+    const entry = await waitForLog('retrying');
+
+    expect(entry.httpStatus).toBeNull();
+    expect(entry.error).toEqual(expect.any(String));
+    expect(await getWebhookOutbox(USER_ID)).toEqual([
+      expect.objectContaining({ scanId: 'scan-1', attempts: 1, lastError: entry.error }),
+    ]);
+  });
+
+  test('logs a template that cannot be rendered without queueing it', async () => {
+    const url = await startStandIn([200]);
+    await setWebhookConfig(USER_ID, { enabled: true, url, headers: '', template: '{{missing}}' });
+
+    await forwardScan(USER_ID, scan);
+
+    expect(await getWebhookLog(USER_ID)).toEqual([
+      expect.objectContaining({ status: 'failed', error: 'Unknown placeholder {{missing}}', attempts: 0 }),
+    ]);
+    expect(await getWebhookOutbox(USER_ID)).toEqual([]);
+    expect(server.requests).toHaveLength(0);
+  });
+});
@@ -0,0 +1,33 @@
+import * as FileSystem from 'expo-file-system';
+import * as Sharing from 'expo-sharing';
+import { EXPORT_FORMATS, serializeScans, reconciliationToCsv } from '../utils/scanExport';
+
+const getFileStamp = () => new Date().toISOString().replace(/[:.]/g, '-');
+
+// Writes the text to a file in the cache directory and opens the share sheet for it
+const shareFile = async (baseName, text, format, dialogTitle) => {
+  const { extension, mimeType, uti } = EXPORT_FORMATS[format];
+  const fileUri = `${FileSystem.cacheDirectory}${baseName}-${getFileStamp()}.${extension}`;
+
+  await FileSystem.writeAsStringAsync(fileUri, text, {
+    encoding: FileSystem.EncodingType.UTF8,
+  });
+
+  if (!(await Sharing.isAvailableAsync())) {
+    throw new Error('Sharing is not available on this device');
+  }
+
+  await Sharing.shareAsync(fileUri, {
+    mimeType,
+    UTI: uti,
+    dialogTitle,
+  });
+
+  return fileUri;
+};
+
+export const exportScans = (scans, format) =>
+  shareFile('scan-history', serializeScans(scans, format), format, `Export scans as ${EXPORT_FORMATS[format].label}`);
+
+export const exportReconciliation = (report) =>
+  shareFile('stock-count', reconciliationToCsv(report), 'csv', 'Export stock count report');
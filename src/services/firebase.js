@@ -1,6 +1,8 @@
 import { initializeApp } from 'firebase/app';
-import { getFirestore } from 'firebase/firestore';
-import { getAuth } from 'firebase/auth';
+import { getFirestore, connectFirestoreEmulator } from 'firebase/firestore';
+import { getAuth, initializeAuth, getReactNativePersistence, connectAuthEmulator } from 'firebase/auth';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { Platform } from 'react-native';
 
 import Constants from 'expo-constants';
 
@@ -10,7 +12,8 @@ const {
   firebaseProjectId,
   firebaseStorageBucket,
   firebaseMessagingSenderId,
-  firebaseAppId
+  firebaseAppId,
+  firebaseEmulatorHost
 } = Constants.expoConfig.extra;
 
 export const firebaseConfig = {
@@ -25,6 +28,16 @@ export const firebaseConfig = {
 const app = initializeApp(firebaseConfig);
 
 export const db = getFirestore(app);
-export const auth = getAuth(app);
+// Without explicit persistence the native SDK keeps the session in memory only, so it is lost on restart.
+// The web build already persists to the browser's storage.
+export const auth = Platform.OS === 'web'
+  ? getAuth(app)
+  : initializeAuth(app, { persistence: getReactNativePersistence(AsyncStorage) });
+
+// Points the app at the local emulators (ports from firebase.json), e.g. to try out firestore.rules
+if (firebaseEmulatorHost) {
+  connectFirestoreEmulator(db, firebaseEmulatorHost, 8080);
+  connectAuthEmulator(auth, `http://${firebaseEmulatorHost}:9099`);
+}
 
 export default app;
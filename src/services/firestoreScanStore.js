@@ -0,0 +1,406 @@
+import {
+  collection,
+  query,
+  where,
+  orderBy,
+  startAfter,
+  endAt,
+  limit,
+  getDocs,
+  getDocsFromServer,
+  getDoc,
+  getCountFromServer,
+  onSnapshot,
+  writeBatch,
+  doc,
+  documentId,
+  updateDoc,
+  deleteDoc,
+  Timestamp,
+} from 'firebase/firestore';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { db } from './firebase';
+import {
+  writeScan,
+  enqueueScan,
+  withTimeout,
+  isOnline,
+  isTransientError,
+  getPendingScans,
+  updateQueuedScan,
+  subscribeToScanQueue,
+  removeQueuedScan,
+  clearQueuedScans,
+  restoreQueuedScans,
+} from './scanQueue';
+import { getSearchToken, buildSearchTokens } from '../utils/searchTokens';
+import { getScanSearchText } from '../utils/scanTags';
+import { isInDateRange } from '../utils/dateFilters';
+import { FIRESTORE_BATCH_LIMIT as BATCH_LIMIT, SCAN_PAGE_SIZE } from '../utils/constants';
+
+// Firestore only indexes the start of long strings, so equality lookups on longer payloads are unreliable
+const MAX_LOOKUP_LENGTH = 1400;
+// The payload lookup is informational; never hold up the scan confirmation for long while offline
+const LOOKUP_TIMEOUT_MS = 5000;
+
+const BACKFILL_KEY_PREFIX = 'scanBackfill:';
+const BACKFILL_VERSION = 2;
+const BACKFILL_TIMEOUT_MS = 30000;
+
+// The newest page of personal history, shown when Firestore cannot be reached
+const BACKUP_KEY = 'scanHistory';
+
+const backfills = new Map();
+
+const toScan = (snapshot) => {
+  // Scans written on this device show up before the server has assigned their timestamp
+  const data = snapshot.data({ serverTimestamps: 'estimate' });
+  return {
+    id: snapshot.id,
+    ...data,
+    timestamp: data.timestamp?.toDate() || new Date(),
+  };
+};
+
+// Every stored scan has a workspaceId, null for personal ones, so personal history can leave out
+// the user's workspace scans (writeScan does the same for scans saved one at a time)
+const toStoredScan = (scanData) => ({ ...scanData, workspaceId: scanData.workspaceId || null });
+
+// Fields the queries below rely on that scans saved by older versions of the app lack.
+// Without searchTokens a scan never matches a history search.
+const getBackfillUpdates = (data) => {
+  const updates = {};
+  if (!('workspaceId' in data)) {
+    updates.workspaceId = null;
+  }
+  if (!Array.isArray(data.searchTokens)) {
+    updates.searchTokens = buildSearchTokens(getScanSearchText(data));
+  }
+  return updates;
+};
+
+const runBackfill = async (userId) => {
+  const key = `${BACKFILL_KEY_PREFIX}${userId}`;
+  if (Number(await AsyncStorage.getItem(key)) >= BACKFILL_VERSION) return;
+
+  let cursor = null;
+  while (true) {
+    const constraints = [where('userId', '==', userId), orderBy(documentId()), limit(BATCH_LIMIT)];
+    if (cursor) {
+      constraints.push(startAfter(cursor));
+    }
+    // Read from the server, since an offline cache may be missing scans that still need updating
+    const chunk = await getDocsFromServer(query(collection(db, 'scans'), ...constraints));
+
+    const batch = writeBatch(db);
+    let writes = 0;
+    chunk.docs.forEach((scanDoc) => {
+      const updates = getBackfillUpdates(scanDoc.data());
+      if (Object.keys(updates).length > 0) {
+        batch.update(scanDoc.ref, updates);
+        writes++;
+      }
+    });
+    if (writes > 0) {
+      await withTimeout(batch.commit(), BACKFILL_TIMEOUT_MS);
+    }
+
+    if (chunk.docs.length < BATCH_LIMIT) break;
+    cursor = chunk.docs[chunk.docs.length - 1];
+  }
+
+  await AsyncStorage.setItem(key, String(BACKFILL_VERSION));
+};
+
+// Brings a user's older scans up to date before their personal history is first queried.
+// Runs once per user; a failed run is retried on the next query.
+const backfillScans = (userId) => {
+  if (!backfills.has(userId)) {
+    backfills.set(userId, runBackfill(userId).catch((error) => {
+      backfills.delete(userId);
+      console.error('Error backfilling scans:', error);
+    }));
+  }
+  return backfills.get(userId);
+};
+
+// dateRange is { start, end } from getDateRange (end exclusive, either may be null).
+// With a workspaceId the query covers everyone's scans in that workspace instead of the user's personal ones.
+const buildConstraints = ({ userId, workspaceId = null, dateRange = null, searchText = '' }) => {
+  const constraints = workspaceId
+    ? [where('workspaceId', '==', workspaceId)]
+    : [where('userId', '==', userId), where('workspaceId', '==', null)];
+
+  if (dateRange?.start) {
+    constraints.push(where('timestamp', '>=', Timestamp.fromDate(dateRange.start)));
+  }
+  if (dateRange?.end) {
+    constraints.push(where('timestamp', '<', Timestamp.fromDate(dateRange.end)));
+  }
+
+  const searchToken = getSearchToken(searchText);
+  if (searchToken) {
+    constraints.push(where('searchTokens', 'array-contains', searchToken));
+  }
+
+  constraints.push(orderBy('timestamp', 'desc'));
+  return constraints;
+};
+
+// The device-side version of buildConstraints, for scans that are not in Firestore yet
+const matchesFilters = ({ userId, workspaceId = null, dateRange = null, searchText = '' }) => {
+  const searchToken = getSearchToken(searchText);
+  return scan =>
+    (workspaceId ? scan.workspaceId === workspaceId : scan.userId === userId && !scan.workspaceId) &&
+    isInDateRange(scan.timestamp, dateRange) &&
+    (!searchToken || buildSearchTokens(getScanSearchText(scan)).includes(searchToken));
+};
+
+// Scans waiting in the offline queue; a workspace shows the ones queued for it by anyone on this device
+const listPending = async (filters) =>
+  (await getPendingScans(filters.workspaceId ? null : filters.userId)).filter(matchesFilters(filters));
+
+const isUnfilteredHistory = ({ workspaceId = null, dateRange = null, searchText = '' }) =>
+  !workspaceId && !dateRange && !getSearchToken(searchText);
+
+const saveBackup = (scans) => AsyncStorage.setItem(BACKUP_KEY, JSON.stringify(scans));
+
+const readBackup = async (filters) => {
+  const stored = await AsyncStorage.getItem(BACKUP_KEY);
+  if (!stored) return null;
+  return JSON.parse(stored)
+    .map(scan => ({ ...scan, timestamp: new Date(scan.timestamp) }))
+    .filter(matchesFilters(filters));
+};
+
+// Generated on the device so that a replayed write lands on the same document
+const createId = () => doc(collection(db, 'scans')).id;
+
+// Falls back to the offline queue when the write fails for a reason a retry can get past.
+// Offline the write could only time out, so the scan is queued right away. Any other error
+// (e.g. permission-denied) is thrown, since the queued write would fail the same way later.
+const create = async (scanId, scanData) => {
+  const scannedAt = new Date();
+  if (await isOnline()) {
+    try {
+      await writeScan(scanId, scanData);
+      return { pending: false };
+    } catch (error) {
+      if (!isTransientError(error)) throw error;
+      console.error('Error saving scan, queueing for later:', error);
+    }
+  }
+
+  await enqueueScan(scanId, scanData, scannedAt);
+  return { pending: true };
+};
+
+// Loads one page of a user's scans, newest first. Pass the returned cursor back in to get the next page.
+// When Firestore cannot be reached, the first page of personal history comes from the backup of the
+// last page that loaded, marked `fromBackup`.
+const listPage = async ({ cursor = null, ...filters }) => {
+  if (!filters.workspaceId) {
+    await backfillScans(filters.userId);
+  }
+  const constraints = buildConstraints(filters);
+  if (cursor) {
+    constraints.push(startAfter(cursor));
+  }
+  constraints.push(limit(SCAN_PAGE_SIZE));
+
+  let querySnapshot;
+  try {
+    querySnapshot = await getDocs(query(collection(db, 'scans'), ...constraints));
+  } catch (error) {
+    const backup = !cursor && !filters.workspaceId && await readBackup(filters);
+    if (!backup) throw error;
+    console.error('Error loading scans, showing the backup:', error);
+    return { scans: backup, cursor: null, hasMore: false, fromBackup: true };
+  }
+
+  const docs = querySnapshot.docs;
+  const scans = docs.map(toScan);
+  if (!cursor && isUnfilteredHistory(filters)) {
+    await saveBackup(scans);
+  }
+
+  return {
+    scans,
+    cursor: docs.length > 0 ? docs[docs.length - 1] : cursor,
+    hasMore: docs.length === SCAN_PAGE_SIZE,
+  };
+};
+
+// Loads every scan matching the filters at once, for summaries that need the whole range.
+// Scans still waiting in the offline queue are included, marked `pending`.
+const listAll = async (filters) => {
+  if (!filters.workspaceId) {
+    await backfillScans(filters.userId);
+  }
+  const querySnapshot = await getDocs(query(collection(db, 'scans'), ...buildConstraints(filters)));
+  const stored = querySnapshot.docs.map(toScan);
+  const storedIds = new Set(stored.map(scan => scan.id));
+  const pending = (await listPending(filters)).filter(scan => !storedIds.has(scan.id));
+  return [...pending, ...stored].sort((a, b) => b.timestamp - a.timestamp);
+};
+
+// Calls onScans with the queued scans matching the filters right away and whenever the queue changes
+const subscribePending = (filters, onScans) => {
+  const publish = () => {
+    listPending(filters).then(onScans);
+  };
+  publish();
+  return subscribeToScanQueue(publish);
+};
+
+// Every scan the user took of this payload, personal or in a workspace, including queued ones
+const findByPayload = async (userId, qrData) => {
+  const pending = (await getPendingScans(userId)).filter(scan => scan.qrData === qrData);
+  if (qrData.length > MAX_LOOKUP_LENGTH) return pending;
+
+  const querySnapshot = await withTimeout(getDocs(query(
+    collection(db, 'scans'),
+    where('userId', '==', userId),
+    where('qrData', '==', qrData)
+  )), LOOKUP_TIMEOUT_MS, 'Timed out looking up earlier scans');
+  const stored = querySnapshot.docs.map(toScan);
+  const storedIds = new Set(stored.map(scan => scan.id));
+  return [...pending.filter(scan => !storedIds.has(scan.id)), ...stored];
+};
+
+// A scan still in the offline queue is changed there, so the edit is part of the replayed write.
+// One that synced in the meantime is updated in Firestore instead.
+const update = async (scanId, updates) => {
+  if (await updateQueuedScan(scanId, updates)) return;
+  await updateDoc(doc(db, 'scans', scanId), updates);
+};
+
+// Deletes one scan and returns what is needed to put it back. A scan still in the offline queue
+// is taken out of the queue instead.
+const remove = async (scanId) => {
+  const queued = await removeQueuedScan(scanId);
+  if (queued.length > 0) {
+    return queued.map(item => ({ id: item.id, queueItem: item }));
+  }
+
+  const scanRef = doc(db, 'scans', scanId);
+  const snapshot = await getDoc(scanRef);
+  await deleteDoc(scanRef);
+  return snapshot.exists() ? [{ id: snapshot.id, data: snapshot.data() }] : [];
+};
+
+// Clears the user's personal history, including scans still in the offline queue; their scans in
+// workspaces stay
+const removeAll = async (userId, onProgress) => {
+  await backfillScans(userId);
+  const userScans = query(collection(db, 'scans'), where('userId', '==', userId), where('workspaceId', '==', null));
+  const total = (await getCountFromServer(userScans)).data().count;
+  const deleted = (await clearQueuedScans(userId)).map(item => ({ id: item.id, queueItem: item }));
+  const queuedCount = deleted.length;
+
+  onProgress?.(queuedCount, total + queuedCount);
+
+  try {
+    // Deleted documents drop out of the query, so the first chunk is always the next one
+    while (true) {
+      const chunk = await getDocs(query(userScans, limit(BATCH_LIMIT)));
+      if (chunk.empty) break;
+
+      const batch = writeBatch(db);
+      chunk.docs.forEach((scanDoc) => {
+        batch.delete(scanDoc.ref);
+      });
+      await batch.commit();
+
+      chunk.docs.forEach((scanDoc) => {
+        deleted.push({ id: scanDoc.id, data: scanDoc.data() });
+      });
+      onProgress?.(deleted.length, Math.max(total + queuedCount, deleted.length));
+    }
+  } catch (error) {
+    // Lets the caller still offer to restore the chunks that were already committed
+    error.deletedScans = deleted;
+    throw error;
+  }
+
+  return deleted;
+};
+
+const restore = async (records, onProgress) => {
+  const queueItems = records.filter(record => record.queueItem).map(record => record.queueItem);
+  const deletedScans = records.filter(record => !record.queueItem);
+  let restored = 0;
+  onProgress?.(0, records.length);
+
+  if (queueItems.length > 0) {
+    await restoreQueuedScans(queueItems);
+    restored += queueItems.length;
+    onProgress?.(restored, records.length);
+  }
+
+  for (let start = 0; start < deletedScans.length; start += BATCH_LIMIT) {
+    const chunk = deletedScans.slice(start, start + BATCH_LIMIT);
+    const batch = writeBatch(db);
+    chunk.forEach(({ id, data }) => {
+      batch.set(doc(db, 'scans', id), toStoredScan(data));
+    });
+    await batch.commit();
+
+    restored += chunk.length;
+    onProgress?.(restored, records.length);
+  }
+
+  return restored;
+};
+
+// `creates` are { scanData, timestamp }, `updates` are { id, updates }
+const writeMany = async ({ creates = [], updates = [] }, onProgress) => {
+  const writes = [
+    ...creates.map(({ scanData, timestamp }) => (batch) =>
+      batch.set(doc(collection(db, 'scans')), { ...toStoredScan(scanData), timestamp: Timestamp.fromDate(timestamp) })
+    ),
+    ...updates.map(item => (batch) => batch.update(doc(db, 'scans', item.id), item.updates)),
+  ];
+
+  onProgress?.(0, writes.length);
+  for (let start = 0; start < writes.length; start += BATCH_LIMIT) {
+    const batch = writeBatch(db);
+    writes.slice(start, start + BATCH_LIMIT).forEach(write => write(batch));
+    await batch.commit();
+    onProgress?.(Math.min(start + BATCH_LIMIT, writes.length), writes.length);
+  }
+};
+
+// Listens to the scans between two page cursors. The range is bounded by documents rather than by
+// a limit, so a scan added at the top never pushes another one out and every removal is a real delete.
+// Leave `after` empty to include the newest scans and `until` empty to include the oldest.
+const subscribe = ({ after = null, until = null, ...filters }, onScans, onError) => {
+  const constraints = buildConstraints(filters);
+  if (after) {
+    constraints.push(startAfter(after));
+  }
+  if (until) {
+    constraints.push(endAt(until));
+  }
+
+  return onSnapshot(
+    query(collection(db, 'scans'), ...constraints),
+    (querySnapshot) => onScans(querySnapshot.docs.map(toScan)),
+    onError
+  );
+};
+
+export const firestoreScanStore = {
+  createId,
+  create,
+  listPage,
+  listAll,
+  subscribePending,
+  findByPayload,
+  update,
+  remove,
+  removeAll,
+  restore,
+  writeMany,
+  subscribe,
+};
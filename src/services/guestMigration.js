@@ -0,0 +1,16 @@
+import { localScanStore } from './localScanStore';
+import { importScans } from './importScans';
+import { GUEST_UID } from '../utils/constants';
+
+export const getGuestScanCount = async () => (await localScanStore.listAll({ userId: GUEST_UID })).length;
+
+export const discardGuestScans = () => localScanStore.removeAll(GUEST_UID);
+
+// Copies the scans taken in guest mode into `repository` for `user`, then removes them from the device.
+// Goes through the importer, so running it again after an interruption does not duplicate scans.
+export const migrateGuestScans = async (repository, user, onProgress) => {
+  const scans = await localScanStore.listAll({ userId: GUEST_UID });
+  const report = await importScans({ repository, user, scans, mode: 'merge', onProgress });
+  await discardGuestScans();
+  return report;
+};
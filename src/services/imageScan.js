@@ -0,0 +1,28 @@
+import * as ImagePicker from 'expo-image-picker';
+import { scanFromURLAsync } from 'expo-camera';
+import { getBarcodeTypes, normalizeSymbology } from '../utils/symbology';
+
+// Returns the uri of the picked image, or null when the user cancels
+export const pickScanImage = async () => {
+  const result = await ImagePicker.launchImageLibraryAsync({
+    mediaTypes: ['images'],
+    quality: 1,
+  });
+  if (result.canceled) return null;
+  return result.assets[0].uri;
+};
+
+// Every distinct code in the image as { type, data }, limited to the enabled formats
+export const decodeImageCodes = async (uri, enabledSymbologies) => {
+  const results = await scanFromURLAsync(uri, getBarcodeTypes(enabledSymbologies));
+
+  const seen = new Set();
+  return results.filter(({ type, data }) => {
+    const symbology = normalizeSymbology(type);
+    const key = `${symbology}:${data}`;
+    // Some platforms ignore the requested types, so filter again here
+    if (!data || seen.has(key) || !enabledSymbologies.includes(symbology)) return false;
+    seen.add(key);
+    return true;
+  }).map(({ type, data }) => ({ type, data }));
+};
@@ -0,0 +1,80 @@
+import * as DocumentPicker from 'expo-document-picker';
+import * as FileSystem from 'expo-file-system';
+import { parseQRData } from '../utils/qrParser';
+import { buildSearchTokens } from '../utils/searchTokens';
+import { summarizeUrlRisk } from '../utils/urlRisk';
+import { parseTags, getScanNote, getScanSearchText } from '../utils/scanTags';
+import { getDuplicateKey, getMergeUpdates } from '../utils/scanImport';
+
+// Returns { name, text } for the picked file, or null when the user cancels
+export const pickImportFile = async () => {
+  const result = await DocumentPicker.getDocumentAsync({
+    type: ['application/json', 'text/csv', 'text/comma-separated-values', 'text/plain'],
+    copyToCacheDirectory: true,
+  });
+  if (result.canceled) return null;
+
+  const [file] = result.assets;
+  const text = await FileSystem.readAsStringAsync(file.uri, {
+    encoding: FileSystem.EncodingType.UTF8,
+  });
+  return { name: file.name, text };
+};
+
+const buildScanFields = (user, scan) => ({
+  userId: user.uid,
+  userEmail: user.email,
+  qrData: scan.qrData,
+  searchTokens: buildSearchTokens(getScanSearchText(scan)),
+  parsed: parseQRData(scan.qrData),
+  symbology: scan.symbology || 'qr',
+  location: scan.location || null,
+  // Guest scans saved by the scanner have no tags or note; Firestore rejects undefined fields
+  tags: parseTags(scan.tags),
+  note: getScanNote(scan),
+  urlRisk: summarizeUrlRisk(scan.qrData),
+});
+
+const getTimeSpan = (scans) => {
+  const times = scans.map(scan => scan.timestamp.getTime());
+  return {
+    start: new Date(times.reduce((min, time) => Math.min(min, time))),
+    // dateRange ends are exclusive
+    end: new Date(times.reduce((max, time) => Math.max(max, time)) + 1),
+  };
+};
+
+// mode is 'skip' (leave existing copies alone) or 'merge' (fill in fields the existing copy lacks)
+export const importScans = async ({ repository, user, scans, mode, onProgress }) => {
+  const report = { imported: 0, merged: 0, skipped: 0 };
+  if (scans.length === 0) {
+    return report;
+  }
+
+  // Only scans inside the imported time span can be duplicates, so there is no need to load the rest
+  const existingScans = await repository.listAll({ userId: user.uid, dateRange: getTimeSpan(scans) });
+  const existing = new Map(existingScans.map(scan => [getDuplicateKey(scan.qrData, scan.timestamp), scan]));
+  const creates = [];
+  const updates = [];
+
+  scans.forEach((scan) => {
+    const duplicate = existing.get(getDuplicateKey(scan.qrData, scan.timestamp));
+    if (!duplicate) {
+      creates.push({ scanData: buildScanFields(user, scan), timestamp: scan.timestamp });
+      report.imported++;
+      return;
+    }
+
+    // A scan still in the offline queue has no stored copy to update yet
+    const mergeUpdates = mode === 'merge' && !duplicate.pending ? getMergeUpdates(duplicate, scan) : {};
+    if (Object.keys(mergeUpdates).length > 0) {
+      updates.push({ id: duplicate.id, updates: mergeUpdates });
+      report.merged++;
+    } else {
+      report.skipped++;
+    }
+  });
+
+  await repository.writeMany({ creates, updates }, onProgress);
+  return report;
+};
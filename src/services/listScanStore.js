@@ -0,0 +1,151 @@
+import { getSearchToken } from '../utils/searchTokens';
+import { isInDateRange } from '../utils/dateFilters';
+import { SCAN_PAGE_SIZE } from '../utils/constants';
+
+// Newest first; ties are broken by id, descending, which is also how Firestore orders them
+const compareScans = (a, b) =>
+  b.timestamp - a.timestamp || (a.id < b.id ? 1 : a.id > b.id ? -1 : 0);
+
+// Cursors are scans, the way Firestore cursors are document snapshots, so a deleted cursor still works
+const isAfter = (scan, cursor) => !cursor || compareScans(cursor, scan) < 0;
+
+const notFound = (scanId) => {
+  const error = new Error(`No scan with id ${scanId}`);
+  error.code = 'not-found';
+  return error;
+};
+
+// A scan store on top of a plain list that `read`/`write` load and save. It mirrors the Firestore
+// store (same filters, order, page size and cursor rules), so the UI behaves the same on either.
+export const createListScanStore = ({ read, write, createId }) => {
+  const listeners = new Set();
+
+  const save = async (scans) => {
+    await write(scans);
+    listeners.forEach(listener => listener());
+  };
+
+  const find = async ({ userId, workspaceId = null, dateRange = null, searchText = '' }) => {
+    const searchToken = getSearchToken(searchText);
+    return (await read())
+      .filter(scan =>
+        (workspaceId ? scan.workspaceId === workspaceId : scan.userId === userId && !scan.workspaceId) &&
+        isInDateRange(scan.timestamp, dateRange) &&
+        (!searchToken || (scan.searchTokens || []).includes(searchToken))
+      )
+      .sort(compareScans);
+  };
+
+  return {
+    createId,
+
+    create: async (scanId, scanData) => {
+      await save([{ id: scanId, ...scanData, timestamp: new Date() }, ...(await read())]);
+      return { pending: false };
+    },
+
+    listPage: async ({ cursor = null, ...filters }) => {
+      const scans = (await find(filters)).filter(scan => isAfter(scan, cursor)).slice(0, SCAN_PAGE_SIZE);
+      return {
+        scans,
+        cursor: scans.length > 0 ? scans[scans.length - 1] : cursor,
+        hasMore: scans.length === SCAN_PAGE_SIZE,
+      };
+    },
+
+    listAll: find,
+
+    // Every write lands right away, so nothing is ever pending
+    subscribePending: (filters, onScans) => {
+      onScans([]);
+      return () => {};
+    },
+
+    // Personal and workspace scans alike, as in the Firestore store
+    findByPayload: async (userId, qrData) =>
+      (await read())
+        .filter(scan => scan.userId === userId && scan.qrData === qrData)
+        .sort(compareScans),
+
+    update: async (scanId, updates) => {
+      const scans = await read();
+      if (!scans.some(scan => scan.id === scanId)) throw notFound(scanId);
+      await save(scans.map(scan => (scan.id === scanId ? { ...scan, ...updates } : scan)));
+    },
+
+    remove: async (scanId) => {
+      const scans = await read();
+      await save(scans.filter(scan => scan.id !== scanId));
+      return scans.filter(scan => scan.id === scanId);
+    },
+
+    removeAll: async (userId, onProgress) => {
+      const scans = await read();
+      const isPersonal = scan => scan.userId === userId && !scan.workspaceId;
+      const removed = scans.filter(isPersonal);
+      onProgress?.(0, removed.length);
+      await save(scans.filter(scan => !isPersonal(scan)));
+      onProgress?.(removed.length, removed.length);
+      return removed;
+    },
+
+    restore: async (removed, onProgress) => {
+      const scans = await read();
+      const removedIds = new Set(removed.map(scan => scan.id));
+      onProgress?.(0, removed.length);
+      await save([...scans.filter(scan => !removedIds.has(scan.id)), ...removed]);
+      onProgress?.(removed.length, removed.length);
+      return removed.length;
+    },
+
+    // `creates` are { scanData, timestamp }, `updates` are { id, updates }
+    writeMany: async ({ creates = [], updates = [] }, onProgress) => {
+      const total = creates.length + updates.length;
+      onProgress?.(0, total);
+
+      const updatesById = new Map(updates.map(item => [item.id, item.updates]));
+      const scans = (await read()).map(scan =>
+        updatesById.has(scan.id) ? { ...scan, ...updatesById.get(scan.id) } : scan
+      );
+      creates.forEach(({ scanData, timestamp }) => {
+        scans.push({ id: createId(), ...scanData, timestamp });
+      });
+
+      await save(scans);
+      onProgress?.(total, total);
+    },
+
+    // Same contract as the Firestore listener: called right away and after every change
+    subscribe: ({ after = null, until = null, ...filters }, onScans, onError) => {
+      let active = true;
+      const publish = () => {
+        find(filters)
+          .then((scans) => {
+            if (active) onScans(scans.filter(scan => isAfter(scan, after) && !(until && isAfter(scan, until))));
+          })
+          .catch(error => active && onError?.(error));
+      };
+
+      listeners.add(publish);
+      publish();
+      return () => {
+        active = false;
+        listeners.delete(publish);
+      };
+    },
+  };
+};
+
+// Keeps scans in memory only; for tests and for running screens without Firebase or storage
+export const createMemoryScanStore = (initialScans = []) => {
+  let scans = initialScans.map(scan => ({ ...scan }));
+  let nextId = 0;
+
+  return createListScanStore({
+    read: async () => scans.map(scan => ({ ...scan })),
+    write: async (updated) => {
+      scans = updated.map(scan => ({ ...scan }));
+    },
+    createId: () => `memory-${++nextId}`,
+  });
+};
@@ -0,0 +1,16 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { createListScanStore } from './listScanStore';
+
+// Scans taken in guest mode; they never leave the device unless migrated to an account
+const LOCAL_SCANS_KEY = 'guestScans';
+
+export const localScanStore = createListScanStore({
+  read: async () => {
+    const stored = await AsyncStorage.getItem(LOCAL_SCANS_KEY);
+    return stored
+      ? JSON.parse(stored).map(scan => ({ ...scan, timestamp: new Date(scan.timestamp) }))
+      : [];
+  },
+  write: scans => AsyncStorage.setItem(LOCAL_SCANS_KEY, JSON.stringify(scans)),
+  createId: () => `local-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`,
+});
@@ -0,0 +1,19 @@
+import * as Location from 'expo-location';
+
+// Returns { latitude, longitude } or null when permission is denied or no fix is available
+export const getCurrentLocation = async () => {
+  try {
+    const { status } = await Location.requestForegroundPermissionsAsync();
+    if (status !== 'granted') {
+      return null;
+    }
+    const location = await Location.getCurrentPositionAsync({});
+    return {
+      latitude: location.coords.latitude,
+      longitude: location.coords.longitude,
+    };
+  } catch (error) {
+    console.error('Error getting location:', error);
+    return null;
+  }
+};
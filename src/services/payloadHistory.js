@@ -0,0 +1,17 @@
+import { summarizeOccurrences } from '../utils/scanGroups';
+
+// Earlier scans of the same payload as { count, firstSeen, lastSeen }, or null for a first scan.
+// `excludeId` leaves out the scan that is being saved right now.
+export const getPayloadHistory = async (repository, userId, qrData, excludeId = null) => {
+  if (!qrData) return null;
+
+  let earlier;
+  try {
+    earlier = await repository.findByPayload(userId, qrData);
+  } catch (error) {
+    console.error('Earlier scans unavailable:', error.message);
+    return null;
+  }
+
+  return summarizeOccurrences(earlier.filter(scan => scan.id !== excludeId));
+};
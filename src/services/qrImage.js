@@ -0,0 +1,35 @@
+import * as FileSystem from 'expo-file-system';
+import * as MediaLibrary from 'expo-media-library';
+import * as Sharing from 'expo-sharing';
+
+// `base64` is the PNG data produced by react-native-qrcode-svg's toDataURL
+const writeQRImage = async (base64) => {
+  const fileUri = `${FileSystem.cacheDirectory}qr-code-${Date.now()}.png`;
+  await FileSystem.writeAsStringAsync(fileUri, base64, {
+    encoding: FileSystem.EncodingType.Base64,
+  });
+  return fileUri;
+};
+
+export const saveQRImage = async (base64) => {
+  const { status } = await MediaLibrary.requestPermissionsAsync(true);
+  if (status !== 'granted') {
+    throw new Error('Permission to save to your photo library was denied');
+  }
+
+  const fileUri = await writeQRImage(base64);
+  await MediaLibrary.saveToLibraryAsync(fileUri);
+};
+
+export const shareQRImage = async (base64) => {
+  if (!(await Sharing.isAvailableAsync())) {
+    throw new Error('Sharing is not available on this device');
+  }
+
+  const fileUri = await writeQRImage(base64);
+  await Sharing.shareAsync(fileUri, {
+    mimeType: 'image/png',
+    UTI: 'public.png',
+    dialogTitle: 'Share QR code',
+  });
+};
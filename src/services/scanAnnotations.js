@@ -0,0 +1,17 @@
+import { addRecentTags } from './settings';
+import { getAnnotationUpdates } from '../utils/scanTags';
+
+// Saves tags and note through the repository, which also covers scans that have not synced yet.
+// Returns the written fields so callers can update their copy right away.
+export const saveScanAnnotations = async (repository, scan, annotations) => {
+  const updates = getAnnotationUpdates(scan, annotations);
+  await repository.update(scan.id, updates);
+
+  try {
+    await addRecentTags(updates.tags);
+  } catch (error) {
+    console.error('Error saving recent tags:', error);
+  }
+
+  return updates;
+};
@@ -0,0 +1,203 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import NetInfo from '@react-native-community/netinfo';
+import { AppState } from 'react-native';
+import { doc, setDoc, serverTimestamp, Timestamp } from 'firebase/firestore';
+import { db } from './firebase';
+
+const QUEUE_KEY = 'pendingScans';
+const SAVE_TIMEOUT_MS = 10000;
+
+// Errors that will not go away by retrying; such scans are dropped from the queue
+const PERMANENT_ERROR_CODES = ['permission-denied', 'invalid-argument'];
+// Errors a later retry can get past; only these send a new scan to the queue
+const TRANSIENT_ERROR_CODES = ['unavailable', 'deadline-exceeded'];
+
+const listeners = new Set();
+let flushInProgress = null;
+
+const notifyListeners = (queue) => {
+  listeners.forEach(listener => listener(queue));
+};
+
+const readQueue = async () => {
+  const storedQueue = await AsyncStorage.getItem(QUEUE_KEY);
+  return storedQueue ? JSON.parse(storedQueue) : [];
+};
+
+const writeQueue = async (queue) => {
+  await AsyncStorage.setItem(QUEUE_KEY, JSON.stringify(queue));
+  notifyListeners(queue);
+};
+
+// isInternetReachable is null until NetInfo has checked, which counts as reachable
+const isReachable = (state) => state.isConnected && state.isInternetReachable !== false;
+
+export const isOnline = async () => isReachable(await NetInfo.fetch());
+
+export const isTransientError = (error) => TRANSIENT_ERROR_CODES.includes(error.code);
+
+const timeoutError = (message) => {
+  const error = new Error(message);
+  error.code = 'deadline-exceeded';
+  return error;
+};
+
+// Firestore keeps retrying writes while offline instead of rejecting, so give up after a while
+export const withTimeout = (promise, ms, message = 'Timed out saving scan') =>
+  new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(timeoutError(message)), ms);
+    promise.then(
+      (value) => {
+        clearTimeout(timer);
+        resolve(value);
+      },
+      (error) => {
+        clearTimeout(timer);
+        reject(error);
+      }
+    );
+  });
+
+// Personal scans are stored with a null workspaceId, which is what personal history queries on
+export const writeScan = (scanId, scanData, timestamp = serverTimestamp()) =>
+  withTimeout(
+    setDoc(doc(db, 'scans', scanId), { ...scanData, workspaceId: scanData.workspaceId || null, timestamp }),
+    SAVE_TIMEOUT_MS
+  );
+
+export const enqueueScan = async (scanId, scanData, scannedAt = new Date()) => {
+  const queue = await readQueue();
+  if (queue.some(item => item.id === scanId)) {
+    return;
+  }
+
+  queue.push({
+    id: scanId,
+    scanData,
+    scannedAt: scannedAt.toISOString(),
+  });
+  await writeQueue(queue);
+};
+
+export const removeQueuedScan = async (scanId) => {
+  const queue = await readQueue();
+  await writeQueue(queue.filter(item => item.id !== scanId));
+  return queue.filter(item => item.id === scanId);
+};
+
+// Applies edits made while a scan is still waiting to sync, so they are part of the replayed write.
+// Returns false when the scan has already left the queue.
+export const updateQueuedScan = async (scanId, updates) => {
+  const queue = await readQueue();
+  if (!queue.some(item => item.id === scanId)) return false;
+
+  await writeQueue(queue.map(item =>
+    item.id === scanId ? { ...item, scanData: { ...item.scanData, ...updates } } : item
+  ));
+  return true;
+};
+
+// Leave out the userId to get everyone's queued scans
+export const getPendingScans = async (userId = null) => {
+  try {
+    const queue = await readQueue();
+    return queue
+      .filter(item => !userId || item.scanData.userId === userId)
+      .map(item => ({
+        id: item.id,
+        ...item.scanData,
+        timestamp: new Date(item.scannedAt),
+        pending: true,
+      }));
+  } catch (error) {
+    console.error('Error loading pending scans:', error);
+    return [];
+  }
+};
+
+export const subscribeToScanQueue = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+// onDropped is called with the scans that had to be removed from the queue because they cannot be saved
+const replayQueue = async (userId, onDropped) => {
+  let synced = 0;
+  const dropped = [];
+
+  // Items are replayed oldest first and the run stops at the first transient failure,
+  // so scans always reach Firestore in the order they were taken
+  for (const item of await readQueue()) {
+    if (item.scanData.userId !== userId) continue;
+
+    try {
+      await writeScan(item.id, item.scanData, Timestamp.fromDate(new Date(item.scannedAt)));
+      synced++;
+    } catch (error) {
+      if (!PERMANENT_ERROR_CODES.includes(error.code)) {
+        console.error('Scan queue replay paused:', error.message);
+        break;
+      }
+      console.error('Dropping queued scan that cannot be saved:', error);
+      dropped.push({ id: item.id, ...item.scanData, timestamp: new Date(item.scannedAt), error });
+    }
+
+    await removeQueuedScan(item.id);
+  }
+
+  if (dropped.length > 0) onDropped?.(dropped);
+  return synced;
+};
+
+export const flushScanQueue = (userId, onDropped) => {
+  if (!flushInProgress) {
+    flushInProgress = replayQueue(userId, onDropped)
+      .catch((error) => {
+        console.error('Error replaying scan queue:', error);
+        return 0;
+      })
+      .finally(() => {
+        flushInProgress = null;
+      });
+  }
+  return flushInProgress;
+};
+
+// Replays the queue now, whenever connectivity comes back and whenever the app returns to the foreground
+export const startScanQueueSync = (userId, onDropped) => {
+  flushScanQueue(userId, onDropped);
+
+  const unsubscribeNetInfo = NetInfo.addEventListener((state) => {
+    if (isReachable(state)) {
+      flushScanQueue(userId, onDropped);
+    }
+  });
+
+  const appStateSubscription = AppState.addEventListener('change', (nextState) => {
+    if (nextState === 'active') {
+      flushScanQueue(userId, onDropped);
+    }
+  });
+
+  return () => {
+    unsubscribeNetInfo();
+    appStateSubscription.remove();
+  };
+};
+
+// Clears the user's personal scans; scans queued for a workspace still sync
+export const clearQueuedScans = async (userId) => {
+  const queue = await readQueue();
+  const isPersonal = item => item.scanData.userId === userId && !item.scanData.workspaceId;
+  await writeQueue(queue.filter(item => !isPersonal(item)));
+  return queue.filter(isPersonal);
+};
+
+// Puts back items previously returned by clearQueuedScans, keeping the queue in scan order
+export const restoreQueuedScans = async (items) => {
+  const queue = await readQueue();
+  const queuedIds = new Set(queue.map(item => item.id));
+  const restored = [...queue, ...items.filter(item => !queuedIds.has(item.id))];
+  restored.sort((a, b) => a.scannedAt.localeCompare(b.scannedAt));
+  await writeQueue(restored);
+};
@@ -0,0 +1,24 @@
+import { firestoreScanStore } from './firestoreScanStore';
+import { localScanStore } from './localScanStore';
+
+export { createMemoryScanStore } from './listScanStore';
+
+// Every scan store offers the same operations:
+//   createId()                              id for a new scan
+//   create(scanId, scanData)                -> { pending } (pending: queued until back online)
+//     (throws when the scan cannot be saved, rather than queueing a write that would fail again)
+//   listPage({ userId, dateRange, searchText, cursor }) -> { scans, cursor, hasMore, fromBackup }, newest first
+//     (fromBackup: Firestore was unreachable and these are the last scans seen; they are not kept live)
+//   listAll({ userId, dateRange, searchText }) -> scans, including pending ones
+//     (a userId lists the user's personal scans; a workspaceId instead lists a shared workspace's scans)
+//   subscribePending(filters, onScans)      -> unsubscribe; scans saved offline that have not synced yet
+//   findByPayload(userId, qrData)           -> scans the user took with exactly this payload, in any
+//     workspace, including pending ones
+//   update(scanId, updates)                 (a pending scan is updated before it syncs)
+//   remove(scanId) / removeAll(userId, onProgress) -> records that restore() puts back
+//     (removeAll clears personal scans only)
+//   restore(records, onProgress)
+//   writeMany({ creates, updates }, onProgress)
+//   subscribe({ after, until, ...filters }, onScans, onError) -> unsubscribe
+// Guests keep their scans on the device; everyone else uses Firestore.
+export const getScanRepository = (user) => (user?.isGuest ? localScanStore : firestoreScanStore);
@@ -0,0 +1,119 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { DEFAULT_SYMBOLOGIES, SYMBOLOGIES, DEFAULT_DUPLICATE_WINDOW } from '../utils/constants';
+import { DEFAULT_WEBHOOK_TEMPLATE } from '../utils/webhookTemplate';
+
+const ENABLED_SYMBOLOGIES_KEY = 'enabledSymbologies';
+const DUPLICATE_WINDOW_KEY = 'duplicateWindowSeconds';
+const RECENT_TAGS_KEY = 'recentTags';
+const HISTORY_FILTER_KEY = 'historyFilter';
+const SCAN_WORKSPACE_KEY = 'scanWorkspace';
+const WEBHOOK_CONFIG_KEY = 'webhookConfig';
+const MAX_RECENT_TAGS = 20;
+
+export const getEnabledSymbologies = async () => {
+  try {
+    const stored = await AsyncStorage.getItem(ENABLED_SYMBOLOGIES_KEY);
+    if (stored) {
+      const enabled = JSON.parse(stored).filter(symbology => SYMBOLOGIES[symbology]);
+      if (enabled.length > 0) return enabled;
+    }
+  } catch (error) {
+    console.error('Error loading enabled symbologies:', error);
+  }
+  return DEFAULT_SYMBOLOGIES;
+};
+
+export const setEnabledSymbologies = async (symbologies) => {
+  await AsyncStorage.setItem(ENABLED_SYMBOLOGIES_KEY, JSON.stringify(symbologies));
+};
+
+export const getDuplicateWindow = async () => {
+  try {
+    const stored = await AsyncStorage.getItem(DUPLICATE_WINDOW_KEY);
+    const seconds = Number(stored);
+    if (stored && Number.isFinite(seconds) && seconds > 0) return seconds;
+  } catch (error) {
+    console.error('Error loading duplicate window:', error);
+  }
+  return DEFAULT_DUPLICATE_WINDOW;
+};
+
+export const setDuplicateWindow = async (seconds) => {
+  await AsyncStorage.setItem(DUPLICATE_WINDOW_KEY, String(seconds));
+};
+
+// Offered as suggestions in the tag editor, most recently used first
+export const getRecentTags = async () => {
+  try {
+    const stored = await AsyncStorage.getItem(RECENT_TAGS_KEY);
+    if (stored) return JSON.parse(stored);
+  } catch (error) {
+    console.error('Error loading recent tags:', error);
+  }
+  return [];
+};
+
+export const addRecentTags = async (tags) => {
+  if (tags.length === 0) return;
+  const recent = await getRecentTags();
+  const updated = [...tags, ...recent.filter(tag => !tags.includes(tag))].slice(0, MAX_RECENT_TAGS);
+  await AsyncStorage.setItem(RECENT_TAGS_KEY, JSON.stringify(updated));
+};
+
+// Last history filter bar state; custom range days are stored as ISO strings
+export const getHistoryFilter = async () => {
+  try {
+    const stored = await AsyncStorage.getItem(HISTORY_FILTER_KEY);
+    if (stored) {
+      const filter = JSON.parse(stored);
+      return {
+        ...filter,
+        customRange: filter.customRange && {
+          from: filter.customRange.from ? new Date(filter.customRange.from) : null,
+          to: filter.customRange.to ? new Date(filter.customRange.to) : null,
+        },
+      };
+    }
+  } catch (error) {
+    console.error('Error loading history filter:', error);
+  }
+  return null;
+};
+
+export const setHistoryFilter = async (filter) => {
+  await AsyncStorage.setItem(HISTORY_FILTER_KEY, JSON.stringify(filter));
+};
+
+// Workspace new scans are saved to, per account on the device; null means the user's personal history
+export const getScanWorkspace = async (userId) => {
+  try {
+    return await AsyncStorage.getItem(`${SCAN_WORKSPACE_KEY}:${userId}`);
+  } catch (error) {
+    console.error('Error loading scan workspace:', error);
+  }
+  return null;
+};
+
+export const setScanWorkspace = async (userId, workspaceId) => {
+  if (workspaceId) {
+    await AsyncStorage.setItem(`${SCAN_WORKSPACE_KEY}:${userId}`, workspaceId);
+  } else {
+    await AsyncStorage.removeItem(`${SCAN_WORKSPACE_KEY}:${userId}`);
+  }
+};
+
+// Each account on the device has its own webhook target; headers are kept as the "Name: value" text
+export const getWebhookConfig = async (userId) => {
+  const defaults = { enabled: false, url: '', headers: '', template: DEFAULT_WEBHOOK_TEMPLATE };
+  try {
+    const stored = await AsyncStorage.getItem(`${WEBHOOK_CONFIG_KEY}:${userId}`);
+    if (stored) return { ...defaults, ...JSON.parse(stored) };
+  } catch (error) {
+    console.error('Error loading webhook config:', error);
+  }
+  return defaults;
+};
+
+export const setWebhookConfig = async (userId, config) => {
+  await AsyncStorage.setItem(`${WEBHOOK_CONFIG_KEY}:${userId}`, JSON.stringify(config));
+};
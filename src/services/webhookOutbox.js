@@ -0,0 +1,268 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import NetInfo from '@react-native-community/netinfo';
+import { AppState } from 'react-native';
+import { getWebhookConfig } from './settings';
+import { renderWebhookBody, parseWebhookHeaders, getSampleScan } from '../utils/webhookTemplate';
+
+const OUTBOX_KEY = 'webhookOutbox';
+const LOG_KEY = 'webhookLog';
+const MAX_LOG_ENTRIES = 50;
+const REQUEST_TIMEOUT_MS = 10000;
+const MAX_ATTEMPTS = 8;
+const BASE_RETRY_DELAY_MS = 5000;
+const MAX_RETRY_DELAY_MS = 60 * 60 * 1000;
+
+const listeners = new Set();
+let flushInProgress = null;
+let flushRequested = false;
+let retryTimer = null;
+let syncingUserId = null;
+// Every read-modify-write of a stored list runs after the previous one, so a scan enqueued
+// while a delivery is in flight is not overwritten when that delivery is recorded
+let storageLock = Promise.resolve();
+
+const notifyListeners = () => {
+  listeners.forEach(listener => listener());
+};
+
+const readList = async (key) => {
+  const stored = await AsyncStorage.getItem(key);
+  return stored ? JSON.parse(stored) : [];
+};
+
+const updateList = (key, change) => {
+  const update = storageLock.then(async () => {
+    const updated = change(await readList(key));
+    await AsyncStorage.setItem(key, JSON.stringify(updated));
+    notifyListeners();
+  });
+  storageLock = update.catch(() => {});
+  return update;
+};
+
+// 5s, 10s, 20s, ... up to an hour
+export const getRetryDelay = (attempts) =>
+  Math.min(BASE_RETRY_DELAY_MS * 2 ** (attempts - 1), MAX_RETRY_DELAY_MS);
+
+// A 4xx means the target rejected the request itself, so sending the same body again will not help
+const isRetryableStatus = (status) => status >= 500 || status === 408 || status === 429;
+
+// Resolves with the HTTP status; rejects when the target could not be reached at all
+const postWebhook = async ({ url, headers, body }) => {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), REQUEST_TIMEOUT_MS);
+  try {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body,
+      signal: controller.signal,
+    });
+    return response.status;
+  } finally {
+    clearTimeout(timer);
+  }
+};
+
+const addLogEntry = (entry) =>
+  updateList(LOG_KEY, log => [
+    { id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`, at: new Date().toISOString(), ...entry },
+    ...log,
+  ].slice(0, MAX_LOG_ENTRIES));
+
+const getRequestError = (error) => (error.name === 'AbortError' ? 'Timed out' : error.message || 'Network error');
+
+// Sends one outbox item and records the outcome; returns false when the target was unreachable
+const deliver = async (item) => {
+  const attempts = item.attempts + 1;
+  let httpStatus = null;
+  let error = null;
+
+  try {
+    httpStatus = await postWebhook(item);
+  } catch (requestError) {
+    error = getRequestError(requestError);
+  }
+
+  const delivered = httpStatus !== null && httpStatus >= 200 && httpStatus < 300;
+  const retry = !delivered && attempts < MAX_ATTEMPTS && (httpStatus === null || isRetryableStatus(httpStatus));
+
+  await updateList(OUTBOX_KEY, outbox => (retry
+    ? outbox.map(entry => (entry.id === item.id
+      ? { ...entry, attempts, nextAttemptAt: Date.now() + getRetryDelay(attempts), lastError: error || `HTTP ${httpStatus}` }
+      : entry))
+    : outbox.filter(entry => entry.id !== item.id)));
+
+  await addLogEntry({
+    userId: item.userId,
+    scanId: item.scanId,
+    url: item.url,
+    status: delivered ? 'delivered' : retry ? 'retrying' : 'failed',
+    httpStatus,
+    error,
+    attempts,
+  });
+
+  return httpStatus !== null;
+};
+
+// Retries only run while startWebhookSync is active for this user, i.e. while they are signed in
+const scheduleRetry = async (userId) => {
+  clearTimeout(retryTimer);
+  if (userId !== syncingUserId) return;
+  const due = (await readList(OUTBOX_KEY))
+    .filter(item => item.userId === userId)
+    .map(item => item.nextAttemptAt);
+  if (due.length === 0) return;
+
+  retryTimer = setTimeout(() => flushWebhookOutbox(userId), Math.max(0, Math.min(...due) - Date.now()));
+};
+
+const deliverDueItems = async (userId) => {
+  const now = Date.now();
+  const dueItems = (await readList(OUTBOX_KEY))
+    .filter(item => item.userId === userId && item.nextAttemptAt <= now);
+
+  for (const [index, item] of dueItems.entries()) {
+    if (await deliver(item)) continue;
+
+    // Unreachable usually means offline. The rest wait along with this item instead of each
+    // using up an attempt now; reconnecting triggers a flush anyway.
+    const waitingIds = new Set(dueItems.slice(index + 1).map(entry => entry.id));
+    const retryAt = Date.now() + getRetryDelay(item.attempts + 1);
+    await updateList(OUTBOX_KEY, outbox => outbox.map(entry =>
+      (waitingIds.has(entry.id) ? { ...entry, nextAttemptAt: Math.max(entry.nextAttemptAt, retryAt) } : entry)
+    ));
+    break;
+  }
+};
+
+// A flush requested while one is running runs again afterwards, so a scan queued meanwhile is not missed
+export const flushWebhookOutbox = (userId) => {
+  if (flushInProgress) {
+    flushRequested = true;
+    return flushInProgress;
+  }
+
+  flushInProgress = deliverDueItems(userId)
+    .catch(error => console.error('Error delivering webhooks:', error))
+    .then(() => scheduleRetry(userId))
+    .catch(error => console.error('Error scheduling webhook retry:', error))
+    .finally(() => {
+      flushInProgress = null;
+      if (flushRequested) {
+        flushRequested = false;
+        flushWebhookOutbox(userId);
+      }
+    });
+  return flushInProgress;
+};
+
+// Queues a saved scan for the user's webhook, if one is enabled. The body and headers are built now,
+// so later config changes do not alter what an already queued delivery sends.
+export const forwardScan = async (userId, scan) => {
+  const config = await getWebhookConfig(userId);
+  if (!config.enabled || !config.url) return;
+
+  let request;
+  try {
+    request = {
+      url: config.url.trim(),
+      headers: parseWebhookHeaders(config.headers),
+      body: renderWebhookBody(config.template, scan),
+    };
+  } catch (error) {
+    await addLogEntry({
+      userId,
+      scanId: scan.id,
+      url: config.url,
+      status: 'failed',
+      httpStatus: null,
+      error: error.message,
+      attempts: 0,
+    });
+    return;
+  }
+
+  await updateList(OUTBOX_KEY, outbox => [
+    ...outbox,
+    { id: `${scan.id}-${Date.now()}`, userId, scanId: scan.id, ...request, attempts: 0, nextAttemptAt: Date.now() },
+  ]);
+  flushWebhookOutbox(userId);
+};
+
+// Posts a sample scan right away, bypassing the outbox; the config does not need to be saved or enabled
+export const sendTestWebhook = async (user, config) => {
+  const request = {
+    url: config.url.trim(),
+    headers: parseWebhookHeaders(config.headers),
+    body: renderWebhookBody(config.template, getSampleScan(user)),
+  };
+
+  let httpStatus = null;
+  let error = null;
+  try {
+    httpStatus = await postWebhook(request);
+  } catch (requestError) {
+    error = getRequestError(requestError);
+  }
+
+  const delivered = httpStatus !== null && httpStatus >= 200 && httpStatus < 300;
+  await addLogEntry({
+    userId: user.uid,
+    scanId: null,
+    url: request.url,
+    status: delivered ? 'delivered' : 'failed',
+    httpStatus,
+    error,
+    attempts: 1,
+    test: true,
+  });
+
+  return { delivered, httpStatus, error };
+};
+
+export const getWebhookLog = async (userId) =>
+  (await readList(LOG_KEY)).filter(entry => entry.userId === userId);
+
+export const clearWebhookLog = (userId) =>
+  updateList(LOG_KEY, log => log.filter(entry => entry.userId !== userId));
+
+export const getWebhookOutbox = async (userId) =>
+  (await readList(OUTBOX_KEY)).filter(item => item.userId === userId);
+
+// Drops deliveries that are still waiting, e.g. after the target was changed
+export const clearWebhookOutbox = (userId) =>
+  updateList(OUTBOX_KEY, outbox => outbox.filter(item => item.userId !== userId));
+
+// Called after any change to the outbox or the delivery log
+export const subscribeToWebhooks = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+// Delivers what is due now, on every scheduled retry, when connectivity comes back and
+// whenever the app returns to the foreground
+export const startWebhookSync = (userId) => {
+  syncingUserId = userId;
+  flushWebhookOutbox(userId);
+
+  const unsubscribeNetInfo = NetInfo.addEventListener((state) => {
+    if (state.isConnected && state.isInternetReachable !== false) {
+      flushWebhookOutbox(userId);
+    }
+  });
+
+  const appStateSubscription = AppState.addEventListener('change', (nextState) => {
+    if (nextState === 'active') {
+      flushWebhookOutbox(userId);
+    }
+  });
+
+  return () => {
+    syncingUserId = null;
+    clearTimeout(retryTimer);
+    unsubscribeNetInfo();
+    appStateSubscription.remove();
+  };
+};
@@ -0,0 +1,123 @@
+import {
+  collection,
+  query,
+  where,
+  onSnapshot,
+  doc,
+  setDoc,
+  updateDoc,
+  deleteDoc,
+  deleteField,
+  arrayUnion,
+  arrayRemove,
+  writeBatch,
+  serverTimestamp,
+} from 'firebase/firestore';
+import { db } from './firebase';
+
+// Who can do what is enforced by firestore.rules; these only decide what the UI offers
+export const WORKSPACE_ROLES = {
+  owner: { label: 'Owner', canScan: true, canManage: true },
+  editor: { label: 'Editor', canScan: true, canManage: false },
+  viewer: { label: 'Viewer', canScan: false, canManage: false },
+};
+
+// Roles an owner can give to other members
+export const INVITE_ROLES = ['editor', 'viewer'];
+
+export const getRole = (workspace, uid) => workspace?.roles?.[uid] || null;
+
+export const canScanInto = (workspace, uid) => !!WORKSPACE_ROLES[getRole(workspace, uid)]?.canScan;
+
+export const canManage = (workspace, uid) => !!WORKSPACE_ROLES[getRole(workspace, uid)]?.canManage;
+
+const normalizeEmail = (email) => email.trim().toLowerCase();
+
+// The rules look invitations up by this id when someone joins
+const inviteId = (workspaceId, email) => `${workspaceId}_${normalizeEmail(email)}`;
+
+const withId = (snapshot) => ({ id: snapshot.id, ...snapshot.data() });
+
+export const createWorkspace = async (user, name) => {
+  const workspaceRef = doc(collection(db, 'workspaces'));
+  await setDoc(workspaceRef, {
+    name: name.trim(),
+    ownerId: user.uid,
+    roles: { [user.uid]: 'owner' },
+    memberIds: [user.uid],
+    memberEmails: { [user.uid]: user.email },
+    createdAt: serverTimestamp(),
+  });
+  return workspaceRef.id;
+};
+
+// Every workspace the user belongs to, sorted by name
+export const subscribeToWorkspaces = (uid, onWorkspaces, onError) =>
+  onSnapshot(
+    query(collection(db, 'workspaces'), where('memberIds', 'array-contains', uid)),
+    (querySnapshot) => {
+      const workspaces = querySnapshot.docs.map(withId);
+      onWorkspaces(workspaces.sort((a, b) => a.name.localeCompare(b.name)));
+    },
+    onError
+  );
+
+export const subscribeToWorkspace = (workspaceId, onWorkspace, onError) =>
+  onSnapshot(
+    doc(db, 'workspaces', workspaceId),
+    (snapshot) => onWorkspace(snapshot.exists() ? withId(snapshot) : null),
+    onError
+  );
+
+// Inviting an address again replaces the earlier invitation, e.g. to change the offered role
+export const inviteMember = (workspace, invitedBy, email, role) =>
+  setDoc(doc(db, 'workspaceInvites', inviteId(workspace.id, email)), {
+    workspaceId: workspace.id,
+    workspaceName: workspace.name,
+    email: normalizeEmail(email),
+    role,
+    invitedBy: invitedBy.email,
+    createdAt: serverTimestamp(),
+  });
+
+export const subscribeToInvites = (email, onInvites, onError) =>
+  onSnapshot(
+    query(collection(db, 'workspaceInvites'), where('email', '==', normalizeEmail(email))),
+    (querySnapshot) => onInvites(querySnapshot.docs.map(withId)),
+    onError
+  );
+
+// Invitations the owner has sent that are not answered yet
+export const subscribeToPendingInvites = (workspaceId, onInvites, onError) =>
+  onSnapshot(
+    query(collection(db, 'workspaceInvites'), where('workspaceId', '==', workspaceId)),
+    (querySnapshot) => onInvites(querySnapshot.docs.map(withId)),
+    onError
+  );
+
+// Joins with the invited role and uses up the invitation in the same write
+export const acceptInvite = async (user, invite) => {
+  const batch = writeBatch(db);
+  batch.update(doc(db, 'workspaces', invite.workspaceId), {
+    [`roles.${user.uid}`]: invite.role,
+    [`memberEmails.${user.uid}`]: user.email,
+    memberIds: arrayUnion(user.uid),
+  });
+  batch.delete(doc(db, 'workspaceInvites', invite.id));
+  await batch.commit();
+};
+
+export const declineInvite = (invite) => deleteDoc(doc(db, 'workspaceInvites', invite.id));
+
+export const changeRole = (workspaceId, uid, role) =>
+  updateDoc(doc(db, 'workspaces', workspaceId), { [`roles.${uid}`]: role });
+
+// Used by the owner to remove someone and by members to leave. Their scans stay in the workspace.
+export const removeMember = (workspaceId, uid) =>
+  updateDoc(doc(db, 'workspaces', workspaceId), {
+    [`roles.${uid}`]: deleteField(),
+    [`memberEmails.${uid}`]: deleteField(),
+    memberIds: arrayRemove(uid),
+  });
+
+export const deleteWorkspace = (workspaceId) => deleteDoc(doc(db, 'workspaces', workspaceId));
@@ -0,0 +1,130 @@
+import {
+  parseManifest,
+  getManifestKey,
+  createManifestSession,
+  recordManifestScan,
+  buildReconciliation,
+  summarizeManifest,
+} from '../manifest';
+import { reconciliationToCsv } from '../scanExport';
+
+const scanAll = (session, codes) =>
+  codes.reduce((current, code) => recordManifestScan(current, code).session, session);
+
+describe('parseManifest', () => {
+  test('reads codes, labels and quantities under any of their column names', () => {
+    const text = 'SKU,Description,Qty\r\n4006381333931,Pens,3\r\nBOX-7,"Tape, clear",\r\n';
+
+    expect(parseManifest(text)).toEqual({
+      items: [
+        { key: '4006381333931', code: '4006381333931', label: 'Pens', expected: 3 },
+        { key: 'BOX-7', code: 'BOX-7', label: 'Tape, clear', expected: 1 },
+      ],
+      rejected: [],
+    });
+  });
+
+  test('adds up a code listed on several rows, UPC-A and EAN-13 spellings included', () => {
+    const text = 'barcode,name,quantity\n036000291452,Tissues,2\n0036000291452,,3\n';
+
+    expect(parseManifest(text).items).toEqual([
+      { key: '0036000291452', code: '036000291452', label: 'Tissues', expected: 5 },
+    ]);
+  });
+
+  test.each([
+    [',2', 'Missing code'],
+    ['A1,0', 'Invalid quantity "0"'],
+    ['A1,1.5', 'Invalid quantity "1.5"'],
+    ['A1,lots', 'Invalid quantity "lots"'],
+    ['A1,100001', 'Invalid quantity "100001"'],
+  ])('rejects the row "%s"', (row, error) => {
+    expect(parseManifest(`code,qty\nOK,1\n${row}\n`)).toEqual({
+      items: [{ key: 'OK', code: 'OK', label: '', expected: 1 }],
+      rejected: [{ row: 3, error }],
+    });
+  });
+
+  test('needs a code column', () => {
+    expect(() => parseManifest('name,qty\nPens,1\n')).toThrow('The manifest needs a code (or barcode/sku) column');
+  });
+
+  test('strips the apostrophe the exporter puts in front of formula-like cells', () => {
+    const text = "code,label,expected\n'-42,'=Back room,'+2\n'@shelf,''quoted,1\n";
+
+    expect(parseManifest(text).items).toEqual([
+      { key: '-42', code: '-42', label: '=Back room', expected: 2 },
+      { key: '@shelf', code: '@shelf', label: "'quoted", expected: 1 },
+    ]);
+  });
+
+  test('reads back an exported stock count report as a manifest', () => {
+    const session = createManifestSession('Aisle 3', [
+      { key: '-42', code: '-42', label: '=SUM(A1)', expected: 2 },
+      { key: 'BOX-7', code: 'BOX-7', label: "'Tape", expected: 1 },
+    ]);
+    const report = buildReconciliation(scanAll(session, ['-42']));
+
+    expect(parseManifest(reconciliationToCsv(report))).toEqual({ items: session.items, rejected: [] });
+  });
+});
+
+describe('getManifestKey', () => {
+  test('treats a 12 digit UPC-A code as its EAN-13 form', () => {
+    expect(getManifestKey(' 036000291452 ')).toBe('0036000291452');
+    expect(getManifestKey('0036000291452')).toBe('0036000291452');
+    expect(getManifestKey('BOX-7')).toBe('BOX-7');
+  });
+});
+
+describe('stock count', () => {
+  const items = [
+    { key: 'A', code: 'A', label: 'Pens', expected: 2 },
+    { key: 'B', code: 'B', label: 'Tape', expected: 1 },
+    { key: '0036000291452', code: '036000291452', label: 'Tissues', expected: 3 },
+    { key: 'D', code: 'D', label: '', expected: 1 },
+  ];
+
+  test('reports what each scan meant', () => {
+    let session = createManifestSession('Aisle 3', items);
+    const record = (code) => {
+      const { session: updated, ...match } = recordManifestScan(session, code);
+      session = updated;
+      return { status: match.status, code: match.item?.code, count: match.count };
+    };
+
+    expect(record('A')).toEqual({ status: 'matched', code: 'A', count: 1 });
+    expect(record('A')).toEqual({ status: 'matched', code: 'A', count: 2 });
+    expect(record('A')).toEqual({ status: 'over', code: 'A', count: 3 });
+    expect(record('0036000291452')).toEqual({ status: 'matched', code: '036000291452', count: 1 });
+    expect(record('ZZZ')).toEqual({ status: 'unexpected', code: undefined, count: 1 });
+  });
+
+  test('leaves the session it was given alone', () => {
+    const session = createManifestSession('Aisle 3', items);
+    recordManifestScan(session, 'A');
+
+    expect(session.counts).toEqual({});
+  });
+
+  test('reconciles every item and unexpected code', () => {
+    const session = scanAll(createManifestSession('Aisle 3', items), ['A', 'A', 'A', 'B', '036000291452', 'ZZZ', 'ZZZ']);
+
+    expect(buildReconciliation(session)).toEqual({
+      name: 'Aisle 3',
+      lines: [
+        { code: 'A', label: 'Pens', expected: 2, scanned: 3, difference: 1, status: 'over' },
+        { code: 'B', label: 'Tape', expected: 1, scanned: 1, difference: 0, status: 'matched' },
+        { code: '036000291452', label: 'Tissues', expected: 3, scanned: 1, difference: -2, status: 'short' },
+        { code: 'D', label: '', expected: 1, scanned: 0, difference: -1, status: 'missing' },
+        { code: 'ZZZ', label: '', expected: 0, scanned: 2, difference: 2, status: 'unexpected' },
+      ],
+    });
+    expect(summarizeManifest(session)).toEqual({ total: 4, matched: 1, remaining: 3, over: 1, unexpected: 1 });
+  });
+
+  test('starts with every unit remaining', () => {
+    expect(summarizeManifest(createManifestSession('Aisle 3', items)))
+      .toEqual({ total: 4, matched: 0, remaining: 7, over: 0, unexpected: 0 });
+  });
+});
@@ -0,0 +1,145 @@
+import { parseQRData, getParsedTitle, formatParsedData } from '../qrParser';
+
+describe('parseQRData', () => {
+  test.each([
+    ['https://example.com/a?b=1', { url: 'https://example.com/a?b=1' }],
+    ['HTTP://EXAMPLE.COM', { url: 'HTTP://EXAMPLE.COM' }],
+    ['  https://example.com  ', { url: 'https://example.com' }],
+  ])('reads the URL %s', (data, fields) => {
+    expect(parseQRData(data)).toEqual({ type: 'url', fields });
+  });
+
+  describe('WIFI', () => {
+    test('reads every field', () => {
+      expect(parseQRData('WIFI:T:WPA;S:Office;P:hunter2;H:true;;')).toEqual({
+        type: 'wifi',
+        fields: { ssid: 'Office', security: 'WPA', password: 'hunter2', hidden: true },
+      });
+    });
+
+    test.each([
+      ['WIFI:S:Cafe\\;Bar;T:WPA;P:pa\\;ss;;', 'Cafe;Bar', 'pa;ss'],
+      ['WIFI:S:Lab\\:5G;T:WPA;P:a\\:b\\:c;;', 'Lab:5G', 'a:b:c'],
+      ['WIFI:S:back\\\\slash;T:WPA;P:\\"quoted\\";;', 'back\\slash', '"quoted"'],
+      ['WIFI:S:Home;T:WPA;P:semi;colon\\;;;', 'Home', 'semi'],
+    ])('honours escapes in %s', (data, ssid, password) => {
+      expect(parseQRData(data).fields).toMatchObject({ ssid, password });
+    });
+
+    test('defaults to an open, visible network', () => {
+      expect(parseQRData('wifi:S:Guest;;').fields).toEqual({
+        ssid: 'Guest',
+        security: 'nopass',
+        password: '',
+        hidden: false,
+      });
+    });
+
+    test('falls back to text without an SSID', () => {
+      expect(parseQRData('WIFI:T:WPA;P:secret;;').type).toBe('text');
+    });
+  });
+
+  test('reads a vCard, unfolding long lines', () => {
+    const vcard = [
+      'BEGIN:VCARD',
+      'VERSION:3.0',
+      'N:Lovelace;Ada;;;',
+      'FN:Ada Lovelace',
+      'TEL;TYPE=CELL:+44 20 7946 0000',
+      'TEL:tel:+44 20 7946 0001',
+      'EMAIL:ada@exam',
+      ' ple.com',
+      'NOTE:Line one\\nLine two\\, still',
+      'END:VCARD',
+    ].join('\r\n');
+
+    expect(parseQRData(vcard)).toEqual({
+      type: 'contact',
+      fields: {
+        name: 'Ada Lovelace',
+        phones: ['+44 20 7946 0000', '+44 20 7946 0001'],
+        emails: ['ada@example.com'],
+      },
+    });
+  });
+
+  test('builds a vCard name from N when FN is missing', () => {
+    expect(parseQRData('BEGIN:VCARD\nN:Hopper;Grace\nEND:VCARD').fields.name).toBe('Grace Hopper');
+  });
+
+  test('reads a MECARD with escaped separators', () => {
+    expect(parseQRData('MECARD:N:Turing,Alan;TEL:+441234;TEL:+445678;EMAIL:alan\\;t@example.com;;')).toEqual({
+      type: 'contact',
+      fields: { name: 'Alan Turing', phones: ['+441234', '+445678'], emails: ['alan;t@example.com'] },
+    });
+  });
+
+  test.each([
+    ['geo:51.5014,-0.1419', { latitude: 51.5014, longitude: -0.1419 }],
+    ['GEO:-33.8568,151.2153?z=15', { latitude: -33.8568, longitude: 151.2153 }],
+  ])('reads the location %s', (data, fields) => {
+    expect(parseQRData(data)).toEqual({ type: 'geo', fields });
+  });
+
+  test.each([
+    ['geo:91,0'],
+    ['geo:0,181'],
+    ['geo:abc,def'],
+  ])('leaves the out of range location %s as text', (data) => {
+    expect(parseQRData(data).type).toBe('text');
+  });
+
+  test.each([
+    ['mailto:ops@example.com', { recipient: 'ops@example.com', subject: '', body: '' }],
+    [
+      'mailto:ops%40example.com?Subject=Stock%20count&body=Aisle+3%3A+done',
+      { recipient: 'ops@example.com', subject: 'Stock count', body: 'Aisle 3: done' },
+    ],
+    ['mailto:ops@example.com?subject=100%', { recipient: 'ops@example.com', subject: '100%', body: '' }],
+  ])('reads the email %s', (data, fields) => {
+    expect(parseQRData(data)).toEqual({ type: 'email', fields });
+  });
+
+  test.each([
+    ['SMSTO:+15551234:Meet at 10:30', { recipient: '+15551234', body: 'Meet at 10:30' }],
+    ['smsto:+15551234', { recipient: '+15551234', body: '' }],
+    ['sms:+15551234?body=On%20my%20way', { recipient: '+15551234', body: 'On my way' }],
+    ['sms:+15551234', { recipient: '+15551234', body: '' }],
+  ])('reads the SMS %s', (data, fields) => {
+    expect(parseQRData(data)).toEqual({ type: 'sms', fields });
+  });
+
+  test('reads a phone number', () => {
+    expect(parseQRData('tel:+15551234')).toEqual({ type: 'phone', fields: { number: '+15551234' } });
+  });
+
+  test('reads a calendar event', () => {
+    const event = 'BEGIN:VEVENT\nSUMMARY:Stock take\nDTSTART:20250601T090000Z\nDTEND:20250601\nLOCATION:Warehouse\\, bay 2\nEND:VEVENT';
+    expect(parseQRData(event)).toEqual({
+      type: 'event',
+      fields: { summary: 'Stock take', start: '2025-06-01T09:00:00Z', end: '2025-06-01', location: 'Warehouse, bay 2' },
+    });
+  });
+
+  test.each([
+    ['Just some text'],
+    [''],
+    [null],
+  ])('keeps %p as text', (data) => {
+    expect(parseQRData(data)).toEqual({ type: 'text', fields: { text: (data || '').trim() } });
+  });
+});
+
+describe('getParsedTitle and formatParsedData', () => {
+  test('describe a WIFI network without repeating open security', () => {
+    const parsed = parseQRData('WIFI:S:Office;T:WPA;P:hunter2;;');
+    expect(getParsedTitle(parsed)).toBe('Office (WPA)');
+    expect(formatParsedData(parsed)).toBe('Network: Office\nSecurity: WPA\nPassword: hunter2');
+    expect(getParsedTitle(parseQRData('WIFI:S:Guest;;'))).toBe('Guest');
+  });
+
+  test('fall back to a phone number for a contact without a name', () => {
+    expect(getParsedTitle(parseQRData('MECARD:TEL:+441234;;'))).toBe('+441234');
+  });
+});
@@ -0,0 +1,144 @@
+import { parseSearchQuery, matchesSearchQuery, getServerSearchText } from '../searchQuery';
+
+const scan = (qrData, extra = {}) => ({
+  qrData,
+  timestamp: new Date(2025, 5, 15, 12, 0),
+  tags: [],
+  note: '',
+  location: null,
+  ...extra,
+});
+
+const matches = (query, item) => matchesSearchQuery(item, parseSearchQuery(query));
+
+describe('parseSearchQuery', () => {
+  test('reads free text, phrases and exclusions', () => {
+    expect(parseSearchQuery('Invoice "Back Room" -draft')).toEqual({
+      terms: [
+        { field: 'text', value: 'invoice', phrase: false, negated: false },
+        { field: 'text', value: 'back room', phrase: true, negated: false },
+        { field: 'text', value: 'draft', phrase: false, negated: true },
+      ],
+      errors: [],
+    });
+  });
+
+  test.each([
+    ['type:WiFi', { field: 'type', value: 'wifi' }],
+    ['host:www.Expo.dev', { field: 'host', value: 'expo.dev' }],
+    ['tag:"#Site  A"', { field: 'tag', value: 'site a' }],
+    ['after:2025-01-31', { field: 'after', value: new Date(2025, 0, 31) }],
+    ['before:2025-02-01', { field: 'before', value: new Date(2025, 1, 1) }],
+    ['has:Note', { field: 'has', value: 'note' }],
+    ['near:51.5,-0.12,5', { field: 'near', value: { center: { latitude: 51.5, longitude: -0.12 }, radiusKm: 5 } }],
+  ])('reads the filter %s', (query, term) => {
+    expect(parseSearchQuery(query)).toEqual({ terms: [{ ...term, negated: false }], errors: [] });
+  });
+
+  test('negates filters as well as text', () => {
+    expect(parseSearchQuery('-type:url').terms).toEqual([{ field: 'type', value: 'url', negated: true }]);
+  });
+
+  test('keeps unknown keys as text so links can be searched', () => {
+    expect(parseSearchQuery('https://Example.com/a -mailto:me').terms).toEqual([
+      { field: 'text', value: 'https://example.com/a', phrase: false, negated: false },
+      { field: 'text', value: 'mailto:me', phrase: false, negated: true },
+    ]);
+  });
+
+  test('treats an unclosed quote as a phrase running to the end', () => {
+    expect(parseSearchQuery('"back room').terms).toEqual([
+      { field: 'text', value: 'back room', phrase: true, negated: false },
+    ]);
+  });
+
+  test.each([
+    ['has:""', 'has: needs a value'],
+    ['tag:""', 'tag: needs a value'],
+    ['type:fax', 'Unknown type "fax". Use one of: url, email, phone, sms, wifi, contact, geo, event, text'],
+    ['before:2025-02-30', 'Invalid date "2025-02-30" for before:. Use YYYY-MM-DD'],
+    ['after:someday', 'Invalid date "someday" for after:. Use YYYY-MM-DD'],
+    ['has:photo', 'Unknown has:photo. Use has:location, has:note, has:tags'],
+    ['near:51.5,-0.12', 'Invalid near:51.5,-0.12. Use near:latitude,longitude,km'],
+    ['near:91,0,5', 'Invalid near:91,0,5. Use near:latitude,longitude,km'],
+    ['near:0,181,5', 'Invalid near:0,181,5. Use near:latitude,longitude,km'],
+    ['near:0,0,0', 'Invalid near:0,0,0. Use near:latitude,longitude,km'],
+    ['near:0,,5', 'Invalid near:0,,5. Use near:latitude,longitude,km'],
+  ])('reports %s instead of matching nothing', (query, error) => {
+    expect(parseSearchQuery(`${query} invoice`)).toEqual({
+      terms: [{ field: 'text', value: 'invoice', phrase: false, negated: false }],
+      errors: [error],
+    });
+  });
+
+  test('returns nothing for an empty or missing query', () => {
+    expect(parseSearchQuery('   ')).toEqual({ terms: [], errors: [] });
+    expect(parseSearchQuery(undefined)).toEqual({ terms: [], errors: [] });
+  });
+});
+
+describe('matchesSearchQuery', () => {
+  test.each([
+    ['invoce', true],
+    ['invioce', true],
+    ['invoixe', true],
+    ['invxxce', false],
+    ['ivn', false],
+    ['warehouse', true],
+    ['warehuose', true],
+    ['wrhouse', false],
+  ])('fuzzy text %s matching "Invoice for warehouse" is %s', (query, expected) => {
+    expect(matches(query, scan('Invoice for warehouse'))).toBe(expected);
+  });
+
+  test('matches short words only exactly', () => {
+    expect(matches('box', scan('Box 12'))).toBe(true);
+    expect(matches('bix', scan('Box 12'))).toBe(false);
+  });
+
+  test('keeps phrases and exclusions exact', () => {
+    const item = scan('Invoice for warehouse');
+    expect(matches('"invoce"', item)).toBe(false);
+    expect(matches('"for warehouse"', item)).toBe(true);
+    expect(matches('-invoce', item)).toBe(true);
+    expect(matches('-invoice', item)).toBe(false);
+  });
+
+  test('searches the note as well as the payload', () => {
+    expect(matches('backroom', scan('https://example.com', { note: 'Backroom shelf' }))).toBe(true);
+  });
+
+  test('applies every filter', () => {
+    const item = scan('https://shop.expo.dev/cart', {
+      tags: ['site a'],
+      note: 'Checked',
+      location: { latitude: 51.5, longitude: -0.12 },
+    });
+
+    expect(matches('type:url host:expo.dev tag:"site a" has:note has:location', item)).toBe(true);
+    expect(matches('after:2025-06-15 before:2025-06-16', item)).toBe(true);
+    expect(matches('near:51.51,-0.12,5', item)).toBe(true);
+    expect(matches('near:48.85,2.35,5', item)).toBe(false);
+    expect(matches('host:pexpo.dev', item)).toBe(false);
+    expect(matches('-tag:"site a"', item)).toBe(false);
+    expect(matches('before:2025-06-15', item)).toBe(false);
+  });
+
+  test('ignores invalid filters instead of hiding every scan', () => {
+    expect(matches('type:fax invoice', scan('Invoice'))).toBe(true);
+  });
+});
+
+describe('getServerSearchText', () => {
+  test.each([
+    ['warehouse', 'war'],
+    ['box', 'box'],
+    ['"warehouse"', 'warehouse'],
+    ['shelf "warehouse"', 'warehouse'],
+    ['https://expo.dev/docs', 'https'],
+    ['-warehouse type:url', null],
+    ['', null],
+  ])('narrows %s to %s', (query, expected) => {
+    expect(getServerSearchText(parseSearchQuery(query))).toBe(expected);
+  });
+});
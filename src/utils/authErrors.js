@@ -0,0 +1,85 @@
+// Firebase auth error codes mapped to messages people can act on, per language
+const AUTH_ERROR_MESSAGES = {
+  en: {
+    'auth/invalid-credential': 'The email or password is incorrect.',
+    'auth/invalid-email': 'Please enter a valid email address.',
+    'auth/missing-email': 'Please enter your email address.',
+    'auth/missing-password': 'Please enter your password.',
+    'auth/email-already-in-use': 'An account with this email already exists. Try logging in instead.',
+    'auth/weak-password': 'This password is too weak. Choose a longer one.',
+    'auth/user-disabled': 'This account has been disabled. Contact support for help.',
+    'auth/too-many-requests': 'Too many attempts. Please wait a few minutes and try again.',
+    'auth/network-request-failed': 'No connection. Check your internet connection and try again.',
+    'auth/operation-not-allowed': 'This sign-in method is not available right now.',
+    'auth/requires-recent-login': 'Please log in again to continue.',
+    'auth/user-token-expired': 'Your session has expired. Please log in again.',
+    default: 'Something went wrong. Please try again.',
+  },
+  es: {
+    'auth/invalid-credential': 'El correo o la contraseña no son correctos.',
+    'auth/invalid-email': 'Introduce un correo electrónico válido.',
+    'auth/missing-email': 'Introduce tu correo electrónico.',
+    'auth/missing-password': 'Introduce tu contraseña.',
+    'auth/email-already-in-use': 'Ya existe una cuenta con este correo. Prueba a iniciar sesión.',
+    'auth/weak-password': 'La contraseña es demasiado débil. Elige una más larga.',
+    'auth/user-disabled': 'Esta cuenta está desactivada. Contacta con soporte.',
+    'auth/too-many-requests': 'Demasiados intentos. Espera unos minutos y vuelve a intentarlo.',
+    'auth/network-request-failed': 'Sin conexión. Comprueba tu conexión a internet y vuelve a intentarlo.',
+    'auth/operation-not-allowed': 'Este método de inicio de sesión no está disponible ahora.',
+    'auth/requires-recent-login': 'Vuelve a iniciar sesión para continuar.',
+    'auth/user-token-expired': 'Tu sesión ha caducado. Vuelve a iniciar sesión.',
+    default: 'Algo ha fallado. Vuelve a intentarlo.',
+  },
+  de: {
+    'auth/invalid-credential': 'E-Mail-Adresse oder Passwort ist falsch.',
+    'auth/invalid-email': 'Bitte gib eine gültige E-Mail-Adresse ein.',
+    'auth/missing-email': 'Bitte gib deine E-Mail-Adresse ein.',
+    'auth/missing-password': 'Bitte gib dein Passwort ein.',
+    'auth/email-already-in-use': 'Für diese E-Mail-Adresse gibt es bereits ein Konto. Melde dich stattdessen an.',
+    'auth/weak-password': 'Dieses Passwort ist zu schwach. Wähle ein längeres.',
+    'auth/user-disabled': 'Dieses Konto wurde deaktiviert. Wende dich an den Support.',
+    'auth/too-many-requests': 'Zu viele Versuche. Bitte warte einige Minuten und versuche es erneut.',
+    'auth/network-request-failed': 'Keine Verbindung. Prüfe deine Internetverbindung und versuche es erneut.',
+    'auth/operation-not-allowed': 'Diese Anmeldemethode ist derzeit nicht verfügbar.',
+    'auth/requires-recent-login': 'Bitte melde dich erneut an, um fortzufahren.',
+    'auth/user-token-expired': 'Deine Sitzung ist abgelaufen. Bitte melde dich erneut an.',
+    default: 'Etwas ist schiefgelaufen. Bitte versuche es erneut.',
+  },
+  fr: {
+    'auth/invalid-credential': "L'e-mail ou le mot de passe est incorrect.",
+    'auth/invalid-email': 'Veuillez saisir une adresse e-mail valide.',
+    'auth/missing-email': 'Veuillez saisir votre adresse e-mail.',
+    'auth/missing-password': 'Veuillez saisir votre mot de passe.',
+    'auth/email-already-in-use': 'Un compte existe déjà avec cet e-mail. Essayez de vous connecter.',
+    'auth/weak-password': 'Ce mot de passe est trop faible. Choisissez-en un plus long.',
+    'auth/user-disabled': 'Ce compte a été désactivé. Contactez le support.',
+    'auth/too-many-requests': 'Trop de tentatives. Patientez quelques minutes puis réessayez.',
+    'auth/network-request-failed': 'Pas de connexion. Vérifiez votre connexion internet et réessayez.',
+    'auth/operation-not-allowed': "Cette méthode de connexion n'est pas disponible pour le moment.",
+    'auth/requires-recent-login': 'Veuillez vous reconnecter pour continuer.',
+    'auth/user-token-expired': 'Votre session a expiré. Veuillez vous reconnecter.',
+    default: "Une erreur s'est produite. Veuillez réessayer.",
+  },
+};
+
+// Older SDK versions report these instead of auth/invalid-credential
+const ERROR_CODE_ALIASES = {
+  'auth/wrong-password': 'auth/invalid-credential',
+  'auth/user-not-found': 'auth/invalid-credential',
+  'auth/invalid-login-credentials': 'auth/invalid-credential',
+  'auth/invalid-user-token': 'auth/user-token-expired',
+};
+
+export const getDeviceLanguage = () => {
+  try {
+    return Intl.DateTimeFormat().resolvedOptions().locale.split('-')[0].toLowerCase();
+  } catch (error) {
+    return 'en';
+  }
+};
+
+export const getAuthErrorMessage = (error, language = getDeviceLanguage()) => {
+  const messages = AUTH_ERROR_MESSAGES[language] || AUTH_ERROR_MESSAGES.en;
+  const code = ERROR_CODE_ALIASES[error?.code] || error?.code;
+  return messages[code] || messages.default;
+};
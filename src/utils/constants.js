@@ -0,0 +1,41 @@
+export const QR_TYPES = {
+  url: { label: 'URL', icon: '🌐', color: '#2196F3' },
+  email: { label: 'Email', icon: '📧', color: '#FF9800' },
+  phone: { label: 'Phone', icon: '📞', color: '#4CAF50' },
+  sms: { label: 'SMS', icon: '💬', color: '#009688' },
+  wifi: { label: 'WiFi', icon: '📶', color: '#9C27B0' },
+  contact: { label: 'Contact', icon: '👤', color: '#FF5722' },
+  geo: { label: 'Location', icon: '🗺️', color: '#795548' },
+  event: { label: 'Event', icon: '📅', color: '#3F51B5' },
+  text: { label: 'Text', icon: '📝', color: '#607D8B' },
+};
+
+// `barcodeTypes` are the expo-camera barcode type names that cover each symbology
+export const SYMBOLOGIES = {
+  qr: { label: 'QR Code', barcodeTypes: ['qr'] },
+  datamatrix: { label: 'Data Matrix', barcodeTypes: ['datamatrix'] },
+  pdf417: { label: 'PDF417', barcodeTypes: ['pdf417'] },
+  aztec: { label: 'Aztec', barcodeTypes: ['aztec'] },
+  ean13: { label: 'EAN-13', barcodeTypes: ['ean13'] },
+  ean8: { label: 'EAN-8', barcodeTypes: ['ean8'] },
+  upc_a: { label: 'UPC-A', barcodeTypes: ['upc_a'] },
+  upc_e: { label: 'UPC-E', barcodeTypes: ['upc_e'] },
+  code128: { label: 'Code 128', barcodeTypes: ['code128'] },
+  code39: { label: 'Code 39', barcodeTypes: ['code39'] },
+  itf: { label: 'ITF', barcodeTypes: ['itf14'] },
+};
+
+export const DEFAULT_SYMBOLOGIES = Object.keys(SYMBOLOGIES);
+
+// Seconds during which a payload seen again in batch mode is ignored
+export const DUPLICATE_WINDOW_OPTIONS = [3, 10, 30, 60];
+export const DEFAULT_DUPLICATE_WINDOW = 10;
+
+// Firestore rejects batches with more than 500 writes
+export const FIRESTORE_BATCH_LIMIT = 500;
+
+// Scans per history page, for every scan store
+export const SCAN_PAGE_SIZE = 25;
+
+// User id of the scans taken in guest mode
+export const GUEST_UID = 'guest';
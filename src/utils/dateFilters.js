@@ -0,0 +1,53 @@
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const DATE_FILTERS = {
+  all: { label: 'All' },
+  today: { label: 'Today' },
+  week: { label: '7 Days' },
+  thisMonth: { label: 'This Month' },
+  lastMonth: { label: 'Last Month' },
+  custom: { label: 'Custom' },
+};
+
+export const startOfDay = (date) => new Date(date.getFullYear(), date.getMonth(), date.getDate());
+
+const addDays = (date, days) => new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+
+// Returns { start, end } with an exclusive end (either may be null), or null for no date limit.
+// `customRange` ({ from, to }, both inclusive days) is only used by the custom filter.
+export const getDateRange = (filter, customRange = null, now = new Date()) => {
+  switch (filter) {
+    case 'today':
+      return { start: startOfDay(now), end: null };
+    case 'week':
+      return { start: new Date(now.getTime() - 7 * DAY_MS), end: null };
+    case 'thisMonth':
+      return { start: new Date(now.getFullYear(), now.getMonth(), 1), end: null };
+    case 'lastMonth':
+      return {
+        start: new Date(now.getFullYear(), now.getMonth() - 1, 1),
+        end: new Date(now.getFullYear(), now.getMonth(), 1),
+      };
+    case 'custom':
+      if (!customRange) return null;
+      return {
+        start: customRange.from ? startOfDay(customRange.from) : null,
+        end: customRange.to ? addDays(customRange.to, 1) : null,
+      };
+    default:
+      return null;
+  }
+};
+
+export const isInDateRange = (date, range) =>
+  !range || ((!range.start || date >= range.start) && (!range.end || date < range.end));
+
+const formatDay = (date) =>
+  new Intl.DateTimeFormat('en-US', { month: 'short', day: 'numeric', year: 'numeric' }).format(date);
+
+export const formatCustomRange = (customRange) => {
+  if (!customRange?.from && !customRange?.to) return DATE_FILTERS.custom.label;
+  if (!customRange.to) return `Since ${formatDay(customRange.from)}`;
+  if (!customRange.from) return `Until ${formatDay(customRange.to)}`;
+  return `${formatDay(customRange.from)} – ${formatDay(customRange.to)}`;
+};
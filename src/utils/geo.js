@@ -0,0 +1,75 @@
+const EARTH_RADIUS_KM = 6371;
+
+// Cells per screen side when grouping markers; fewer cells means bigger clusters
+const CLUSTER_GRID_SIZE = 8;
+const MIN_REGION_DELTA = 0.01;
+
+export const RADIUS_OPTIONS_KM = [1, 5, 25, 100];
+
+export const hasLocation = (scan) =>
+  Number.isFinite(scan?.location?.latitude) && Number.isFinite(scan?.location?.longitude);
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+
+// Haversine great-circle distance, accurate enough for "within N km" filtering
+export const getDistanceKm = (from, to) => {
+  const dLat = toRadians(to.latitude - from.latitude);
+  const dLon = toRadians(to.longitude - from.longitude);
+  const a =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(from.latitude)) * Math.cos(toRadians(to.latitude)) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+};
+
+export const isWithinRadius = (scan, center, radiusKm) =>
+  hasLocation(scan) && getDistanceKm(center, scan.location) <= radiusKm;
+
+export const formatDistance = (km) => {
+  if (km < 1) return `${Math.round(km * 1000)} m`;
+  return km < 10 ? `${km.toFixed(1)} km` : `${Math.round(km)} km`;
+};
+
+// Map region that fits every located scan, or null when none has a location
+export const getRegionForScans = (scans) => {
+  const located = scans.filter(hasLocation);
+  if (located.length === 0) return null;
+
+  const latitudes = located.map(scan => scan.location.latitude);
+  const longitudes = located.map(scan => scan.location.longitude);
+  const minLat = Math.min(...latitudes);
+  const maxLat = Math.max(...latitudes);
+  const minLon = Math.min(...longitudes);
+  const maxLon = Math.max(...longitudes);
+
+  return {
+    latitude: (minLat + maxLat) / 2,
+    longitude: (minLon + maxLon) / 2,
+    latitudeDelta: Math.max((maxLat - minLat) * 1.3, MIN_REGION_DELTA),
+    longitudeDelta: Math.max((maxLon - minLon) * 1.3, MIN_REGION_DELTA),
+  };
+};
+
+// Groups scans into grid cells sized relative to the visible region, so clusters split as the user zooms in.
+// Each cluster is { id, latitude, longitude, scans } positioned at the average of its scans.
+export const clusterScans = (scans, region) => {
+  const cellLat = Math.max(region.latitudeDelta, MIN_REGION_DELTA) / CLUSTER_GRID_SIZE;
+  const cellLon = Math.max(region.longitudeDelta, MIN_REGION_DELTA) / CLUSTER_GRID_SIZE;
+  const cells = new Map();
+
+  scans.filter(hasLocation).forEach((scan) => {
+    const key = `${Math.floor(scan.location.latitude / cellLat)}:${Math.floor(scan.location.longitude / cellLon)}`;
+    if (!cells.has(key)) cells.set(key, []);
+    cells.get(key).push(scan);
+  });
+
+  return [...cells.entries()].map(([key, cellScans]) => ({
+    id: cellScans.length === 1 ? cellScans[0].id : key,
+    latitude: cellScans.reduce((sum, scan) => sum + scan.location.latitude, 0) / cellScans.length,
+    longitude: cellScans.reduce((sum, scan) => sum + scan.location.longitude, 0) / cellScans.length,
+    scans: cellScans,
+  }));
+};
+
+// True when every scan in the cluster sits on (practically) the same spot, so zooming cannot split it
+export const isStackedCluster = (cluster) =>
+  cluster.scans.every(scan => getDistanceKm(cluster.scans[0].location, scan.location) < 0.01);
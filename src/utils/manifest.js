@@ -0,0 +1,151 @@
+import { parseCsv, unescapeFormula } from './scanImport';
+
+const MAX_QUANTITY = 100000;
+
+const COLUMN_ALIASES = {
+  code: ['code', 'barcode', 'sku', 'qrdata', 'data', 'payload', 'value'],
+  label: ['label', 'name', 'description', 'item', 'title'],
+  quantity: ['quantity', 'qty', 'count', 'expected'],
+};
+
+export const MANIFEST_STATUSES = {
+  matched: { label: 'Matched', icon: '✅', color: '#4CAF50' },
+  short: { label: 'Short', icon: '🟡', color: '#FF9800' },
+  missing: { label: 'Missing', icon: '❌', color: '#f44336' },
+  over: { label: 'Over count', icon: '⬆️', color: '#9C27B0' },
+  unexpected: { label: 'Unexpected', icon: '⚠️', color: '#795548' },
+};
+
+// Readers report a UPC-A code as the EAN-13 with a leading zero, so both spellings must match
+export const getManifestKey = (code) => {
+  const trimmed = String(code).trim();
+  return /^\d{12}$/.test(trimmed) ? `0${trimmed}` : trimmed;
+};
+
+const findColumn = (headers, field) =>
+  headers.findIndex(header => COLUMN_ALIASES[field].includes(header.trim().toLowerCase()));
+
+// Reads a CSV manifest into { items, rejected }. Items are { key, code, label, expected }; a code listed
+// on several rows is one item with the quantities added up. Rows without a quantity expect one.
+export const parseManifest = (text) => {
+  const [headers = [], ...rows] = parseCsv(text);
+  const columns = {
+    code: findColumn(headers, 'code'),
+    label: findColumn(headers, 'label'),
+    quantity: findColumn(headers, 'quantity'),
+  };
+
+  if (columns.code < 0) {
+    throw new Error('The manifest needs a code (or barcode/sku) column');
+  }
+
+  const itemsByKey = new Map();
+  const rejected = [];
+
+  rows.forEach((cells, index) => {
+    // Row numbers are 1-based and count the header line
+    const row = index + 2;
+    // A manifest may be a report this app exported, where codes like "-42" carry an apostrophe
+    const getCell = (field) => (columns[field] >= 0 ? unescapeFormula(cells[columns[field]] || '').trim() : '');
+    const code = getCell('code');
+    const label = getCell('label');
+    const quantityText = getCell('quantity');
+    const quantity = quantityText === '' ? 1 : Number(quantityText);
+
+    if (!code) {
+      rejected.push({ row, error: 'Missing code' });
+      return;
+    }
+    if (!Number.isInteger(quantity) || quantity < 1 || quantity > MAX_QUANTITY) {
+      rejected.push({ row, error: `Invalid quantity "${quantityText}"` });
+      return;
+    }
+
+    const key = getManifestKey(code);
+    const existing = itemsByKey.get(key);
+    if (existing) {
+      existing.expected += quantity;
+      existing.label = existing.label || label;
+    } else {
+      itemsByKey.set(key, { key, code, label, expected: quantity });
+    }
+  });
+
+  return { items: [...itemsByKey.values()], rejected };
+};
+
+// A check-in session is plain data so it can live in React state: the manifest items plus how often
+// each key was scanned. Codes that are not on the manifest are counted under their own key.
+export const createManifestSession = (name, items) => ({
+  name,
+  items,
+  counts: {},
+  unexpectedCodes: {},
+});
+
+const findItem = (session, key) => session.items.find(item => item.key === key);
+
+// Returns the updated session and what the scan meant: 'matched' (still short or now complete),
+// 'over' (more than expected) or 'unexpected' (not on the manifest)
+export const recordManifestScan = (session, code) => {
+  const key = getManifestKey(code);
+  const count = (session.counts[key] || 0) + 1;
+  const item = findItem(session, key);
+  const updated = {
+    ...session,
+    counts: { ...session.counts, [key]: count },
+    unexpectedCodes: item ? session.unexpectedCodes : { ...session.unexpectedCodes, [key]: code },
+  };
+
+  let status = 'unexpected';
+  if (item) {
+    status = count > item.expected ? 'over' : 'matched';
+  }
+  return { session: updated, status, item, count };
+};
+
+const getLineStatus = (expected, scanned) => {
+  if (expected === 0) return 'unexpected';
+  if (scanned === 0) return 'missing';
+  if (scanned < expected) return 'short';
+  return scanned === expected ? 'matched' : 'over';
+};
+
+// One line per manifest item followed by one per unexpected code
+export const buildReconciliation = (session) => {
+  const lines = [
+    ...session.items.map(item => ({
+      code: item.code,
+      label: item.label,
+      expected: item.expected,
+      scanned: session.counts[item.key] || 0,
+    })),
+    ...Object.keys(session.unexpectedCodes).map(key => ({
+      code: session.unexpectedCodes[key],
+      label: '',
+      expected: 0,
+      scanned: session.counts[key],
+    })),
+  ].map(line => ({
+    ...line,
+    difference: line.scanned - line.expected,
+    status: getLineStatus(line.expected, line.scanned),
+  }));
+
+  return { name: session.name, lines };
+};
+
+// Live progress for the scanner overlay. Items count as matched when scanned exactly as often as
+// expected; `remaining` is in units still to scan, the way a stock count is usually read.
+export const summarizeManifest = (session) => {
+  const summary = { total: session.items.length, matched: 0, remaining: 0, over: 0, unexpected: 0 };
+
+  buildReconciliation(session).lines.forEach((line) => {
+    if (line.status === 'matched') summary.matched++;
+    if (line.status === 'over') summary.over++;
+    if (line.status === 'unexpected') summary.unexpected++;
+    summary.remaining += Math.max(0, -line.difference);
+  });
+
+  return summary;
+};
@@ -0,0 +1,13 @@
+export const PASSWORD_RULES = [
+  { id: 'length', label: 'At least 8 characters', test: password => password.length >= 8 },
+  { id: 'lowercase', label: 'A lowercase letter', test: password => /[a-z]/.test(password) },
+  { id: 'uppercase', label: 'An uppercase letter', test: password => /[A-Z]/.test(password) },
+  { id: 'number', label: 'A number', test: password => /\d/.test(password) },
+];
+
+// Every rule with whether `password` passes it, for the checklist shown while registering
+export const checkPasswordRules = (password) =>
+  PASSWORD_RULES.map(({ id, label, test }) => ({ id, label, passed: test(password || '') }));
+
+export const isStrongPassword = (password) =>
+  checkPasswordRules(password).every(rule => rule.passed);
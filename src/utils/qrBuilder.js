@@ -0,0 +1,143 @@
+// Builds QR payloads in the formats understood by qrParser, so generated codes round-trip
+export const QR_TEMPLATES = {
+  url: {
+    label: 'URL',
+    fields: [
+      { key: 'url', label: 'Website', placeholder: 'https://example.com', keyboardType: 'url' },
+    ],
+  },
+  text: {
+    label: 'Text',
+    fields: [
+      { key: 'text', label: 'Text', placeholder: 'Any text', multiline: true },
+    ],
+  },
+  wifi: {
+    label: 'WiFi',
+    fields: [
+      { key: 'ssid', label: 'Network name (SSID)', placeholder: 'MyNetwork' },
+      { key: 'security', label: 'Security', options: ['WPA', 'WEP', 'nopass'] },
+      { key: 'password', label: 'Password', placeholder: 'Password' },
+      { key: 'hidden', label: 'Hidden network', options: ['false', 'true'] },
+    ],
+  },
+  contact: {
+    label: 'Contact',
+    fields: [
+      { key: 'name', label: 'Full name', placeholder: 'Jane Doe' },
+      { key: 'phone', label: 'Phone', placeholder: '+1 555 123 4567', keyboardType: 'phone-pad' },
+      { key: 'email', label: 'Email', placeholder: 'jane@example.com', keyboardType: 'email-address' },
+      { key: 'organization', label: 'Organization', placeholder: 'Company' },
+    ],
+  },
+  email: {
+    label: 'Email',
+    fields: [
+      { key: 'recipient', label: 'To', placeholder: 'someone@example.com', keyboardType: 'email-address' },
+      { key: 'subject', label: 'Subject', placeholder: 'Subject' },
+      { key: 'body', label: 'Message', placeholder: 'Message', multiline: true },
+    ],
+  },
+  sms: {
+    label: 'SMS',
+    fields: [
+      { key: 'recipient', label: 'Phone number', placeholder: '+1 555 123 4567', keyboardType: 'phone-pad' },
+      { key: 'body', label: 'Message', placeholder: 'Message', multiline: true },
+    ],
+  },
+  geo: {
+    label: 'Location',
+    fields: [
+      { key: 'latitude', label: 'Latitude', placeholder: '40.7128', keyboardType: 'numeric' },
+      { key: 'longitude', label: 'Longitude', placeholder: '-74.0060', keyboardType: 'numeric' },
+    ],
+  },
+};
+
+export const getDefaultValues = (template) =>
+  QR_TEMPLATES[template].fields.reduce((values, field) => {
+    values[field.key] = field.options ? field.options[0] : '';
+    return values;
+  }, {});
+
+// WIFI: and MECARD-style values escape \ ; , : and "
+const escapeWifiValue = (value) => value.replace(/([\\;,:"])/g, '\\$1');
+
+// vCard text values escape \ ; , and newlines
+const escapeVCardValue = (value) =>
+  value.replace(/([\\;,])/g, '\\$1').replace(/\r?\n/g, '\\n');
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Returns { payload } or { error } for the given template values
+export const buildQRPayload = (template, values) => {
+  const get = (key) => (values[key] || '').trim();
+
+  switch (template) {
+    case 'url': {
+      const url = get('url');
+      if (!url) return { error: 'Enter a website address' };
+      return { payload: /^[a-z][a-z0-9+.-]*:/i.test(url) ? url : `https://${url}` };
+    }
+    case 'text': {
+      // Text is used verbatim so history items re-render exactly as scanned
+      if (!values.text) return { error: 'Enter some text' };
+      return { payload: values.text };
+    }
+    case 'wifi': {
+      const ssid = get('ssid');
+      if (!ssid) return { error: 'Enter the network name' };
+      const security = get('security') || 'nopass';
+      const password = security === 'nopass' ? '' : values.password || '';
+      if (security !== 'nopass' && !password) return { error: 'Enter the network password' };
+      return {
+        payload: `WIFI:T:${security};S:${escapeWifiValue(ssid)};P:${escapeWifiValue(password)};H:${get('hidden') === 'true'};;`,
+      };
+    }
+    case 'contact': {
+      const name = get('name');
+      const phone = get('phone');
+      const email = get('email');
+      if (!name && !phone && !email) return { error: 'Enter a name, phone or email' };
+      if (email && !EMAIL_PATTERN.test(email)) return { error: 'Enter a valid email address' };
+      const lines = ['BEGIN:VCARD', 'VERSION:3.0'];
+      if (name) {
+        const parts = name.split(/\s+/);
+        const lastName = parts.length > 1 ? parts.pop() : '';
+        lines.push(`N:${escapeVCardValue(lastName)};${escapeVCardValue(parts.join(' '))};;;`);
+        lines.push(`FN:${escapeVCardValue(name)}`);
+      }
+      if (get('organization')) lines.push(`ORG:${escapeVCardValue(get('organization'))}`);
+      if (phone) lines.push(`TEL;TYPE=CELL:${phone}`);
+      if (email) lines.push(`EMAIL:${email}`);
+      lines.push('END:VCARD');
+      return { payload: lines.join('\n') };
+    }
+    case 'email': {
+      const recipient = get('recipient');
+      if (!EMAIL_PATTERN.test(recipient)) return { error: 'Enter a valid email address' };
+      const params = [];
+      if (get('subject')) params.push(`subject=${encodeURIComponent(get('subject'))}`);
+      if (get('body')) params.push(`body=${encodeURIComponent(get('body'))}`);
+      return { payload: `mailto:${recipient}${params.length ? `?${params.join('&')}` : ''}` };
+    }
+    case 'sms': {
+      const recipient = get('recipient').replace(/[^\d+]/g, '');
+      if (!recipient) return { error: 'Enter a phone number' };
+      return { payload: `SMSTO:${recipient}:${values.body || ''}` };
+    }
+    case 'geo': {
+      const latitude = Number(get('latitude'));
+      const longitude = Number(get('longitude'));
+      if (!get('latitude') || !Number.isFinite(latitude) || Math.abs(latitude) > 90) {
+        return { error: 'Latitude must be between -90 and 90' };
+      }
+      if (!get('longitude') || !Number.isFinite(longitude) || Math.abs(longitude) > 180) {
+        return { error: 'Longitude must be between -180 and 180' };
+      }
+      return { payload: `geo:${latitude},${longitude}` };
+    }
+    default:
+      return { error: 'Unknown template' };
+  }
+};
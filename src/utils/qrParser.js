@@ -0,0 +1,329 @@
+// Splits "K:V;K:V;;" style payloads (WIFI, MECARD) while honouring backslash escapes
+const splitEscaped = (text, separator) => {
+  const parts = [];
+  let current = '';
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (char === '\\' && i + 1 < text.length) {
+      current += text[i + 1];
+      i++;
+    } else if (char === separator) {
+      parts.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  if (current) {
+    parts.push(current);
+  }
+
+  return parts;
+};
+
+const parseKeyValueFields = (body) => {
+  const fields = [];
+
+  splitEscaped(body, ';').forEach((part) => {
+    const separatorIndex = part.indexOf(':');
+    if (separatorIndex > 0) {
+      fields.push({
+        key: part.slice(0, separatorIndex).toUpperCase(),
+        value: part.slice(separatorIndex + 1),
+      });
+    }
+  });
+
+  return fields;
+};
+
+const safeDecode = (value) => {
+  try {
+    return decodeURIComponent(value);
+  } catch (error) {
+    return value;
+  }
+};
+
+const parseQueryString = (queryString) => {
+  const params = {};
+
+  queryString.split('&').forEach((pair) => {
+    if (!pair) return;
+    const [key, ...rest] = pair.split('=');
+    params[key.toLowerCase()] = safeDecode(rest.join('=').replace(/\+/g, ' '));
+  });
+
+  return params;
+};
+
+// vCard and iCalendar lines may be folded onto the next line with a leading space or tab
+const unfoldLines = (text) =>
+  text
+    .replace(/\r\n/g, '\n')
+    .replace(/\n[ \t]/g, '')
+    .split('\n')
+    .map(line => line.trim())
+    .filter(Boolean);
+
+const parseContentLines = (text) =>
+  unfoldLines(text).map((line) => {
+    const separatorIndex = line.indexOf(':');
+    if (separatorIndex < 0) {
+      return { name: line.toUpperCase(), params: [], value: '' };
+    }
+    const [name, ...params] = line.slice(0, separatorIndex).split(';');
+    return {
+      name: name.toUpperCase(),
+      params,
+      value: line.slice(separatorIndex + 1).replace(/\\([,;\\])/g, '$1').replace(/\\n/gi, '\n'),
+    };
+  });
+
+const parseWifi = (data) => {
+  const fields = parseKeyValueFields(data.slice('WIFI:'.length));
+  const getField = (key) => fields.find(field => field.key === key)?.value;
+
+  const ssid = getField('S');
+  if (!ssid) return null;
+
+  return {
+    ssid,
+    security: getField('T') || 'nopass',
+    password: getField('P') || '',
+    hidden: (getField('H') || '').toLowerCase() === 'true',
+  };
+};
+
+const parseMecard = (data) => {
+  const fields = parseKeyValueFields(data.slice('MECARD:'.length));
+  const nameField = fields.find(field => field.key === 'N')?.value || '';
+  // MECARD names are "Last,First"
+  const name = nameField.split(',').map(part => part.trim()).filter(Boolean).reverse().join(' ');
+
+  return {
+    name,
+    phones: fields.filter(field => field.key === 'TEL').map(field => field.value),
+    emails: fields.filter(field => field.key === 'EMAIL').map(field => field.value),
+  };
+};
+
+const parseVCard = (data) => {
+  const lines = parseContentLines(data);
+  const fullName = lines.find(line => line.name === 'FN')?.value;
+  const structuredName = lines.find(line => line.name === 'N')?.value;
+  // N is "Last;First;Middle;Prefix;Suffix"
+  const fallbackName = structuredName
+    ? structuredName.split(';').slice(0, 2).reverse().filter(Boolean).join(' ')
+    : '';
+
+  return {
+    name: fullName || fallbackName,
+    phones: lines.filter(line => line.name === 'TEL').map(line => line.value.replace(/^tel:/i, '')),
+    emails: lines.filter(line => line.name === 'EMAIL').map(line => line.value),
+  };
+};
+
+// Older scans in the demo store use a free-form "Contact:/Phone:/Email:" layout
+const parseLabelledContact = (data) => {
+  const lines = data.split('\n');
+  const getLines = (label) =>
+    lines
+      .filter(line => line.toLowerCase().startsWith(`${label}:`))
+      .map(line => line.slice(label.length + 1).trim());
+
+  return {
+    name: getLines('contact')[0] || '',
+    phones: getLines('phone'),
+    emails: getLines('email'),
+  };
+};
+
+const parseGeo = (data) => {
+  const [coordinates] = data.slice('geo:'.length).split('?');
+  const [latitude, longitude] = coordinates.split(',').map(Number);
+
+  if (
+    !Number.isFinite(latitude) || !Number.isFinite(longitude) ||
+    Math.abs(latitude) > 90 || Math.abs(longitude) > 180
+  ) {
+    return null;
+  }
+
+  return { latitude, longitude };
+};
+
+const parseSmsTo = (data) => {
+  const [recipient = '', ...body] = data.slice('SMSTO:'.length).split(':');
+  return { recipient, body: body.join(':') };
+};
+
+const parseSmsUri = (data) => {
+  const [recipient, queryString = ''] = data.slice('sms:'.length).split('?');
+  return { recipient: safeDecode(recipient), body: parseQueryString(queryString).body || '' };
+};
+
+const parseMailto = (data) => {
+  const [recipient, queryString = ''] = data.slice('mailto:'.length).split('?');
+  const params = parseQueryString(queryString);
+  return {
+    recipient: safeDecode(recipient),
+    subject: params.subject || '',
+    body: params.body || '',
+  };
+};
+
+// Converts iCalendar DATE / DATE-TIME values to ISO 8601 strings
+const parseICalDate = (value) => {
+  if (!value) return null;
+
+  const match = value.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z)?)?$/);
+  if (!match) return null;
+
+  const [, year, month, day, hour, minute, second = '00', utc] = match;
+  if (!hour) {
+    return `${year}-${month}-${day}`;
+  }
+  return `${year}-${month}-${day}T${hour}:${minute}:${second}${utc ? 'Z' : ''}`;
+};
+
+const parseEvent = (data) => {
+  const lines = parseContentLines(data);
+  const getValue = (name) => lines.find(line => line.name === name)?.value;
+
+  return {
+    summary: getValue('SUMMARY') || '',
+    start: parseICalDate(getValue('DTSTART')),
+    end: parseICalDate(getValue('DTEND')),
+    location: getValue('LOCATION') || '',
+  };
+};
+
+const startsWithIgnoreCase = (data, prefix) =>
+  data.slice(0, prefix.length).toUpperCase() === prefix.toUpperCase();
+
+export const parseQRData = (rawData) => {
+  const data = (rawData || '').trim();
+
+  if (startsWithIgnoreCase(data, 'http://') || startsWithIgnoreCase(data, 'https://')) {
+    return { type: 'url', fields: { url: data } };
+  }
+
+  if (startsWithIgnoreCase(data, 'WIFI:')) {
+    const fields = parseWifi(data);
+    if (fields) return { type: 'wifi', fields };
+  }
+
+  if (startsWithIgnoreCase(data, 'BEGIN:VCARD')) {
+    return { type: 'contact', fields: parseVCard(data) };
+  }
+
+  if (startsWithIgnoreCase(data, 'MECARD:')) {
+    return { type: 'contact', fields: parseMecard(data) };
+  }
+
+  if (
+    startsWithIgnoreCase(data, 'BEGIN:VEVENT') ||
+    (startsWithIgnoreCase(data, 'BEGIN:VCALENDAR') && /BEGIN:VEVENT/i.test(data))
+  ) {
+    return { type: 'event', fields: parseEvent(data) };
+  }
+
+  if (startsWithIgnoreCase(data, 'geo:')) {
+    const fields = parseGeo(data);
+    if (fields) return { type: 'geo', fields };
+  }
+
+  if (startsWithIgnoreCase(data, 'SMSTO:')) {
+    return { type: 'sms', fields: parseSmsTo(data) };
+  }
+
+  if (startsWithIgnoreCase(data, 'sms:')) {
+    return { type: 'sms', fields: parseSmsUri(data) };
+  }
+
+  if (startsWithIgnoreCase(data, 'mailto:')) {
+    return { type: 'email', fields: parseMailto(data) };
+  }
+
+  if (startsWithIgnoreCase(data, 'tel:')) {
+    return { type: 'phone', fields: { number: data.slice('tel:'.length) } };
+  }
+
+  if (data.includes('Contact:')) {
+    return { type: 'contact', fields: parseLabelledContact(data) };
+  }
+
+  return { type: 'text', fields: { text: data } };
+};
+
+// Scans saved before parsing was introduced only carry qrData
+export const getParsedData = (scan) => scan.parsed || parseQRData(scan.qrData);
+
+export const getParsedTitle = ({ type, fields }) => {
+  switch (type) {
+    case 'url':
+      return fields.url;
+    case 'wifi':
+      return `${fields.ssid}${fields.security !== 'nopass' ? ` (${fields.security})` : ''}`;
+    case 'contact':
+      return fields.name || fields.phones[0] || fields.emails[0] || 'Contact';
+    case 'geo':
+      return `${fields.latitude.toFixed(4)}, ${fields.longitude.toFixed(4)}`;
+    case 'sms':
+      return `SMS to ${fields.recipient}`;
+    case 'email':
+      return fields.subject ? `${fields.recipient} – ${fields.subject}` : fields.recipient;
+    case 'event':
+      return fields.summary || 'Calendar event';
+    case 'phone':
+      return fields.number;
+    default:
+      return fields.text;
+  }
+};
+
+export const formatParsedData = ({ type, fields }) => {
+  const lines = [];
+  const addLine = (label, value) => {
+    if (value) lines.push(`${label}: ${value}`);
+  };
+
+  switch (type) {
+    case 'wifi':
+      addLine('Network', fields.ssid);
+      addLine('Security', fields.security === 'nopass' ? 'None' : fields.security);
+      addLine('Password', fields.password);
+      if (fields.hidden) lines.push('Hidden network');
+      break;
+    case 'contact':
+      addLine('Name', fields.name);
+      addLine('Phone', fields.phones.join(', '));
+      addLine('Email', fields.emails.join(', '));
+      break;
+    case 'geo':
+      addLine('Latitude', fields.latitude);
+      addLine('Longitude', fields.longitude);
+      break;
+    case 'sms':
+      addLine('To', fields.recipient);
+      addLine('Message', fields.body);
+      break;
+    case 'email':
+      addLine('To', fields.recipient);
+      addLine('Subject', fields.subject);
+      addLine('Body', fields.body);
+      break;
+    case 'event':
+      addLine('Event', fields.summary);
+      addLine('Starts', fields.start);
+      addLine('Ends', fields.end);
+      addLine('Where', fields.location);
+      break;
+    default:
+      lines.push(getParsedTitle({ type, fields }));
+  }
+
+  return lines.join('\n');
+};
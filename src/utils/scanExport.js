@@ -0,0 +1,121 @@
+import { getParsedData } from './qrParser';
+import { getScanSymbology } from './symbology';
+import { getScanTags, getScanNote } from './scanTags';
+import { hasLocation } from './geo';
+
+export const EXPORT_FORMATS = {
+  csv: { label: 'CSV', extension: 'csv', mimeType: 'text/csv', uti: 'public.comma-separated-values-text' },
+  json: { label: 'JSON', extension: 'json', mimeType: 'application/json', uti: 'public.json' },
+  geojson: { label: 'GeoJSON', extension: 'geojson', mimeType: 'application/geo+json', uti: 'public.json' },
+};
+
+const CSV_COLUMNS = ['id', 'timestamp', 'type', 'symbology', 'qrData', 'latitude', 'longitude', 'pending', 'tags', 'note'];
+
+const toISOString = (timestamp) => {
+  const date = timestamp instanceof Date ? timestamp : new Date(timestamp);
+  return Number.isNaN(date.getTime()) ? '' : date.toISOString();
+};
+
+// Spreadsheets run cells starting with these as formulas, so a scanned payload could inject one.
+// A leading apostrophe is prefixed too, so the importer can tell which apostrophes to strip.
+const FORMULA_START = /^[=+\-@\t\r']/;
+
+// RFC 4180: quote fields containing separators, quotes or line breaks and double embedded quotes.
+// Text that would start a formula gets an apostrophe in front, which spreadsheets show as plain text.
+const escapeCsvField = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = typeof value === 'string' && FORMULA_START.test(value) ? `'${value}` : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toExportRecord = (scan) => {
+  // searchTokens are derived from qrData and only exist for Firestore queries
+  const { searchTokens, ...fields } = scan;
+  const parsed = getParsedData(scan);
+
+  return {
+    ...fields,
+    timestamp: toISOString(scan.timestamp),
+    type: parsed.type,
+    symbology: getScanSymbology(scan),
+    parsed,
+  };
+};
+
+export const scansToCsv = (scans) => {
+  const rows = scans.map((scan) => {
+    const record = toExportRecord(scan);
+    return [
+      record.id,
+      record.timestamp,
+      record.type,
+      record.symbology,
+      record.qrData,
+      hasLocation(scan) ? scan.location.latitude : '',
+      hasLocation(scan) ? scan.location.longitude : '',
+      scan.pending ? 'true' : 'false',
+      getScanTags(scan).join('; '),
+      getScanNote(scan),
+    ].map(escapeCsvField).join(',');
+  });
+
+  return [CSV_COLUMNS.join(','), ...rows].join('\r\n');
+};
+
+export const scansToJson = (scans) =>
+  JSON.stringify(
+    {
+      exportedAt: new Date().toISOString(),
+      count: scans.length,
+      scans: scans.map(toExportRecord),
+    },
+    null,
+    2
+  );
+
+export const scansToGeoJson = (scans) =>
+  JSON.stringify(
+    {
+      type: 'FeatureCollection',
+      features: scans.filter(hasLocation).map((scan) => {
+        const record = toExportRecord(scan);
+        return {
+          type: 'Feature',
+          geometry: {
+            type: 'Point',
+            coordinates: [scan.location.longitude, scan.location.latitude],
+          },
+          properties: {
+            id: record.id,
+            timestamp: record.timestamp,
+            type: record.type,
+            symbology: record.symbology,
+            qrData: record.qrData,
+          },
+        };
+      }),
+    },
+    null,
+    2
+  );
+
+const RECONCILIATION_COLUMNS = ['code', 'label', 'expected', 'scanned', 'difference', 'status'];
+
+// A manifest check-in report from buildReconciliation, one row per line
+export const reconciliationToCsv = (report) => {
+  const rows = report.lines.map(line =>
+    RECONCILIATION_COLUMNS.map(column => escapeCsvField(line[column])).join(',')
+  );
+  return [RECONCILIATION_COLUMNS.join(','), ...rows].join('\r\n');
+};
+
+export const serializeScans = (scans, format) => {
+  switch (format) {
+    case 'csv':
+      return scansToCsv(scans);
+    case 'geojson':
+      return scansToGeoJson(scans);
+    default:
+      return scansToJson(scans);
+  }
+};
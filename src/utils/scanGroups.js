@@ -0,0 +1,30 @@
+// Count and first/last-seen times of a set of scans of the same payload, or null when there are none
+export const summarizeOccurrences = (scans) => {
+  if (scans.length === 0) return null;
+
+  return scans.reduce(
+    (summary, scan) => ({
+      count: summary.count + 1,
+      firstSeen: scan.timestamp < summary.firstSeen ? scan.timestamp : summary.firstSeen,
+      lastSeen: scan.timestamp > summary.lastSeen ? scan.timestamp : summary.lastSeen,
+    }),
+    { count: 0, firstSeen: scans[0].timestamp, lastSeen: scans[0].timestamp }
+  );
+};
+
+// One group per distinct payload, most recently seen first; each group's scans are newest first
+export const groupScansByPayload = (scans) => {
+  const groups = new Map();
+  scans.forEach((scan) => {
+    if (!groups.has(scan.qrData)) groups.set(scan.qrData, []);
+    groups.get(scan.qrData).push(scan);
+  });
+
+  return [...groups.entries()]
+    .map(([qrData, groupScans]) => ({
+      qrData,
+      scans: [...groupScans].sort((a, b) => b.timestamp - a.timestamp),
+      ...summarizeOccurrences(groupScans),
+    }))
+    .sort((a, b) => b.lastSeen - a.lastSeen);
+};
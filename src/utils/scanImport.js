@@ -0,0 +1,242 @@
+import { SYMBOLOGIES } from './constants';
+import { normalizeSymbology } from './symbology';
+import { parseTags, getScanTags, getScanSearchText, MAX_NOTE_LENGTH } from './scanTags';
+import { buildSearchTokens } from './searchTokens';
+
+const MAX_PAYLOAD_LENGTH = 10000;
+// Allows for clock drift between the exporting device and this one
+const FUTURE_TOLERANCE_MS = 24 * 60 * 60 * 1000;
+
+const COLUMN_ALIASES = {
+  qrData: ['qrdata', 'data', 'payload', 'content', 'value', 'text'],
+  timestamp: ['timestamp', 'time', 'date', 'scannedat', 'scanned_at', 'created', 'createdat'],
+  latitude: ['latitude', 'lat'],
+  longitude: ['longitude', 'lng', 'lon', 'long'],
+  symbology: ['symbology', 'format', 'barcodetype', 'barcode_type'],
+  tags: ['tags', 'tag', 'labels'],
+  note: ['note', 'notes', 'comment'],
+};
+
+// RFC 4180 parser: quoted fields may contain separators, doubled quotes and line breaks
+export const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  const input = text.replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+};
+
+const findColumn = (headers, field) =>
+  headers.findIndex(header => COLUMN_ALIASES[field].includes(header.trim().toLowerCase()));
+
+// Undoes the apostrophe our CSV exports put in front of text a spreadsheet would run as a formula
+export const unescapeFormula = (text) => (/^'[=+\-@\t\r']/.test(text) ? text.slice(1) : text);
+
+const csvToRecords = (text) => {
+  const [headers = [], ...rows] = parseCsv(text);
+  const columns = Object.keys(COLUMN_ALIASES).reduce((result, field) => {
+    result[field] = findColumn(headers, field);
+    return result;
+  }, {});
+
+  if (columns.qrData < 0) {
+    throw new Error('The CSV file needs a qrData (or data/payload) column');
+  }
+
+  return rows.map((cells) => {
+    const getCell = (field) => (columns[field] >= 0 && cells[columns[field]] !== undefined
+      ? unescapeFormula(cells[columns[field]])
+      : undefined);
+    const latitude = getCell('latitude');
+    const longitude = getCell('longitude');
+
+    return {
+      qrData: getCell('qrData'),
+      timestamp: getCell('timestamp'),
+      symbology: getCell('symbology'),
+      tags: getCell('tags'),
+      note: getCell('note'),
+      location: latitude || longitude ? { latitude, longitude } : null,
+    };
+  });
+};
+
+const jsonToRecords = (text) => {
+  const json = JSON.parse(text);
+  // Accepts our own export ({ scans: [...] }) as well as a bare array of scans
+  const records = Array.isArray(json) ? json : json?.scans;
+  if (!Array.isArray(records)) {
+    throw new Error('The JSON file needs a "scans" array');
+  }
+  return records;
+};
+
+const isJsonImport = (text, fileName) => {
+  const trimmed = text.trim();
+  return /\.json$/i.test(fileName) || trimmed.startsWith('{') || trimmed.startsWith('[');
+};
+
+export const readImportRecords = (text, fileName = '') =>
+  isJsonImport(text, fileName) ? jsonToRecords(text.trim()) : csvToRecords(text);
+
+const parseTimestamp = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  // Firestore exports may carry { seconds, nanoseconds }
+  if (typeof value === 'object' && Number.isFinite(value.seconds)) {
+    return new Date(value.seconds * 1000 + Math.floor((value.nanoseconds || 0) / 1e6));
+  }
+  const date = typeof value === 'number' || /^\d+$/.test(value) ? new Date(Number(value)) : new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+const parseCoordinate = (value, max) => {
+  if (value === undefined || value === null || value === '') return null;
+  const number = Number(value);
+  return Number.isFinite(number) && Math.abs(number) <= max ? number : NaN;
+};
+
+// Returns { scan } for a usable record or { error } describing why it was rejected
+export const validateImportRecord = (record, now = new Date()) => {
+  if (!record || typeof record !== 'object') {
+    return { error: 'Not a scan record' };
+  }
+
+  const qrData = typeof record.qrData === 'string' ? record.qrData : record.data;
+  if (typeof qrData !== 'string' || qrData.trim() === '') {
+    return { error: 'Missing payload' };
+  }
+  if (qrData.length > MAX_PAYLOAD_LENGTH) {
+    return { error: `Payload longer than ${MAX_PAYLOAD_LENGTH} characters` };
+  }
+
+  const timestamp = parseTimestamp(record.timestamp);
+  if (record.timestamp === undefined || record.timestamp === '') {
+    return { error: 'Missing timestamp' };
+  }
+  if (!timestamp) {
+    return { error: `Invalid timestamp "${record.timestamp}"` };
+  }
+  if (timestamp.getTime() > now.getTime() + FUTURE_TOLERANCE_MS) {
+    return { error: 'Timestamp is in the future' };
+  }
+
+  let location = null;
+  if (record.location) {
+    const latitude = parseCoordinate(record.location.latitude, 90);
+    const longitude = parseCoordinate(record.location.longitude, 180);
+    if (Number.isNaN(latitude) || Number.isNaN(longitude) || (latitude === null) !== (longitude === null)) {
+      return { error: 'Invalid location' };
+    }
+    if (latitude !== null) {
+      location = { latitude, longitude };
+    }
+  }
+
+  let symbology = 'qr';
+  if (record.symbology) {
+    symbology = normalizeSymbology(record.symbology);
+    if (!SYMBOLOGIES[symbology]) {
+      return { error: `Unknown symbology "${record.symbology}"` };
+    }
+  }
+
+  if (record.note !== undefined && record.note !== null && typeof record.note !== 'string') {
+    return { error: 'Invalid note' };
+  }
+  const note = (record.note || '').trim();
+  if (note.length > MAX_NOTE_LENGTH) {
+    return { error: `Note longer than ${MAX_NOTE_LENGTH} characters` };
+  }
+
+  return { scan: { qrData, timestamp, location, symbology, tags: parseTags(record.tags), note } };
+};
+
+// Two scans are the same when they have the same payload at the same millisecond
+export const getDuplicateKey = (qrData, timestamp) => `${timestamp.getTime()}|${qrData}`;
+
+// Validates every record of a picked file; later copies of a payload+timestamp pair in the same file are skipped
+export const prepareImport = (text, fileName) => {
+  const valid = [];
+  const rejected = [];
+  const seenKeys = new Set();
+  let skipped = 0;
+
+  const firstRow = isJsonImport(text, fileName) ? 1 : 2;
+
+  readImportRecords(text, fileName).forEach((record, index) => {
+    const { scan, error } = validateImportRecord(record);
+    // Row numbers are 1-based and, for CSV, count the header line
+    const row = index + firstRow;
+
+    if (error) {
+      rejected.push({ row, error });
+      return;
+    }
+
+    const key = getDuplicateKey(scan.qrData, scan.timestamp);
+    if (seenKeys.has(key)) {
+      skipped++;
+      return;
+    }
+    seenKeys.add(key);
+    valid.push(scan);
+  });
+
+  return { valid, rejected, skipped };
+};
+
+// Fields an imported scan can add to an existing copy without overwriting anything
+export const getMergeUpdates = (existing, scan) => {
+  const updates = {};
+  if (!existing.location && scan.location) {
+    updates.location = scan.location;
+  }
+  if (!existing.symbology && scan.symbology) {
+    updates.symbology = scan.symbology;
+  }
+  const existingTags = getScanTags(existing);
+  const tags = getScanTags(scan);
+  if (tags.some(tag => !existingTags.includes(tag))) {
+    updates.tags = parseTags([...existingTags, ...tags]);
+  }
+  if (!existing.note && scan.note) {
+    updates.note = scan.note;
+    updates.searchTokens = buildSearchTokens(getScanSearchText({ ...existing, ...updates }));
+  }
+  return updates;
+};
@@ -0,0 +1,84 @@
+import { getParsedData } from './qrParser';
+import { getUrlHost } from './urlRisk';
+import { hasLocation } from './geo';
+import { startOfDay } from './dateFilters';
+
+const TOP_LIMIT = 5;
+// Keeps the activity chart readable; older periods are dropped first
+const MAX_PERIODS = 60;
+
+const startOfWeek = (date) => {
+  const day = startOfDay(date);
+  // Weeks start on Monday
+  return new Date(day.getFullYear(), day.getMonth(), day.getDate() - ((day.getDay() + 6) % 7));
+};
+
+const nextPeriod = (date, bucket) =>
+  new Date(date.getFullYear(), date.getMonth(), date.getDate() + (bucket === 'week' ? 7 : 1));
+
+const formatPeriod = (date, bucket) =>
+  bucket === 'week'
+    ? new Intl.DateTimeFormat('en-US', { month: 'short', day: 'numeric' }).format(date)
+    : `${date.getMonth() + 1}/${date.getDate()}`;
+
+const countBy = (items, getKey) => {
+  const counts = new Map();
+  items.forEach((item) => {
+    const key = getKey(item);
+    if (key) counts.set(key, (counts.get(key) || 0) + 1);
+  });
+  return [...counts.entries()]
+    .map(([key, count]) => ({ key, count }))
+    .sort((a, b) => b.count - a.count || String(a.key).localeCompare(String(b.key)));
+};
+
+// Scan counts per day or week, including empty periods, from the range start (or first scan) to its end (or now)
+const getActivity = (scans, bucket, dateRange, now) => {
+  if (scans.length === 0) return [];
+
+  const getStart = bucket === 'week' ? startOfWeek : startOfDay;
+  const earliest = scans.reduce((min, scan) => (scan.timestamp < min ? scan.timestamp : min), now);
+  const end = dateRange?.end && dateRange.end < now ? dateRange.end : now;
+
+  let periodStart = getStart(dateRange?.start || earliest);
+  const periods = [];
+  while (periodStart < end) {
+    periods.push({ start: periodStart, label: formatPeriod(periodStart, bucket), count: 0 });
+    periodStart = nextPeriod(periodStart, bucket);
+  }
+
+  const visible = periods.slice(-MAX_PERIODS);
+  scans.forEach((scan) => {
+    const period = getStart(scan.timestamp).getTime();
+    const match = visible.find(item => item.start.getTime() === period);
+    if (match) match.count++;
+  });
+
+  return visible;
+};
+
+// Everything the stats screen shows, computed on the device so it works for any scan source
+export const computeScanStats = (scans, { bucket = 'day', dateRange = null, now = new Date() } = {}) => {
+  const byHour = Array(24).fill(0);
+  scans.forEach((scan) => {
+    byHour[scan.timestamp.getHours()]++;
+  });
+
+  const located = scans.filter(hasLocation).length;
+
+  return {
+    total: scans.length,
+    activity: getActivity(scans, bucket, dateRange, now),
+    byType: countBy(scans, scan => getParsedData(scan).type).map(({ key, count }) => ({ type: key, count })),
+    topPayloads: countBy(scans, scan => scan.qrData)
+      .filter(({ count }) => count > 1)
+      .slice(0, TOP_LIMIT)
+      .map(({ key, count }) => ({ qrData: key, count })),
+    topDomains: countBy(scans, scan => getUrlHost(scan.qrData)?.replace(/^www\./, ''))
+      .slice(0, TOP_LIMIT)
+      .map(({ key, count }) => ({ host: key, count })),
+    located,
+    locatedShare: scans.length > 0 ? located / scans.length : 0,
+    byHour,
+  };
+};
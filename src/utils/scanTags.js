@@ -0,0 +1,60 @@
+import { buildSearchTokens } from './searchTokens';
+
+export const MAX_TAGS = 10;
+export const MAX_TAG_LENGTH = 30;
+export const MAX_NOTE_LENGTH = 500;
+
+// Tags are compared case-insensitively, so they are stored lower-cased with single spaces
+export const normalizeTag = (tag) =>
+  String(tag || '')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .replace(/^#+\s*/, '')
+    .toLowerCase()
+    .slice(0, MAX_TAG_LENGTH);
+
+// Accepts an array or a comma/semicolon separated string and returns unique, normalized tags
+export const parseTags = (input) => {
+  const values = Array.isArray(input) ? input : String(input || '').split(/[,;]/);
+  const tags = [];
+
+  values.map(normalizeTag).forEach((tag) => {
+    if (tag && !tags.includes(tag) && tags.length < MAX_TAGS) {
+      tags.push(tag);
+    }
+  });
+
+  return tags;
+};
+
+export const getScanTags = (scan) => (Array.isArray(scan.tags) ? scan.tags : []);
+
+export const getScanNote = (scan) => (typeof scan.note === 'string' ? scan.note : '');
+
+// Everything a history search should match: the note as well as the payload
+export const getScanSearchText = (scan) =>
+  [getScanNote(scan), scan.qrData].filter(Boolean).join('\n');
+
+// Fields written when tags or the note change; searchTokens are rebuilt so notes are searchable
+export const getAnnotationUpdates = (scan, { tags, note }) => {
+  const updates = {
+    tags: parseTags(tags),
+    note: String(note || '').trim().slice(0, MAX_NOTE_LENGTH),
+  };
+  return {
+    ...updates,
+    searchTokens: buildSearchTokens(getScanSearchText({ ...scan, ...updates })),
+  };
+};
+
+// Tags used across the given scans, most used first
+export const collectTags = (scans) => {
+  const counts = new Map();
+  scans.forEach((scan) => {
+    getScanTags(scan).forEach((tag) => {
+      counts.set(tag, (counts.get(tag) || 0) + 1);
+    });
+  });
+
+  return [...counts.keys()].sort((a, b) => counts.get(b) - counts.get(a) || a.localeCompare(b));
+};
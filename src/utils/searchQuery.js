@@ -0,0 +1,235 @@
+import { QR_TYPES } from './constants';
+import { getParsedData } from './qrParser';
+import { getScanTags, getScanSearchText, normalizeTag } from './scanTags';
+import { getUrlHost } from './urlRisk';
+import { hasLocation, isWithinRadius } from './geo';
+
+// Search box syntax:
+//   free text       fuzzy match against the payload and note
+//   "exact phrase"  substring match, no fuzziness
+//   -term           excludes scans that match term (works with every filter below)
+//   type:wifi       parsed QR type
+//   host:expo.dev   link host, subdomains included
+//   tag:site-a      scan tag
+//   before:DATE     scanned before DATE (YYYY-MM-DD, exclusive)
+//   after:DATE      scanned on or after DATE (inclusive)
+//   has:location    has:location, has:note or has:tags
+//   near:lat,lng,km scanned within km of a point
+export const SEARCH_HELP = [
+  'free text (typos allowed)',
+  '"exact phrase"',
+  '-term to exclude',
+  `type:${Object.keys(QR_TYPES).join('|')}`,
+  'host:expo.dev',
+  'tag:name',
+  'before:2025-01-01  after:2025-01-01',
+  'has:location|note|tags',
+  'near:lat,lng,km',
+].join('\n');
+
+const HAS_VALUES = ['location', 'note', 'tags'];
+
+// Words shorter than this only match exactly; longer ones tolerate typos
+const FUZZY_MIN_LENGTH = 4;
+const LONG_WORD_LENGTH = 8;
+// A typo in the first few letters is rare, so these are safe to narrow the Firestore query with
+const FUZZY_SERVER_PREFIX = 3;
+
+// Splits on whitespace but keeps "quoted phrases" (also after a key: or -) together
+const tokenize = (text) => {
+  const tokens = [];
+  const pattern = /(-?)(?:([a-z]+):)?(?:"([^"]*)"?|(\S+))/gi;
+  let match;
+
+  while ((match = pattern.exec(text)) !== null) {
+    const [raw, negation, key, quoted, plain] = match;
+    tokens.push({
+      raw,
+      negated: negation === '-',
+      key: key ? key.toLowerCase() : null,
+      value: quoted !== undefined ? quoted : plain || '',
+      quoted: quoted !== undefined,
+    });
+  }
+
+  return tokens;
+};
+
+const parseDate = (value) => {
+  const dayMatch = value.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (dayMatch) {
+    // Plain dates are local calendar days, like the other date filters
+    const [year, month, day] = dayMatch.slice(1).map(Number);
+    const date = new Date(year, month - 1, day);
+    // Date rolls 2025-02-30 over into March; treat that as a typo
+    return date.getMonth() === month - 1 && date.getDate() === day ? date : null;
+  }
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+const parseNear = (value) => {
+  const parts = value.split(',').map(part => part.trim());
+  if (parts.length !== 3 || parts.some(part => part === '')) return null;
+
+  const [latitude, longitude, radiusKm] = parts.map(Number);
+  if (!Number.isFinite(latitude) || Math.abs(latitude) > 90) return null;
+  if (!Number.isFinite(longitude) || Math.abs(longitude) > 180) return null;
+  if (!Number.isFinite(radiusKm) || radiusKm <= 0) return null;
+  return { center: { latitude, longitude }, radiusKm };
+};
+
+// Returns { term } or { error } for a key:value token
+const parseFilter = ({ key, value }) => {
+  if (!value) {
+    return { error: `${key}: needs a value` };
+  }
+
+  switch (key) {
+    case 'type': {
+      const type = value.toLowerCase();
+      return QR_TYPES[type]
+        ? { term: { field: 'type', value: type } }
+        : { error: `Unknown type "${value}". Use one of: ${Object.keys(QR_TYPES).join(', ')}` };
+    }
+    case 'host':
+      return { term: { field: 'host', value: value.toLowerCase().replace(/^www\./, '') } };
+    case 'tag':
+      return { term: { field: 'tag', value: normalizeTag(value) } };
+    case 'before':
+    case 'after': {
+      const date = parseDate(value);
+      return date
+        ? { term: { field: key, value: date } }
+        : { error: `Invalid date "${value}" for ${key}:. Use YYYY-MM-DD` };
+    }
+    case 'has': {
+      const field = value.toLowerCase();
+      return HAS_VALUES.includes(field)
+        ? { term: { field: 'has', value: field } }
+        : { error: `Unknown has:${value}. Use has:${HAS_VALUES.join(', has:')}` };
+    }
+    case 'near': {
+      const near = parseNear(value);
+      return near
+        ? { term: { field: 'near', value: near } }
+        : { error: `Invalid near:${value}. Use near:latitude,longitude,km` };
+    }
+    default:
+      return null;
+  }
+};
+
+// Returns { terms, errors }; invalid tokens are reported and left out instead of matching nothing
+export const parseSearchQuery = (text) => {
+  const terms = [];
+  const errors = [];
+
+  tokenize(text || '').forEach((token) => {
+    const parsed = token.key ? parseFilter(token) : null;
+
+    if (parsed?.error) {
+      errors.push(parsed.error);
+      return;
+    }
+    if (parsed?.term) {
+      terms.push({ ...parsed.term, negated: token.negated });
+      return;
+    }
+
+    // Unknown keys stay part of the text, so searching for "https://..." still works
+    const value = (token.key && !token.quoted ? token.raw.replace(/^-/, '') : token.value).toLowerCase();
+    if (value) {
+      terms.push({ field: 'text', value, phrase: token.quoted, negated: token.negated });
+    }
+  });
+
+  return { terms, errors };
+};
+
+// Edit distance counting swapped neighbours as one typo; gives up once it exceeds `max`
+const editDistance = (a, b, max) => {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let beforePrevious = [];
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        current[j] = Math.min(current[j], beforePrevious[j - 2] + 1);
+      }
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > max) return max + 1;
+    beforePrevious = previous;
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+const matchesText = (text, term) => {
+  if (text.includes(term.value)) return true;
+  // Exclusions and phrases stay exact so a typo never hides or shows something unexpected
+  if (term.phrase || term.negated || term.value.length < FUZZY_MIN_LENGTH || /\s/.test(term.value)) {
+    return false;
+  }
+
+  const maxEdits = term.value.length >= LONG_WORD_LENGTH ? 2 : 1;
+  return text
+    .split(/[^\p{L}\p{N}]+/u)
+    .some(word => word && editDistance(word, term.value, maxEdits) <= maxEdits);
+};
+
+const matchesTerm = (scan, term, text) => {
+  switch (term.field) {
+    case 'type':
+      return getParsedData(scan).type === term.value;
+    case 'host': {
+      const host = getUrlHost(scan.qrData);
+      return !!host && (host === term.value || host.endsWith(`.${term.value}`));
+    }
+    case 'tag':
+      return getScanTags(scan).includes(term.value);
+    case 'before':
+      return scan.timestamp < term.value;
+    case 'after':
+      return scan.timestamp >= term.value;
+    case 'has':
+      if (term.value === 'location') return hasLocation(scan);
+      if (term.value === 'note') return !!scan.note;
+      return getScanTags(scan).length > 0;
+    case 'near':
+      return isWithinRadius(scan, term.value.center, term.value.radiusKm);
+    default:
+      return matchesText(text, term);
+  }
+};
+
+// Every term has to match (or, for -term, not match)
+export const matchesSearchQuery = (scan, { terms }) => {
+  const text = getScanSearchText(scan).toLowerCase();
+  return terms.every(term => matchesTerm(scan, term, text) !== term.negated);
+};
+
+// Text for the Firestore token query: one positive free-text word, or null to leave it to the device
+export const getServerSearchText = ({ terms }) => {
+  const words = terms
+    .filter(term => term.field === 'text' && !term.negated)
+    .flatMap(term => {
+      const termWords = term.value.split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+      // A fuzzy word may be misspelled, so only its first letters can narrow the query
+      return term.phrase || termWords.length > 1 || term.value.length < FUZZY_MIN_LENGTH
+        ? termWords
+        : termWords.map(word => word.slice(0, FUZZY_SERVER_PREFIX));
+    });
+
+  if (words.length === 0) return null;
+  return words.reduce((best, word) => (word.length > best.length ? word : best));
+};
@@ -0,0 +1,31 @@
+// Firestore has no substring search, so each scan stores the lower-cased word prefixes of its
+// payload and history searches use `array-contains` on one of them.
+const MIN_PREFIX_LENGTH = 2;
+const MAX_PREFIX_LENGTH = 20;
+const MAX_TOKENS = 200;
+
+const splitWords = (text) =>
+  (text || '').toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(word => word.length >= MIN_PREFIX_LENGTH);
+
+export const buildSearchTokens = (text) => {
+  const tokens = new Set();
+
+  for (const word of splitWords(text)) {
+    const maxLength = Math.min(word.length, MAX_PREFIX_LENGTH);
+    for (let length = MIN_PREFIX_LENGTH; length <= maxLength; length++) {
+      tokens.add(word.slice(0, length));
+      if (tokens.size >= MAX_TOKENS) return [...tokens];
+    }
+  }
+
+  return [...tokens];
+};
+
+// The longest word narrows the server query the most; the rest is matched on the device
+export const getSearchToken = (searchText) => {
+  const words = splitWords(searchText);
+  if (words.length === 0) return null;
+
+  const longest = words.reduce((best, word) => (word.length > best.length ? word : best));
+  return longest.slice(0, MAX_PREFIX_LENGTH);
+};
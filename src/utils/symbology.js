@@ -0,0 +1,49 @@
+import { SYMBOLOGIES } from './constants';
+
+// iOS reports AVFoundation identifiers, Android reports ML Kit format flags
+const NATIVE_TYPE_ALIASES = {
+  'org.iso.qrcode': 'qr',
+  'org.iso.datamatrix': 'datamatrix',
+  'org.iso.pdf417': 'pdf417',
+  'org.iso.aztec': 'aztec',
+  'org.gs1.ean-13': 'ean13',
+  'org.gs1.ean-8': 'ean8',
+  'org.gs1.upc-e': 'upc_e',
+  'org.iso.code128': 'code128',
+  'org.iso.code39': 'code39',
+  'org.ansi.interleaved2of5': 'itf',
+  'org.gs1.itf14': 'itf',
+  interleaved2of5: 'itf',
+  itf14: 'itf',
+  upca: 'upc_a',
+  upce: 'upc_e',
+  1: 'code128',
+  2: 'code39',
+  16: 'datamatrix',
+  32: 'ean13',
+  64: 'ean8',
+  128: 'itf',
+  256: 'qr',
+  512: 'upc_a',
+  1024: 'upc_e',
+  2048: 'pdf417',
+  4096: 'aztec',
+};
+
+export const normalizeSymbology = (type) => {
+  if (type === undefined || type === null) return 'qr';
+
+  const key = String(type).toLowerCase();
+  if (SYMBOLOGIES[key]) return key;
+  return NATIVE_TYPE_ALIASES[key] || key;
+};
+
+export const getSymbologyLabel = (symbology) =>
+  SYMBOLOGIES[symbology]?.label || symbology.toUpperCase();
+
+// Scans saved before symbologies were recorded all came from the QR-only scanner
+export const getScanSymbology = (scan) => scan.symbology || 'qr';
+
+// For CameraView's barcodeScannerSettings and scanFromURLAsync
+export const getBarcodeTypes = (enabledSymbologies) =>
+  enabledSymbologies.flatMap(symbology => SYMBOLOGIES[symbology]?.barcodeTypes || []);
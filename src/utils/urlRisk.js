@@ -0,0 +1,195 @@
+// Offline heuristics for links found in scanned codes ("quishing"). Nothing here goes to the network.
+
+const DANGEROUS_SCHEMES = ['javascript', 'data', 'vbscript', 'file'];
+
+const URL_SHORTENERS = [
+  'bit.ly', 'bitly.com', 'tinyurl.com', 't.co', 'goo.gl', 'ow.ly', 'is.gd', 'buff.ly',
+  'rebrand.ly', 'cutt.ly', 'shorturl.at', 'tiny.cc', 'rb.gy', 's.id', 't.ly', 'bl.ink',
+  'lnkd.in', 'qrco.de', 'tiny.one', 'v.gd', 'shorte.st', 'adf.ly', 'soo.gd', 'clck.ru',
+];
+
+// More labels than this before the registrable domain is unusual for legitimate sites
+const MAX_SUBDOMAINS = 3;
+
+export const RISK_LEVELS = {
+  low: { label: 'Low risk', color: '#4CAF50', icon: '✅' },
+  medium: { label: 'Suspicious', color: '#FF9800', icon: '⚠️' },
+  high: { label: 'Dangerous', color: '#F44336', icon: '⛔' },
+};
+
+const SEVERITY_ORDER = ['low', 'medium', 'high'];
+
+const FINDINGS = {
+  dangerousScheme: { severity: 'high', message: 'Uses a scheme that can run code or embed content instead of opening a website' },
+  credentials: { severity: 'high', message: 'Contains a username or password, a common trick to disguise the real destination' },
+  mixedScript: { severity: 'high', message: 'Host mixes alphabets (for example Latin and Cyrillic) to imitate another site' },
+  ipHost: { severity: 'high', message: 'Points to a raw IP address instead of a domain name' },
+  punycode: { severity: 'medium', message: 'Host is internationalised (punycode) and may imitate a familiar domain' },
+  nonAsciiHost: { severity: 'medium', message: 'Host contains non-Latin characters' },
+  shortener: { severity: 'medium', message: 'Uses a link shortener that hides the real destination' },
+  manySubdomains: { severity: 'medium', message: 'Has an unusually deep chain of subdomains' },
+  insecure: { severity: 'medium', message: 'Is not encrypted (HTTP instead of HTTPS)' },
+  unusualPort: { severity: 'medium', message: 'Uses a non-standard port' },
+};
+
+// RFC 3492 decoder, enough to inspect xn-- labels
+const decodePunycodeLabel = (input) => {
+  const base = 36;
+  const tMin = 1;
+  const tMax = 26;
+  const skew = 38;
+  const damp = 700;
+  let n = 128;
+  let i = 0;
+  let bias = 72;
+
+  const delimiter = input.lastIndexOf('-');
+  const output = delimiter > 0 ? Array.from(input.slice(0, delimiter)) : [];
+  let index = delimiter > 0 ? delimiter + 1 : 0;
+
+  const adapt = (delta, numPoints, firstTime) => {
+    let d = firstTime ? Math.floor(delta / damp) : delta >> 1;
+    d += Math.floor(d / numPoints);
+    let k = 0;
+    while (d > ((base - tMin) * tMax) >> 1) {
+      d = Math.floor(d / (base - tMin));
+      k += base;
+    }
+    return k + Math.floor(((base - tMin + 1) * d) / (d + skew));
+  };
+
+  const digitValue = (char) => {
+    const code = char.charCodeAt(0);
+    if (code >= 48 && code <= 57) return code - 22;
+    if (code >= 65 && code <= 90) return code - 65;
+    if (code >= 97 && code <= 122) return code - 97;
+    return base;
+  };
+
+  while (index < input.length) {
+    const oldI = i;
+    let w = 1;
+    for (let k = base; ; k += base) {
+      if (index >= input.length) return null;
+      const digit = digitValue(input[index++]);
+      if (digit >= base) return null;
+      i += digit * w;
+      const t = k <= bias ? tMin : k >= bias + tMax ? tMax : k - bias;
+      if (digit < t) break;
+      w *= base - t;
+    }
+    bias = adapt(i - oldI, output.length + 1, oldI === 0);
+    n += Math.floor(i / (output.length + 1));
+    i %= output.length + 1;
+    output.splice(i, 0, String.fromCodePoint(n));
+    i++;
+  }
+
+  return output.join('');
+};
+
+// Shows xn-- labels as the characters they stand for; labels that do not decode are kept as they are
+export const decodeHost = (host) =>
+  host
+    .split('.')
+    .map(label => (label.startsWith('xn--') ? decodePunycodeLabel(label.slice(4)) || label : label))
+    .join('.');
+
+const SCRIPT_PATTERNS = {
+  latin: /\p{Script=Latin}/u,
+  cyrillic: /\p{Script=Cyrillic}/u,
+  greek: /\p{Script=Greek}/u,
+  armenian: /\p{Script=Armenian}/u,
+  cherokee: /\p{Script=Cherokee}/u,
+};
+
+const getScripts = (text) =>
+  Object.keys(SCRIPT_PATTERNS).filter(script => SCRIPT_PATTERNS[script].test(text));
+
+const isIPv4 = (host) => /^\d{1,3}(\.\d{1,3}){3}$/.test(host);
+// Browsers also accept a single integer or hex number as an IPv4 host (http://3232235777)
+const isNumericHost = (host) => /^(0x[0-9a-f]+|\d+)$/i.test(host);
+
+// React Native's URL polyfill has no hostname support, so the parts are pulled apart here
+export const splitUrl = (url) => {
+  const match = (url || '').trim().match(/^([a-z][a-z0-9+.-]*):(\/\/)?([^/?#]*)(.*)$/is);
+  if (!match) return null;
+
+  const [, scheme, slashes, authority, rest] = match;
+  if (!slashes) {
+    return { scheme: scheme.toLowerCase(), userInfo: '', host: '', port: '', rest: authority + rest };
+  }
+
+  const atIndex = authority.lastIndexOf('@');
+  const userInfo = atIndex >= 0 ? authority.slice(0, atIndex) : '';
+  const hostPort = atIndex >= 0 ? authority.slice(atIndex + 1) : authority;
+  const hostMatch = hostPort.match(/^(\[[^\]]*\]|[^:]*)(?::(\d*))?$/);
+
+  return {
+    scheme: scheme.toLowerCase(),
+    userInfo,
+    host: (hostMatch ? hostMatch[1] : hostPort).toLowerCase().replace(/\.$/, ''),
+    port: hostMatch?.[2] || '',
+    rest,
+  };
+};
+
+export const getUrlHost = (url) => splitUrl(url)?.host || null;
+
+// Payloads worth analysing: web links and schemes that should never be opened blindly
+export const isLinkPayload = (data) => {
+  const parts = splitUrl(data);
+  return !!parts && (['http', 'https'].includes(parts.scheme) || DANGEROUS_SCHEMES.includes(parts.scheme));
+};
+
+export const analyzeUrl = (url) => {
+  const parts = splitUrl(url);
+  const findingIds = [];
+
+  if (!parts) {
+    return { level: 'low', findings: [] };
+  }
+
+  if (DANGEROUS_SCHEMES.includes(parts.scheme)) {
+    findingIds.push('dangerousScheme');
+  } else {
+    const { host } = parts;
+    const decodedHost = decodeHost(host);
+    const labels = host.split('.').filter(Boolean);
+
+    if (parts.scheme === 'http') findingIds.push('insecure');
+    if (parts.userInfo) findingIds.push('credentials');
+
+    if (host.startsWith('[') || isIPv4(host) || isNumericHost(host)) {
+      findingIds.push('ipHost');
+    } else {
+      if (labels.some(label => label.startsWith('xn--'))) findingIds.push('punycode');
+      if (/[^\u0000-\u007f]/.test(decodedHost)) findingIds.push('nonAsciiHost');
+      // Each label is checked on its own: a Cyrillic name under .com is normal, "раypal" is not
+      if (labels.some(label => getScripts(decodeHost(label)).length > 1)) findingIds.push('mixedScript');
+      if (URL_SHORTENERS.includes(host.replace(/^www\./, ''))) findingIds.push('shortener');
+      if (labels.length - 2 > MAX_SUBDOMAINS) findingIds.push('manySubdomains');
+    }
+
+    const defaultPort = parts.scheme === 'https' ? '443' : '80';
+    if (parts.port && parts.port !== defaultPort) findingIds.push('unusualPort');
+  }
+
+  const findings = findingIds.map(id => ({ id, ...FINDINGS[id] }));
+  const level = findings.reduce(
+    (highest, finding) =>
+      SEVERITY_ORDER.indexOf(finding.severity) > SEVERITY_ORDER.indexOf(highest) ? finding.severity : highest,
+    'low'
+  );
+
+  return { level, findings };
+};
+
+// Compact form stored on the scan document; messages are rebuilt from the ids when displayed
+export const summarizeUrlRisk = (url) => {
+  if (!isLinkPayload(url)) return null;
+  const { level, findings } = analyzeUrl(url);
+  return { level, findings: findings.map(finding => finding.id) };
+};
+
+export const getScanUrlRisk = (scan) => scan.urlRisk || summarizeUrlRisk(scan.qrData);
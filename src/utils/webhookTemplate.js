@@ -0,0 +1,113 @@
+import { getParsedData } from './qrParser';
+import { getScanSymbology } from './symbology';
+import { getScanTags, getScanNote } from './scanTags';
+import { hasLocation } from './geo';
+
+// Placeholders a body template can use; each is replaced by the JSON value of the field,
+// so `"code": {{qrData}}` comes out as a properly quoted and escaped string
+export const WEBHOOK_FIELDS = {
+  id: 'Scan id',
+  qrData: 'Scanned payload',
+  type: 'Payload type (url, wifi, ...)',
+  symbology: 'Barcode format',
+  timestamp: 'Scan time (ISO 8601)',
+  userEmail: 'Who scanned it',
+  workspaceId: 'Workspace id, or null',
+  latitude: 'Latitude, or null',
+  longitude: 'Longitude, or null',
+  tags: 'Tags (array)',
+  note: 'Note',
+  scan: 'All of the above as one object',
+};
+
+export const DEFAULT_WEBHOOK_TEMPLATE = `{
+  "event": "scan.created",
+  "scan": {{scan}}
+}`;
+
+const PLACEHOLDER_PATTERN = /\{\{\s*(\w+)\s*\}\}/g;
+
+const getWebhookValues = (scan) => {
+  const values = {
+    id: scan.id,
+    qrData: scan.qrData,
+    type: getParsedData(scan).type,
+    symbology: getScanSymbology(scan),
+    timestamp: scan.timestamp.toISOString(),
+    userEmail: scan.userEmail || null,
+    workspaceId: scan.workspaceId || null,
+    latitude: hasLocation(scan) ? scan.location.latitude : null,
+    longitude: hasLocation(scan) ? scan.location.longitude : null,
+    tags: getScanTags(scan),
+    note: getScanNote(scan),
+  };
+  return { ...values, scan: values };
+};
+
+// Throws when the template uses an unknown placeholder or does not produce valid JSON
+export const renderWebhookBody = (template, scan) => {
+  const values = getWebhookValues(scan);
+  const body = template.replace(PLACEHOLDER_PATTERN, (placeholder, field) => {
+    if (!(field in values)) {
+      throw new Error(`Unknown placeholder ${placeholder}`);
+    }
+    return JSON.stringify(values[field]);
+  });
+
+  try {
+    JSON.parse(body);
+  } catch (error) {
+    throw new Error(`The body is not valid JSON: ${error.message}`);
+  }
+  return body;
+};
+
+// Headers are edited as "Name: value" lines; blank lines are ignored
+export const parseWebhookHeaders = (text) => {
+  const headers = {};
+  text.split('\n').forEach((line, index) => {
+    if (line.trim() === '') return;
+    const separator = line.indexOf(':');
+    const name = separator > 0 ? line.slice(0, separator).trim() : '';
+    if (!/^[!#$%&'*+.^_`|~0-9A-Za-z-]+$/.test(name)) {
+      throw new Error(`Line ${index + 1} is not a "Name: value" header`);
+    }
+    headers[name] = line.slice(separator + 1).trim();
+  });
+  return headers;
+};
+
+// Stand-in scan for checking a template and for the "send test" button
+export const getSampleScan = (user) => ({
+  id: 'test-scan',
+  qrData: 'https://example.com/test',
+  symbology: 'qr',
+  timestamp: new Date(),
+  userId: user.uid,
+  userEmail: user.email,
+  workspaceId: null,
+  location: null,
+  tags: ['test'],
+  note: 'Sent from the webhook settings',
+});
+
+// Returns a list of problems with the config; empty when it can be saved
+export const validateWebhookConfig = (config, user) => {
+  const errors = [];
+
+  if (!/^https?:\/\/[^\s/]+/i.test(config.url.trim())) {
+    errors.push('The URL must start with http:// or https://');
+  }
+  try {
+    parseWebhookHeaders(config.headers);
+  } catch (error) {
+    errors.push(error.message);
+  }
+  try {
+    renderWebhookBody(config.template, getSampleScan(user));
+  } catch (error) {
+    errors.push(error.message);
+  }
+
+  return errors;
+};